@@ -12,11 +12,15 @@ const authRoutes = require('./routes/auth.routes');
 const shopRoutes = require('./routes/shop.routes');
 const userRoutes = require('./routes/user.routes');
 const productRoutes = require('./routes/product.routes');
+const categoryRoutes = require('./routes/category.routes');
 const cartRoutes = require('./routes/cart.routes');
 const orderRoutes = require('./routes/order.routes');
 const adminRoutes = require('./routes/admin.routes');
 const uploadRoutes = require('./routes/upload.routes');
+const mediaRoutes = require('./routes/media.routes');
 const customerRoutes = require('./routes/customer.routes');
+const paymentRoutes = require('./routes/payment.routes');
+const fileRoutes = require('./routes/file.routes');
 
 // Import middleware
 const { errorHandler } = require('./middlewares/error.middleware');
@@ -69,7 +73,13 @@ app.use(cors(corsOptions));
 app.options('*', cors(corsOptions));
 
 // Body parser middleware
-app.use(express.json({ limit: '10mb' }));
+// Keep the raw bytes too - payment webhook signatures are computed over them
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Cookie parser
@@ -97,11 +107,17 @@ app.use('/api/auth', authRoutes);
 app.use('/api/shops', shopRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/products', productRoutes);
+app.use('/api/categories', categoryRoutes);
 app.use('/api/cart', cartRoutes);
 app.use('/api/orders', orderRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/upload', uploadRoutes);
+app.use('/api/media', mediaRoutes);
 app.use('/api/customers', customerRoutes);
+app.use('/api/payments', paymentRoutes);
+
+// Locally stored uploads, invoices and return photos
+app.use('/files', fileRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
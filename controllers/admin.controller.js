@@ -1,10 +1,22 @@
+const mongoose = require('mongoose');
 const Order = require('../models/Order.model');
 const User = require('../models/User.model');
 const Product = require('../models/Product.model');
 const AuditLog = require('../models/AuditLog.model');
+const Refund = require('../models/Refund.model');
+const Customer = require('../models/Customer.model');
+const Shop = require('../models/Shop.model');
+const Cart = require('../models/Cart.model');
+const CartReminder = require('../models/CartReminder.model');
 const { asyncHandler, AppError } = require('../middlewares/error.middleware');
-const { sendOrderStatusEmail, sendOrderStatusWhatsApp } = require('../services/email.service');
-const { sendOrderStatusWhatsApp: sendWhatsApp } = require('../services/whatsapp.service');
+const { ORDER_TRANSITIONS, OFFLINE_PAYMENT_METHODS, transitionOrderStatus } = require('../services/orderStatus.service');
+const { reserveStock } = require('../services/stock.service');
+const { applyOrderTax } = require('../services/tax.service');
+const { resolvePriceListId, getBuyerPriceList, getEffectivePrice } = require('../services/pricing.service');
+const { generateOrderNumber } = require('../services/sequence.service');
+const { updateCustomerStats } = require('../services/customer.service');
+const { sendOrderPlacedEmail } = require('../services/email.service');
+const { sendOrderPlacedWhatsApp } = require('../services/whatsapp.service');
 const { shopQuery } = require('../middlewares/tenantIsolation.middleware');
 
 /**
@@ -16,13 +28,17 @@ const getDashboardStats = asyncHandler(async (req, res) => {
   // CRITICAL: All queries must be scoped to shop
   const baseQuery = { shopId: req.shopId };
 
+  // Revenue is net of refunds issued against the order
+  const netRevenue = { $subtract: ['$totalAmount', { $ifNull: ['$refundedAmount', 0] }] };
+
   const [
     totalUsers,
     totalProducts,
     totalOrders,
     activeProducts,
     pendingOrders,
-    revenue
+    revenue,
+    refunds
   ] = await Promise.all([
     User.countDocuments(baseQuery),
     Product.countDocuments(baseQuery),
@@ -31,7 +47,11 @@ const getDashboardStats = asyncHandler(async (req, res) => {
     Order.countDocuments({ ...baseQuery, orderStatus: 'PLACED' }),
     Order.aggregate([
       { $match: { ...baseQuery, orderStatus: { $ne: 'CANCELLED' } } },
-      { $group: { _id: null, total: { $sum: '$totalAmount' } } }
+      { $group: { _id: null, total: { $sum: netRevenue } } }
+    ]),
+    Refund.aggregate([
+      { $match: baseQuery },
+      { $group: { _id: null, total: { $sum: '$amount' }, count: { $sum: 1 } } }
     ])
   ]);
 
@@ -50,7 +70,7 @@ const getDashboardStats = asyncHandler(async (req, res) => {
     {
       $group: {
         _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
-        revenue: { $sum: '$totalAmount' },
+        revenue: { $sum: netRevenue },
         orders: { $sum: 1 }
       }
     },
@@ -72,7 +92,7 @@ const getDashboardStats = asyncHandler(async (req, res) => {
     {
       $group: {
         _id: { $dateToString: { format: '%Y-%m', date: '$createdAt' } },
-        revenue: { $sum: '$totalAmount' },
+        revenue: { $sum: netRevenue },
         orders: { $sum: 1 }
       }
     },
@@ -101,6 +121,8 @@ const getDashboardStats = asyncHandler(async (req, res) => {
       totalOrders,
       pendingOrders,
       totalRevenue: revenue[0]?.total || 0,
+      totalRefunds: refunds[0]?.total || 0,
+      refundCount: refunds[0]?.count || 0,
       dailyRevenue,
       monthlyRevenue,
       lowStockProducts,
@@ -109,6 +131,84 @@ const getDashboardStats = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @desc    Abandoned cart report - carts still abandoned, reminders sent and
+ *          orders recovered by them over the last ?days (default 30)
+ * @route   GET /api/admin/reports/abandoned-carts
+ * @access  Private
+ */
+const getAbandonedCartReport = asyncHandler(async (req, res) => {
+  const days = Math.min(Math.max(Number(req.query.days) || 30, 1), 365);
+  const since = new Date();
+  since.setDate(since.getDate() - days);
+
+  const shop = await Shop.findById(req.shopId).select('cartReminders');
+  if (!shop) {
+    throw new AppError('Shop not found', 404);
+  }
+
+  const afterHours = shop.cartReminders.afterHours;
+  const cutoff = new Date(Date.now() - afterHours * 60 * 60 * 1000);
+
+  // CRITICAL: All queries must be scoped to shop
+  const baseQuery = { shopId: req.shopId };
+
+  const [openCarts, reminders, dailyReminders] = await Promise.all([
+    // Carts with items nobody has touched for the shop's reminder delay
+    Cart.aggregate([
+      { $match: { ...baseQuery, updatedAt: { $gte: since, $lte: cutoff }, 'items.0': { $exists: true } } },
+      { $group: { _id: null, count: { $sum: 1 }, value: { $sum: '$finalAmount' } } }
+    ]),
+    CartReminder.aggregate([
+      { $match: { ...baseQuery, sentAt: { $gte: since } } },
+      {
+        $group: {
+          _id: null,
+          sent: { $sum: { $cond: [{ $gt: [{ $size: '$channels' }, 0] }, 1, 0] } },
+          failed: { $sum: { $cond: [{ $eq: [{ $size: '$channels' }, 0] }, 1, 0] } },
+          value: { $sum: '$cartValue' },
+          recovered: { $sum: { $cond: [{ $ifNull: ['$recoveredOrder', false] }, 1, 0] } },
+          recoveredValue: { $sum: { $ifNull: ['$recoveredAmount', 0] } }
+        }
+      }
+    ]),
+    CartReminder.aggregate([
+      { $match: { ...baseQuery, sentAt: { $gte: since } } },
+      {
+        $group: {
+          _id: { $dateToString: { format: '%Y-%m-%d', date: '$sentAt' } },
+          reminders: { $sum: 1 },
+          value: { $sum: '$cartValue' },
+          recovered: { $sum: { $cond: [{ $ifNull: ['$recoveredOrder', false] }, 1, 0] } },
+          recoveredValue: { $sum: { $ifNull: ['$recoveredAmount', 0] } }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ])
+  ]);
+
+  const totals = reminders[0] || { sent: 0, failed: 0, value: 0, recovered: 0, recoveredValue: 0 };
+
+  res.status(200).json({
+    success: true,
+    data: {
+      days,
+      remindersEnabled: shop.cartReminders.enabled,
+      afterHours,
+      abandonedCarts: openCarts[0]?.count || 0,
+      abandonedValue: openCarts[0]?.value || 0,
+      remindersSent: totals.sent,
+      remindersFailed: totals.failed,
+      remindedValue: totals.value,
+      recoveredCarts: totals.recovered,
+      recoveredValue: totals.recoveredValue,
+      // Share of delivered reminders followed by an order
+      recoveryRate: totals.sent > 0 ? Math.round(totals.recovered / totals.sent * 10000) / 100 : 0,
+      dailyReminders
+    }
+  });
+});
+
 /**
  * @desc    Get all orders (OWNER/STAFF with permission)
  * @route   GET /api/admin/orders
@@ -150,49 +250,255 @@ const getAllOrders = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Build a shipping address for a counter order when none is given:
+ * the customer's saved address, else the shop's own address (pickup)
+ */
+const buildCounterAddress = (customer, shop) => {
+  const source = [customer.address, shop && shop.address].find(address =>
+    address && address.addressLine1 && address.city && address.state && address.pincode
+  );
+
+  if (!source) return null;
+
+  return {
+    fullName: customer.name,
+    phone: customer.phone,
+    addressLine1: source.addressLine1,
+    addressLine2: source.addressLine2,
+    city: source.city,
+    state: source.state,
+    pincode: source.pincode,
+    country: source.country || 'India'
+  };
+};
+
+/**
+ * @desc    Create order on behalf of a walk-in / phone Customer (OWNER/STAFF with permission)
+ * @route   POST /api/admin/orders
+ * @access  Private
+ */
+const createStaffOrder = asyncHandler(async (req, res) => {
+  const {
+    customerId,
+    customer: newCustomer,
+    items,
+    shippingAddress,
+    shippingCharges = 0,
+    paymentMethod = 'CASH',
+    paymentCollected = false,
+    transactionId,
+    notes
+  } = req.body;
+
+  const shop = await Shop.findById(req.shopId);
+
+  let order;
+  let customer;
+
+  // Stock, customer, order and customer totals commit together
+  await mongoose.connection.transaction(async (session) => {
+    // Existing Customer, or find-or-create by phone (phone is unique per shop)
+    if (customerId) {
+      customer = await Customer.findOne(shopQuery(req, { _id: customerId })).session(session);
+      if (!customer) {
+        throw new AppError('Customer not found', 404);
+      }
+    } else {
+      customer = await Customer.findOne(shopQuery(req, { phone: newCustomer.phone })).session(session);
+      if (!customer) {
+        // CRITICAL: Create customer with shopId
+        [customer] = await Customer.create([{
+          shopId: req.shopId,
+          name: newCustomer.name,
+          phone: newCustomer.phone,
+          email: newCustomer.email,
+          address: newCustomer.address
+        }], { session });
+      }
+    }
+
+    const address = shippingAddress || buildCounterAddress(customer, shop);
+    if (!address) {
+      throw new AppError('Shipping address is required (customer and shop have no address on file)', 400);
+    }
+
+    const lines = items.map(item => ({
+      product: item.productId,
+      variant: item.variantId,
+      quantity: Number(item.quantity)
+    }));
+
+    const orderId = new mongoose.Types.ObjectId();
+    const orderNumber = await generateOrderNumber(req.shopId, { session });
+
+    // Conditionally deduct stock for every line (stock >= quantity) - staff
+    // sell the goods in hand, so customers' cart holds don't block them
+    const { products, failed } = await reserveStock(req.shopId, lines, session, {
+      reason: 'SALE',
+      reference: { kind: 'Order', id: orderId, number: orderNumber },
+      user: req.user._id
+    });
+
+    if (failed.length > 0) {
+      throw new AppError('Some items could not be ordered', 409, failed);
+    }
+
+    // Manual pricing: optional unit price override and/or discount % per line
+    // Without a manual price the customer's price list / quantity tiers apply
+    const priceList = await getBuyerPriceList(req.shopId, customer, session);
+
+    const pricedItems = items.map((item, index) => {
+      const product = products[index];
+      const variant = item.variantId ? product.variants.id(item.variantId) : null;
+      const listed = item.price !== undefined
+        ? product.getPricing(variant)
+        : getEffectivePrice(product, variant, lines[index].quantity, priceList);
+      const price = item.price !== undefined ? Number(item.price) : listed.price;
+      const discount = item.discount !== undefined ? Number(item.discount) : listed.discount;
+      const finalPrice = Math.round((price - (price * discount / 100)) * 100) / 100;
+
+      return {
+        product: product._id,
+        name: product.name,
+        variant: variant ? variant._id : undefined,
+        variantName: variant ? product.getVariantLabel(variant) : undefined,
+        sku: variant ? variant.sku : undefined,
+        image: (variant && variant.images[0]) || product.primaryImage,
+        quantity: lines[index].quantity,
+        unit: product.unit,
+        conversionFactor: product.conversionFactor,
+        price,
+        discount,
+        finalPrice,
+        subtotal: finalPrice * lines[index].quantity
+      };
+    });
+
+    // GST per line - CGST+SGST or IGST depending on the delivery state
+    const { items: orderItems, taxBreakup, tax, itemsTotal } = applyOrderTax(
+      shop, pricedItems, products, address.state
+    );
+
+    const subtotal = orderItems.reduce((sum, item) => sum + item.subtotal, 0);
+    const discount = orderItems.reduce((sum, item) => sum + ((item.price - item.finalPrice) * item.quantity), 0);
+    const totalAmount = itemsTotal + Number(shippingCharges);
+    const now = new Date();
+
+    // CRITICAL: Create order with shopId
+    [order] = await Order.create([{
+      _id: orderId,
+      shopId: req.shopId,
+      orderNumber,
+      user: req.user._id,
+      customer: customer._id,
+      source: 'STAFF',
+      items: orderItems,
+      shippingAddress: address,
+      totalItems: orderItems.reduce((sum, item) => sum + item.quantity, 0),
+      subtotal,
+      discount,
+      shippingCharges: Number(shippingCharges),
+      tax,
+      taxBreakup,
+      totalAmount,
+      paymentMethod,
+      paymentStatus: paymentCollected ? 'COMPLETED' : 'PENDING',
+      paymentDetails: paymentCollected ? { transactionId, paidAt: now } : undefined,
+      orderStatus: 'PLACED',
+      notes
+    }], { session });
+
+    await updateCustomerStats(req.shopId, customer._id, { orders: 1, spent: totalAmount, orderedAt: now }, session);
+  });
+
+  // Send notifications (async, don't block response)
+  Promise.all([
+    customer.email && sendOrderPlacedEmail(customer, order),
+    sendOrderPlacedWhatsApp(customer, order)
+  ]).catch(err => console.error('Error sending notifications:', err));
+
+  res.status(201).json({
+    success: true,
+    message: 'Order created successfully',
+    data: { order }
+  });
+});
+
 /**
  * @desc    Update order status (OWNER/STAFF with permission)
  * @route   PATCH /api/admin/orders/:id/status
  * @access  Private
  */
 const updateOrderStatus = asyncHandler(async (req, res) => {
-  const { status, note } = req.body;
+  const { status, note, reason } = req.body;
 
-  const validStatuses = ['PLACED', 'CONFIRMED', 'PACKED', 'SHIPPED', 'DELIVERED', 'CANCELLED'];
-  if (!validStatuses.includes(status)) {
+  if (!Object.keys(ORDER_TRANSITIONS).includes(status)) {
     throw new AppError('Invalid order status', 400);
   }
 
+  // Transition rules, stock restore, payment completion and notifications
+  // all live in the order status service
+  const order = await transitionOrderStatus({
+    shopId: req.shopId,
+    orderId: req.params.id,
+    to: status,
+    actor: req.user,
+    note,
+    reason
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Order status updated successfully',
+    data: { order }
+  });
+});
+
+/**
+ * @desc    Record collection of an offline (COD / cash / UPI / card) payment (OWNER/STAFF with permission)
+ * @route   PATCH /api/admin/orders/:id/payment
+ * @access  Private
+ */
+const recordOrderPayment = asyncHandler(async (req, res) => {
+  const { transactionId } = req.body;
+
   // CRITICAL: Find order with tenant isolation
   const order = await Order.findOne(shopQuery(req, { _id: req.params.id }));
+
   if (!order) {
     throw new AppError('Order not found', 404);
   }
 
-  // Update status
-  order.orderStatus = status;
-  if (note) {
-    order.statusHistory[order.statusHistory.length - 1].note = note;
+  if (!OFFLINE_PAYMENT_METHODS.includes(order.paymentMethod)) {
+    throw new AppError('Online payments are recorded by the payment gateway', 400);
   }
-  
-  if (status === 'DELIVERED') {
-    order.deliveredAt = new Date();
-    order.paymentStatus = 'COMPLETED'; // Mark payment as completed for COD
+
+  if (order.orderStatus === 'CANCELLED') {
+    throw new AppError('Cancelled orders cannot be paid', 400);
   }
 
-  await order.save();
+  // Conditional so a double submit (or delivery completing it meanwhile) records once
+  const updated = await Order.findOneAndUpdate(
+    shopQuery(req, { _id: order._id, paymentStatus: 'PENDING', orderStatus: { $ne: 'CANCELLED' } }),
+    {
+      $set: {
+        paymentStatus: 'COMPLETED',
+        'paymentDetails.transactionId': transactionId,
+        'paymentDetails.paidAt': new Date()
+      }
+    },
+    { new: true }
+  );
 
-  // Send notifications
-  const user = await User.findById(order.user);
-  Promise.all([
-    sendOrderStatusEmail(user, order, status),
-    sendWhatsApp(user, order, status)
-  ]).catch(err => console.error('Error sending notifications:', err));
+  if (!updated) {
+    throw new AppError(`Order payment is already ${order.paymentStatus.toLowerCase()}`, 400);
+  }
 
   res.status(200).json({
     success: true,
-    message: 'Order status updated successfully',
-    data: { order }
+    message: 'Payment recorded successfully',
+    data: { order: updated }
   });
 });
 
@@ -265,6 +571,9 @@ const updateUser = asyncHandler(async (req, res) => {
   if (role && ['OWNER', 'STAFF'].includes(role)) user.role = role;
   if (status) user.status = status;
   if (permissions && user.role === 'STAFF') user.permissions = permissions;
+  if (req.body.priceList !== undefined && user.role === 'CUSTOMER') {
+    user.priceList = await resolvePriceListId(req.shopId, req.body.priceList);
+  }
 
   await user.save();
 
@@ -430,8 +739,11 @@ const updateUserRole = asyncHandler(async (req, res) => {
 
 module.exports = {
   getDashboardStats,
+  getAbandonedCartReport,
   getAllOrders,
+  createStaffOrder,
   updateOrderStatus,
+  recordOrderPayment,
   getAllUsers,
   updateUser,
   toggleUserBlock,
@@ -1,7 +1,72 @@
 const Cart = require('../models/Cart.model');
 const Product = require('../models/Product.model');
+const Coupon = require('../models/Coupon.model');
 const { asyncHandler, AppError } = require('../middlewares/error.middleware');
 const { shopQuery } = require('../middlewares/tenantIsolation.middleware');
+const { formatQuantity } = require('../utils/units.util');
+const { getBuyerPriceList, getEffectivePrice } = require('../services/pricing.service');
+const {
+  getReservationSettings,
+  getAvailableStock,
+  holdCartLine,
+  releaseHolds
+} = require('../services/reservation.service');
+const {
+  normalizeCode,
+  getCartProducts,
+  calculateCouponDiscount,
+  refreshCartCoupon,
+  clearCartCoupon
+} = require('../services/coupon.service');
+
+/**
+ * Whether a cart line is the given product / variant
+ */
+const isSameLine = (item, productId, variantId) => (
+  item.product.toString() === productId.toString() &&
+  (item.variant ? item.variant.toString() : '') === (variantId ? variantId.toString() : '')
+);
+
+/**
+ * Resolve the variant a cart line refers to and the stock available for it
+ */
+const resolveVariant = (product, variantId) => {
+  if (product.variants.length === 0) {
+    if (variantId) {
+      throw new AppError('This product has no variants', 400);
+    }
+    return { variant: null, stock: product.stock };
+  }
+
+  if (!variantId) {
+    throw new AppError(`Please choose a ${product.options.map(option => option.name).join(' / ')}`, 400);
+  }
+
+  const variant = product.variants.id(variantId);
+  if (!variant || !variant.isActive) {
+    throw new AppError('Product variant is not available', 400);
+  }
+
+  return { variant, stock: variant.stock };
+};
+
+/**
+ * Quantities are in sellable units and must meet the product's minimum order quantity
+ */
+const assertOrderQuantity = (product, quantity) => {
+  if (quantity < (product.minOrderQuantity || 1)) {
+    throw new AppError(`Minimum order quantity for ${product.name} is ${formatQuantity(product.minOrderQuantity, product.unit)}`, 400);
+  }
+};
+
+/**
+ * Stock the customer can put in their cart - with cart reservations on,
+ * other customers' active holds are not available
+ */
+const getStockForCart = async (req, product, variant, stock, settings) => {
+  if (!settings) return stock;
+  return getAvailableStock(req.shopId, product, variant, { excludeUser: req.user._id });
+};
 
 /**
  * @desc    Get user cart
@@ -17,6 +82,12 @@ const getCart = asyncHandler(async (req, res) => {
     cart = await Cart.create({ shopId: req.shopId, user: req.user._id, items: [] });
   }
 
+  // The coupon may have expired or run out since it was applied
+  if (cart.coupon) {
+    await refreshCartCoupon(cart);
+    if (cart.isModified()) await cart.save();
+  }
+
   res.status(200).json({
     success: true,
     data: { cart }
@@ -29,7 +100,7 @@ const getCart = asyncHandler(async (req, res) => {
  * @access  Private
  */
 const addToCart = asyncHandler(async (req, res) => {
-  const { productId, quantity = 1 } = req.body;
+  const { productId, variantId, quantity = 1 } = req.body;
 
   // CRITICAL: Validate product with tenant isolation
   const product = await Product.findOne(shopQuery(req, { _id: productId }));
@@ -41,8 +112,12 @@ const addToCart = asyncHandler(async (req, res) => {
     throw new AppError('Product is not available', 400);
   }
 
-  if (product.stock < quantity) {
-    throw new AppError('Insufficient stock', 400);
+  const { variant, stock: onHand } = resolveVariant(product, variantId);
+  const reservations = await getReservationSettings(req.shopId);
+  const stock = await getStockForCart(req, product, variant, onHand, reservations);
+
+  if (stock < quantity) {
+    throw new AppError(`Insufficient stock. Available: ${formatQuantity(stock, product.unit)}`, 400);
   }
 
   // Get or create cart with tenant isolation
@@ -51,48 +126,63 @@ const addToCart = asyncHandler(async (req, res) => {
     cart = new Cart({ shopId: req.shopId, user: req.user._id, items: [] });
   }
 
-  // Check if product already in cart
+  // Check if product (variant) already in cart
   const existingItemIndex = cart.items.findIndex(
-    item => item.product.toString() === productId
+    item => isSameLine(item, productId, variantId)
   );
 
   if (existingItemIndex > -1) {
     // Update quantity
     const newQuantity = cart.items[existingItemIndex].quantity + quantity;
+    assertOrderQuantity(product, newQuantity);
     
-    if (product.stock < newQuantity) {
-      throw new AppError('Insufficient stock', 400);
+    if (stock < newQuantity) {
+      throw new AppError(`Insufficient stock. Available: ${formatQuantity(stock, product.unit)}`, 400);
     }
     
-    cart.items[existingItemIndex].quantity = newQuantity;
+    // Tier prices depend on quantity, so re-price the line
+    const priceList = await getBuyerPriceList(req.shopId, req.user);
+    Object.assign(cart.items[existingItemIndex], {
+      quantity: newQuantity,
+      ...getEffectivePrice(product, variant, newQuantity, priceList)
+    });
   } else {
-    // Add new item
+    assertOrderQuantity(product, quantity);
+
+    // Add new item at the buyer's effective price (product / tier / price list)
+    const priceList = await getBuyerPriceList(req.shopId, req.user);
     cart.items.push({
       product: productId,
+      variant: variant ? variant._id : undefined,
       quantity,
-      price: product.price,
-      discount: product.discount,
-      finalPrice: product.finalPrice
+      ...getEffectivePrice(product, variant, quantity, priceList)
     });
   }
 
+  await refreshCartCoupon(cart);
   await cart.save();
+
+  // Hold the line's full quantity (refreshes the hold period)
+  const line = cart.items.find(item => isSameLine(item, productId, variantId));
+  const hold = reservations ? await holdCartLine(req.shopId, req.user._id, line, reservations) : null;
+
   await cart.populate('items.product');
 
   res.status(200).json({
     success: true,
     message: 'Item added to cart',
-    data: { cart }
+    data: { cart, reservedUntil: hold ? hold.expiresAt : undefined }
   });
 });
 
 /**
  * @desc    Update cart item quantity
- * @route   PUT /api/cart/items/:productId
+ * @route   PUT /api/cart/items/:productId?variantId=
  * @access  Private
  */
 const updateCartItem = asyncHandler(async (req, res) => {
   const { productId } = req.params;
+  const { variantId } = req.query;
   const { quantity } = req.body;
 
   if (quantity < 1) {
@@ -107,7 +197,7 @@ const updateCartItem = asyncHandler(async (req, res) => {
 
   // Find item in cart
   const itemIndex = cart.items.findIndex(
-    item => item.product.toString() === productId
+    item => isSameLine(item, productId, variantId)
   );
 
   if (itemIndex === -1) {
@@ -120,29 +210,44 @@ const updateCartItem = asyncHandler(async (req, res) => {
     throw new AppError('Product not found', 404);
   }
 
-  if (product.stock < quantity) {
-    throw new AppError('Insufficient stock', 400);
+  const { variant, stock: onHand } = resolveVariant(product, variantId);
+  assertOrderQuantity(product, quantity);
+
+  const reservations = await getReservationSettings(req.shopId);
+  const stock = await getStockForCart(req, product, variant, onHand, reservations);
+
+  if (stock < quantity) {
+    throw new AppError(`Insufficient stock. Available: ${formatQuantity(stock, product.unit)}`, 400);
   }
 
-  // Update quantity
-  cart.items[itemIndex].quantity = quantity;
+  // Update quantity and re-price the line (tier prices depend on quantity)
+  const priceList = await getBuyerPriceList(req.shopId, req.user);
+  Object.assign(cart.items[itemIndex], {
+    quantity,
+    ...getEffectivePrice(product, variant, quantity, priceList)
+  });
+  await refreshCartCoupon(cart);
   await cart.save();
+
+  const hold = reservations ? await holdCartLine(req.shopId, req.user._id, cart.items[itemIndex], reservations) : null;
+
   await cart.populate('items.product');
 
   res.status(200).json({
     success: true,
     message: 'Cart updated',
-    data: { cart }
+    data: { cart, reservedUntil: hold ? hold.expiresAt : undefined }
   });
 });
 
 /**
  * @desc    Remove item from cart
- * @route   DELETE /api/cart/items/:productId
+ * @route   DELETE /api/cart/items/:productId?variantId=
  * @access  Private
  */
 const removeFromCart = asyncHandler(async (req, res) => {
   const { productId } = req.params;
+  const { variantId } = req.query;
 
   // CRITICAL: Find cart with tenant isolation
   const cart = await Cart.findOne(shopQuery(req, { user: req.user._id }));
@@ -152,10 +257,12 @@ const removeFromCart = asyncHandler(async (req, res) => {
 
   // Remove item
   cart.items = cart.items.filter(
-    item => item.product.toString() !== productId
+    item => !isSameLine(item, productId, variantId)
   );
 
+  await refreshCartCoupon(cart);
   await cart.save();
+  await releaseHolds(req.shopId, req.user._id, { product: productId, variant: variantId });
   await cart.populate('items.product');
 
   res.status(200).json({
@@ -176,8 +283,10 @@ const clearCart = asyncHandler(async (req, res) => {
   
   if (cart) {
     cart.items = [];
+    clearCartCoupon(cart);
     await cart.save();
   }
+  await releaseHolds(req.shopId, req.user._id);
 
   res.status(200).json({
     success: true,
@@ -186,10 +295,75 @@ const clearCart = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @desc    Apply a coupon code to the cart
+ * @route   POST /api/cart/coupon
+ * @access  Private
+ */
+const applyCoupon = asyncHandler(async (req, res) => {
+  // CRITICAL: Find cart with tenant isolation
+  const cart = await Cart.findOne(shopQuery(req, { user: req.user._id }));
+  if (!cart || cart.items.length === 0) {
+    throw new AppError('Add items to your cart before applying a coupon', 400);
+  }
+
+  // CRITICAL: Coupons are per shop
+  const coupon = await Coupon.findOne(shopQuery(req, { code: normalizeCode(req.body.code) }));
+  if (!coupon) {
+    throw new AppError('Invalid coupon code', 404);
+  }
+
+  // Rejects with the reason when the coupon can't be used on this cart
+  await cart.applyPromotions();
+  const { discount } = await calculateCouponDiscount(coupon, {
+    user: req.user._id,
+    items: cart.items,
+    products: await getCartProducts(cart)
+  });
+
+  cart.coupon = coupon._id;
+  cart.couponCode = coupon.code;
+  cart.couponDiscount = discount;
+  cart.couponMessage = undefined;
+  await cart.save();
+  await cart.populate('items.product');
+
+  res.status(200).json({
+    success: true,
+    message: `Coupon ${coupon.code} applied`,
+    data: { cart }
+  });
+});
+
+/**
+ * @desc    Remove the coupon from the cart
+ * @route   DELETE /api/cart/coupon
+ * @access  Private
+ */
+const removeCoupon = asyncHandler(async (req, res) => {
+  // CRITICAL: Find cart with tenant isolation
+  const cart = await Cart.findOne(shopQuery(req, { user: req.user._id }));
+  if (!cart) {
+    throw new AppError('Cart not found', 404);
+  }
+
+  clearCartCoupon(cart);
+  await cart.save();
+  await cart.populate('items.product');
+
+  res.status(200).json({
+    success: true,
+    message: 'Coupon removed',
+    data: { cart }
+  });
+});
+
 module.exports = {
   getCart,
   addToCart,
   updateCartItem,
   removeFromCart,
-  clearCart
+  clearCart,
+  applyCoupon,
+  removeCoupon
 };
@@ -0,0 +1,201 @@
+const mongoose = require('mongoose');
+const Category = require('../models/Category.model');
+const Product = require('../models/Product.model');
+const { asyncHandler, AppError } = require('../middlewares/error.middleware');
+const { shopQuery } = require('../middlewares/tenantIsolation.middleware');
+const { saveFile } = require('../services/storage.service');
+const { sanitizeImage } = require('../services/image.service');
+const {
+  findCategory,
+  setParent,
+  updateDescendantAncestors,
+  buildCategoryTree
+} = require('../services/category.service');
+
+/**
+ * Shop staff see inactive categories, shoppers don't
+ */
+const isShopStaff = (req) => Boolean(req.user && ['OWNER', 'STAFF'].includes(req.user.role));
+
+/**
+ * Image from an upload or a URL in the body (undefined when neither is sent)
+ */
+const resolveImage = async (req) => {
+  if (req.file) {
+    const image = await sanitizeImage(req.file.buffer);
+    const stored = await saveFile({
+      shopId: req.shopId,
+      buffer: image.buffer,
+      folder: 'categories',
+      extension: image.format,
+      contentType: image.contentType
+    });
+    return stored.url;
+  }
+  return req.body.image;
+};
+
+/**
+ * @desc    Get the shop's categories as a tree (?flat=true for a flat list)
+ * @route   GET /api/categories
+ * @access  Public (with shopSlug) or Private (with auth)
+ */
+const getCategories = asyncHandler(async (req, res) => {
+  // CRITICAL: Query with tenant isolation
+  const query = shopQuery(req);
+  if (!isShopStaff(req)) query.isActive = true;
+
+  const categories = await Category.find(query).sort('sortOrder name');
+
+  res.status(200).json({
+    success: true,
+    data: {
+      categories: req.query.flat === 'true' ? categories : buildCategoryTree(categories)
+    }
+  });
+});
+
+/**
+ * @desc    Get a category (by id or slug) with its breadcrumb and subcategories
+ * @route   GET /api/categories/:id
+ * @access  Public (with shopSlug) or Private (with auth)
+ */
+const getCategory = asyncHandler(async (req, res) => {
+  const category = await findCategory(req.shopId, req.params.id);
+  if (!category || (!category.isActive && !isShopStaff(req))) {
+    throw new AppError('Category not found', 404);
+  }
+
+  // CRITICAL: Queries with tenant isolation
+  const childQuery = shopQuery(req, { parent: category._id });
+  if (!isShopStaff(req)) childQuery.isActive = true;
+
+  const [ancestors, children] = await Promise.all([
+    Category.find(shopQuery(req, { _id: { $in: category.ancestors } })).select('name slug'),
+    Category.find(childQuery).sort('sortOrder name')
+  ]);
+
+  // Breadcrumb in root-first order
+  const breadcrumb = category.ancestors
+    .map(id => ancestors.find(ancestor => ancestor._id.equals(id)))
+    .filter(Boolean);
+
+  res.status(200).json({
+    success: true,
+    data: { category, breadcrumb, children }
+  });
+});
+
+/**
+ * @desc    Create category (OWNER or STAFF with permission)
+ * @route   POST /api/categories
+ * @access  Private
+ */
+const createCategory = asyncHandler(async (req, res) => {
+  const { name, slug, description, parent, sortOrder, isActive } = req.body;
+
+  // CRITICAL: Create category with shopId
+  const category = new Category({
+    shopId: req.shopId,
+    name,
+    slug,
+    description,
+    sortOrder,
+    isActive,
+    image: await resolveImage(req),
+    createdBy: req.user._id
+  });
+
+  await setParent(category, parent);
+  await category.save();
+
+  res.status(201).json({
+    success: true,
+    message: 'Category created successfully',
+    data: { category }
+  });
+});
+
+/**
+ * @desc    Update category - moving it (parent) moves its subcategories too
+ * @route   PUT /api/categories/:id
+ * @access  Private
+ */
+const updateCategory = asyncHandler(async (req, res) => {
+  // CRITICAL: Find category with tenant isolation
+  const category = await Category.findOne(shopQuery(req, { _id: req.params.id }));
+
+  if (!category) {
+    throw new AppError('Category not found', 404);
+  }
+
+  const { name, slug, description, parent, sortOrder, isActive } = req.body;
+  if (name !== undefined) category.name = name;
+  if (slug !== undefined) category.slug = slug;
+  if (description !== undefined) category.description = description;
+  if (sortOrder !== undefined) category.sortOrder = sortOrder;
+  if (isActive !== undefined) category.isActive = isActive;
+
+  const image = await resolveImage(req);
+  if (image !== undefined) category.image = image;
+
+  const moved = parent !== undefined && String(parent || '') !== String(category.parent || '');
+  if (moved) {
+    await setParent(category, parent);
+  }
+
+  // The category and its subcategories' ancestors change together
+  await mongoose.connection.transaction(async (session) => {
+    await category.save({ session });
+    if (moved) {
+      await updateDescendantAncestors(category, session);
+    }
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Category updated successfully',
+    data: { category }
+  });
+});
+
+/**
+ * @desc    Delete category - only when it has no subcategories or products
+ * @route   DELETE /api/categories/:id
+ * @access  Private
+ */
+const deleteCategory = asyncHandler(async (req, res) => {
+  // CRITICAL: Find category with tenant isolation
+  const category = await Category.findOne(shopQuery(req, { _id: req.params.id }));
+
+  if (!category) {
+    throw new AppError('Category not found', 404);
+  }
+
+  const [hasChildren, hasProducts] = await Promise.all([
+    Category.exists(shopQuery(req, { parent: category._id })),
+    Product.exists(shopQuery(req, { category: category._id }))
+  ]);
+
+  if (hasChildren) {
+    throw new AppError('Move or delete its subcategories first', 409);
+  }
+  if (hasProducts) {
+    throw new AppError('Move its products to another category first', 409);
+  }
+
+  await category.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    message: 'Category deleted successfully'
+  });
+});
+
+module.exports = {
+  getCategories,
+  getCategory,
+  createCategory,
+  updateCategory,
+  deleteCategory
+};
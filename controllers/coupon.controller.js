@@ -0,0 +1,191 @@
+const Coupon = require('../models/Coupon.model');
+const CouponRedemption = require('../models/CouponRedemption.model');
+const Product = require('../models/Product.model');
+const Category = require('../models/Category.model');
+const { asyncHandler, AppError } = require('../middlewares/error.middleware');
+const { shopQuery } = require('../middlewares/tenantIsolation.middleware');
+const { normalizeCode } = require('../services/coupon.service');
+
+const COUPON_FIELDS = [
+  'code', 'description', 'type', 'value', 'maxDiscount', 'minCartValue', 'startsAt', 'expiresAt',
+  'usageLimit', 'perCustomerLimit', 'products', 'categories', 'isActive'
+];
+
+/**
+ * Coupon restrictions may only point at the shop's own products and categories
+ */
+const assertShopReferences = async (req, { products, categories }) => {
+  // CRITICAL: Count with tenant isolation
+  if (products && products.length > 0) {
+    const count = await Product.countDocuments(shopQuery(req, { _id: { $in: products } }));
+    if (count !== new Set(products.map(String)).size) {
+      throw new AppError('One or more products were not found', 400);
+    }
+  }
+
+  if (categories && categories.length > 0) {
+    const count = await Category.countDocuments(shopQuery(req, { _id: { $in: categories } }));
+    if (count !== new Set(categories.map(String)).size) {
+      throw new AppError('One or more categories were not found', 400);
+    }
+  }
+};
+
+/**
+ * Codes are unique per shop
+ */
+const assertCodeAvailable = async (req, code, couponId) => {
+  const existing = await Coupon.findOne(shopQuery(req, { code: normalizeCode(code), _id: { $ne: couponId } }));
+  if (existing) {
+    throw new AppError(`A coupon with code ${existing.code} already exists`, 400);
+  }
+};
+
+/**
+ * @desc    Get coupons (?search=code&active=true)
+ * @route   GET /api/admin/coupons
+ * @access  Private
+ */
+const getCoupons = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, search, active } = req.query;
+
+  // CRITICAL: Base query with tenant isolation
+  const query = shopQuery(req);
+  if (search) query.code = { $regex: normalizeCode(search), $options: 'i' };
+  if (active !== undefined) query.isActive = active === 'true';
+
+  const skip = (page - 1) * limit;
+
+  const coupons = await Coupon.find(query)
+    .sort('-createdAt')
+    .limit(Number(limit))
+    .skip(skip);
+
+  const total = await Coupon.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      coupons,
+      pagination: {
+        page: Number(page),
+        limit: Number(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+/**
+ * @desc    Get single coupon with its latest redemptions
+ * @route   GET /api/admin/coupons/:id
+ * @access  Private
+ */
+const getCoupon = asyncHandler(async (req, res) => {
+  // CRITICAL: Find coupon with tenant isolation
+  const coupon = await Coupon.findOne(shopQuery(req, { _id: req.params.id }))
+    .populate('products', 'name sku')
+    .populate('categories', 'name slug');
+
+  if (!coupon) {
+    throw new AppError('Coupon not found', 404);
+  }
+
+  const redemptions = await CouponRedemption.find(shopQuery(req, { coupon: coupon._id }))
+    .populate('user', 'name email phone')
+    .populate('order', 'orderNumber totalAmount orderStatus')
+    .sort('-createdAt')
+    .limit(50);
+
+  res.status(200).json({
+    success: true,
+    data: { coupon, redemptions }
+  });
+});
+
+/**
+ * @desc    Create coupon (OWNER/STAFF with permission) - each customer can use it
+ *          once unless perCustomerLimit says otherwise (null for unlimited)
+ * @route   POST /api/admin/coupons
+ * @access  Private
+ */
+const createCoupon = asyncHandler(async (req, res) => {
+  await assertCodeAvailable(req, req.body.code);
+  await assertShopReferences(req, req.body);
+
+  const fields = Object.fromEntries(COUPON_FIELDS
+    .filter(field => req.body[field] !== undefined)
+    .map(field => [field, req.body[field]]));
+
+  // CRITICAL: Create coupon with shopId
+  const coupon = await Coupon.create({
+    ...fields,
+    shopId: req.shopId,
+    createdBy: req.user._id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Coupon created successfully',
+    data: { coupon }
+  });
+});
+
+/**
+ * @desc    Update coupon - products / categories sent replace the restrictions
+ * @route   PUT /api/admin/coupons/:id
+ * @access  Private
+ */
+const updateCoupon = asyncHandler(async (req, res) => {
+  // CRITICAL: Find coupon with tenant isolation
+  const coupon = await Coupon.findOne(shopQuery(req, { _id: req.params.id }));
+
+  if (!coupon) {
+    throw new AppError('Coupon not found', 404);
+  }
+
+  if (req.body.code !== undefined) {
+    await assertCodeAvailable(req, req.body.code, coupon._id);
+  }
+  await assertShopReferences(req, req.body);
+
+  COUPON_FIELDS
+    .filter(field => req.body[field] !== undefined)
+    .forEach(field => coupon.set(field, req.body[field]));
+
+  await coupon.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Coupon updated successfully',
+    data: { coupon }
+  });
+});
+
+/**
+ * @desc    Delete coupon - orders keep the code and discount they got
+ * @route   DELETE /api/admin/coupons/:id
+ * @access  Private
+ */
+const deleteCoupon = asyncHandler(async (req, res) => {
+  // CRITICAL: Delete with tenant isolation
+  const coupon = await Coupon.findOneAndDelete(shopQuery(req, { _id: req.params.id }));
+
+  if (!coupon) {
+    throw new AppError('Coupon not found', 404);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Coupon deleted successfully'
+  });
+});
+
+module.exports = {
+  getCoupons,
+  getCoupon,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon
+};
@@ -1,6 +1,7 @@
 const Customer = require('../models/Customer.model');
 const { asyncHandler, AppError } = require('../middlewares/error.middleware');
 const { shopQuery } = require('../middlewares/tenantIsolation.middleware');
+const { resolvePriceListId } = require('../services/pricing.service');
 
 /**
  * @desc    Get all customers (OWNER or STAFF with permission)
@@ -70,6 +71,7 @@ const getCustomer = asyncHandler(async (req, res) => {
  */
 const createCustomer = asyncHandler(async (req, res) => {
   const { name, email, phone, address, notes } = req.body;
+  const priceList = await resolvePriceListId(req.shopId, req.body.priceList);
 
   // CRITICAL: Create customer with shopId
   const customer = await Customer.create({
@@ -78,7 +80,8 @@ const createCustomer = asyncHandler(async (req, res) => {
     email,
     phone,
     address,
-    notes
+    notes,
+    priceList
   });
 
   res.status(201).json({
@@ -95,11 +98,17 @@ const createCustomer = asyncHandler(async (req, res) => {
  */
 const updateCustomer = asyncHandler(async (req, res) => {
   const { name, email, phone, address, notes } = req.body;
+  const update = { name, email, phone, address, notes };
+
+  // Price list is only changed when sent (null removes it)
+  if (req.body.priceList !== undefined) {
+    update.priceList = await resolvePriceListId(req.shopId, req.body.priceList);
+  }
 
   // CRITICAL: Find and update customer with tenant isolation
   const customer = await Customer.findOneAndUpdate(
     shopQuery(req, { _id: req.params.id }),
-    { name, email, phone, address, notes },
+    update,
     { new: true, runValidators: true }
   );
 
@@ -0,0 +1,157 @@
+const DeliveryZone = require('../models/DeliveryZone.model');
+const Shop = require('../models/Shop.model');
+const { asyncHandler, AppError } = require('../middlewares/error.middleware');
+const { shopQuery } = require('../middlewares/tenantIsolation.middleware');
+const { parsePincodeList, checkServiceability } = require('../services/serviceability.service');
+
+/**
+ * Pick zone fields from the request body, parsing an uploaded pincode list
+ */
+const buildZoneFields = (body) => {
+  const { name, pincodes, codAvailable, estimatedDays, isActive } = body;
+  const fields = {};
+
+  if (name !== undefined) fields.name = name;
+  if (codAvailable !== undefined) fields.codAvailable = codAvailable;
+  if (estimatedDays !== undefined) fields.estimatedDays = estimatedDays;
+  if (isActive !== undefined) fields.isActive = isActive;
+
+  // The uploaded list replaces both exact pincodes and ranges
+  if (pincodes !== undefined) {
+    const parsed = parsePincodeList(pincodes);
+
+    if (parsed.invalid.length > 0) {
+      throw new AppError(
+        'Some pincodes are invalid',
+        400,
+        parsed.invalid.map(entry => ({ value: entry, message: 'Expected a 6-digit pincode or a range like 400001-400099' }))
+      );
+    }
+
+    fields.pincodes = parsed.pincodes;
+    fields.pincodeRanges = parsed.pincodeRanges;
+  }
+
+  return fields;
+};
+
+/**
+ * @desc    Get delivery zones for the shop
+ * @route   GET /api/shops/delivery-zones
+ * @access  Private (OWNER/STAFF)
+ */
+const getDeliveryZones = asyncHandler(async (req, res) => {
+  // CRITICAL: Query with tenant isolation
+  const zones = await DeliveryZone.find(shopQuery(req)).sort('name');
+
+  res.status(200).json({
+    success: true,
+    data: {
+      zones,
+      // No active zones means the shop delivers everywhere
+      restricted: zones.some(zone => zone.isActive)
+    }
+  });
+});
+
+/**
+ * @desc    Create delivery zone (OWNER only)
+ * @route   POST /api/shops/delivery-zones
+ * @access  Private (OWNER only)
+ */
+const createDeliveryZone = asyncHandler(async (req, res) => {
+  // CRITICAL: Create zone with shopId
+  const zone = await DeliveryZone.create({
+    ...buildZoneFields(req.body),
+    shopId: req.shopId,
+    createdBy: req.user._id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Delivery zone created successfully',
+    data: { zone }
+  });
+});
+
+/**
+ * @desc    Update delivery zone (OWNER only)
+ * @route   PUT /api/shops/delivery-zones/:id
+ * @access  Private (OWNER only)
+ */
+const updateDeliveryZone = asyncHandler(async (req, res) => {
+  // CRITICAL: Find zone with tenant isolation
+  const zone = await DeliveryZone.findOne(shopQuery(req, { _id: req.params.id }));
+
+  if (!zone) {
+    throw new AppError('Delivery zone not found', 404);
+  }
+
+  zone.set(buildZoneFields(req.body));
+  await zone.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Delivery zone updated successfully',
+    data: { zone }
+  });
+});
+
+/**
+ * @desc    Delete delivery zone (OWNER only)
+ * @route   DELETE /api/shops/delivery-zones/:id
+ * @access  Private (OWNER only)
+ */
+const deleteDeliveryZone = asyncHandler(async (req, res) => {
+  // CRITICAL: Delete with tenant isolation
+  const zone = await DeliveryZone.findOneAndDelete(shopQuery(req, { _id: req.params.id }));
+
+  if (!zone) {
+    throw new AppError('Delivery zone not found', 404);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Delivery zone deleted successfully'
+  });
+});
+
+/**
+ * @desc    Check whether a shop delivers to a pincode (public, for the storefront)
+ * @route   GET /api/shops/slug/:slug/serviceability?pincode=
+ * @access  Public
+ */
+const getServiceabilityBySlug = asyncHandler(async (req, res) => {
+  const { pincode } = req.query;
+
+  if (!/^[1-9][0-9]{5}$/.test(String(pincode || '').trim())) {
+    throw new AppError('Please provide a valid 6-digit pincode', 400);
+  }
+
+  const shop = await Shop.findOne({ slug: req.params.slug, isActive: true }).select('_id');
+
+  if (!shop) {
+    throw new AppError('Shop not found or inactive', 404);
+  }
+
+  const result = await checkServiceability(shop._id, pincode);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      pincode: String(pincode).trim(),
+      serviceable: result.serviceable,
+      codAvailable: result.codAvailable,
+      estimatedDays: result.estimatedDays,
+      zone: result.zone
+    }
+  });
+});
+
+module.exports = {
+  getDeliveryZones,
+  createDeliveryZone,
+  updateDeliveryZone,
+  deleteDeliveryZone,
+  getServiceabilityBySlug
+};
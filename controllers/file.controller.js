@@ -0,0 +1,39 @@
+const fs = require('fs');
+const { asyncHandler, AppError } = require('../middlewares/error.middleware');
+const { getStorage } = require('../services/storage.service');
+
+/**
+ * @desc    Serve a file stored by the local storage driver
+ *          (private/ files need the expires & signature from a signed URL)
+ * @route   GET /files/*
+ * @access  Public
+ */
+const serveFile = asyncHandler(async (req, res) => {
+  const local = getStorage('local');
+  // CRITICAL: Decide public / private on the normalized key - public/../private/x
+  // must not get past the signature check
+  const key = local.normalizeKey(req.params[0]);
+  if (!key) {
+    throw new AppError('File not found', 404);
+  }
+
+  const isPrivate = local.isPrivateKey(key);
+  if (isPrivate && !local.verifySignedUrl(key, req.query.expires, req.query.signature)) {
+    throw new AppError('This link is invalid or has expired', 403);
+  }
+
+  // CRITICAL: Never serve anything outside the storage folder
+  const filepath = local.resolvePath(key);
+  if (!filepath || !fs.existsSync(filepath)) {
+    throw new AppError('File not found', 404);
+  }
+
+  // Images are embedded by the storefront on another origin
+  res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+  if (isPrivate) {
+    res.set('Cache-Control', 'private, no-store');
+  }
+  res.sendFile(filepath);
+});
+
+module.exports = { serveFile };
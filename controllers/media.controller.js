@@ -0,0 +1,90 @@
+const Media = require('../models/Media.model');
+const { asyncHandler, AppError } = require('../middlewares/error.middleware');
+const { shopQuery } = require('../middlewares/tenantIsolation.middleware');
+const { deleteUnusedMedia } = require('../services/media.service');
+
+/**
+ * @desc    Get the shop's media library (?unused=true for images no product uses)
+ * @route   GET /api/media
+ * @access  Private
+ */
+const getMediaLibrary = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 50, unused } = req.query;
+
+  // CRITICAL: Base query with tenant isolation
+  const query = shopQuery(req);
+  if (unused === 'true') query['products.0'] = { $exists: false };
+
+  const skip = (page - 1) * limit;
+
+  const media = await Media.find(query)
+    .populate('products', 'name slug')
+    .sort('-createdAt')
+    .limit(Number(limit))
+    .skip(skip);
+
+  const total = await Media.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      media,
+      pagination: {
+        page: Number(page),
+        limit: Number(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+/**
+ * @desc    Update an image's default alt text
+ * @route   PATCH /api/media/:id
+ * @access  Private
+ */
+const updateMedia = asyncHandler(async (req, res) => {
+  // CRITICAL: Find image with tenant isolation
+  const media = await Media.findOne(shopQuery(req, { _id: req.params.id }));
+
+  if (!media) {
+    throw new AppError('Image not found', 404);
+  }
+
+  media.altText = req.body.altText;
+  await media.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Image updated successfully',
+    data: { media }
+  });
+});
+
+/**
+ * @desc    Delete an image no product uses
+ * @route   DELETE /api/media/:id
+ * @access  Private
+ */
+const deleteMedia = asyncHandler(async (req, res) => {
+  // CRITICAL: Find image with tenant isolation
+  const media = await Media.findOne(shopQuery(req, { _id: req.params.id }));
+
+  if (!media) {
+    throw new AppError('Image not found', 404);
+  }
+
+  await deleteUnusedMedia(media);
+
+  res.status(200).json({
+    success: true,
+    message: 'Image deleted successfully'
+  });
+});
+
+module.exports = {
+  getMediaLibrary,
+  updateMedia,
+  deleteMedia
+};
@@ -1,124 +1,318 @@
+const mongoose = require('mongoose');
 const Order = require('../models/Order.model');
 const Cart = require('../models/Cart.model');
-const Product = require('../models/Product.model');
 const User = require('../models/User.model');
+const Shop = require('../models/Shop.model');
+const Coupon = require('../models/Coupon.model');
 const { asyncHandler, AppError } = require('../middlewares/error.middleware');
-const { sendOrderPlacedEmail, sendOrderStatusEmail, sendInvoiceEmail } = require('../services/email.service');
-const { sendOrderPlacedWhatsApp, sendOrderStatusWhatsApp, sendInvoiceWhatsApp, notifyAdminNewOrder } = require('../services/whatsapp.service');
+const { sendOrderPlacedEmail, sendInvoiceEmail } = require('../services/email.service');
+const { sendOrderPlacedWhatsApp, sendInvoiceWhatsApp, notifyAdminNewOrder } = require('../services/whatsapp.service');
 const { generateInvoice } = require('../services/invoice.service');
+const { readFile, getFileUrl, NOTIFICATION_LINK_SECONDS } = require('../services/storage.service');
+const { reserveStock, checkStock } = require('../services/stock.service');
+const { withHeldQuantities, releaseHolds } = require('../services/reservation.service');
+const { applyOrderTax } = require('../services/tax.service');
+const { calculateShipping } = require('../services/shipping.service');
+const { checkServiceability, assertServiceable } = require('../services/serviceability.service');
+const { transitionOrderStatus, getAllowedTransitions, getOrderRecipient } = require('../services/orderStatus.service');
+const { generateOrderNumber, generateInvoiceNumber } = require('../services/sequence.service');
 const { shopQuery } = require('../middlewares/tenantIsolation.middleware');
-const path = require('path');
-const fs = require('fs');
+const { formatQuantity } = require('../utils/units.util');
+const { calculateCouponDiscount, redeemCoupon, clearCartCoupon } = require('../services/coupon.service');
+const { markCartRecovered } = require('../services/cartReminder.service');
 
 /**
- * Generate unique order number (per shop)
+ * Assign the next invoice number to an order exactly once
+ * The number is only kept if this request is the one that sets it, so
+ * concurrent downloads can't burn a sequence value (invoices stay gap-free).
  */
-const generateOrderNumber = async (shopId) => {
-  const date = new Date();
-  const year = date.getFullYear().toString().slice(-2);
-  const month = (date.getMonth() + 1).toString().padStart(2, '0');
-  const day = date.getDate().toString().padStart(2, '0');
-  
-  // Count orders today for this shop to get sequence
-  const startOfDay = new Date(date.setHours(0, 0, 0, 0));
-  const endOfDay = new Date(date.setHours(23, 59, 59, 999));
-  
-  // CRITICAL: Count orders per shop
-  const todayOrdersCount = await Order.countDocuments({
-    shopId,
-    createdAt: { $gte: startOfDay, $lte: endOfDay }
+const assignInvoiceNumber = async (order, shopId) => {
+  await mongoose.connection.transaction(async (session) => {
+    const invoiceNumber = await generateInvoiceNumber(shopId, { session });
+
+    const result = await Order.updateOne(
+      { _id: order._id, shopId, invoiceNumber: null },
+      { $set: { invoiceNumber } },
+      { session }
+    );
+
+    if (result.modifiedCount === 0) {
+      // Someone else numbered it first - abort to roll back our increment
+      throw new AppError('Invoice already numbered', 409);
+    }
+  }).catch(error => {
+    if (error.statusCode !== 409) throw error;
   });
-  
-  const sequence = (todayOrdersCount + 1).toString().padStart(4, '0');
-  return `ORD${year}${month}${day}${sequence}`;
+
+  const { invoiceNumber } = await Order.findById(order._id).select('invoiceNumber');
+  return invoiceNumber;
 };
 
 /**
- * @desc    Create order from cart (COD)
- * @route   POST /api/orders
+ * Price cart lines into order items with GST and shipping
+ * Shared by checkout and the checkout quote so both always agree.
+ * @param {Object} shop - needs address, gst, tax and shipping settings
+ * @param {Array} cartItems
+ * @param {Array} products - product for each cart line, same order
+ * @param {Object} shippingAddress
+ * @param {Array} couponLines - coupon discount for each cart line (see services/coupon.service.js)
+ */
+const priceCart = (shop, cartItems, products, shippingAddress, couponLines = []) => {
+  const pricedItems = cartItems.map((item, index) => {
+    const product = products[index];
+    const variant = item.variant ? product.variants.id(item.variant) : null;
+
+    return {
+      product: item.product,
+      name: product.name,
+      variant: item.variant,
+      variantName: variant ? product.getVariantLabel(variant) : undefined,
+      sku: variant ? variant.sku : undefined,
+      image: (variant && variant.images[0]) || product.primaryImage,
+      quantity: item.quantity,
+      unit: product.unit,
+      conversionFactor: product.conversionFactor,
+      price: item.price,
+      discount: item.discount,
+      finalPrice: item.finalPrice,
+      subtotal: item.finalPrice * item.quantity,
+      promotion: item.promotion,
+      promotionDiscount: item.promotionDiscount || 0,
+      couponDiscount: couponLines[index] || 0
+    };
+  });
+
+  // GST per line - CGST+SGST or IGST depending on the delivery state
+  const { items: orderItems, taxBreakup, tax, itemsTotal } = applyOrderTax(
+    shop, pricedItems, products, shippingAddress.state
+  );
+
+  const subtotal = orderItems.reduce((sum, item) => sum + item.subtotal, 0);
+  const discount = orderItems.reduce((sum, item) => sum + ((item.price - item.finalPrice) * item.quantity), 0);
+  const promotionDiscount = orderItems.reduce((sum, item) => sum + item.promotionDiscount, 0);
+  const couponDiscount = orderItems.reduce((sum, item) => sum + item.couponDiscount, 0);
+
+  // Shipping from the shop's profile (flat / free above / zone / slab) - on what the customer pays for items
+  const { shippingCharges, rule: shippingRule } = calculateShipping(shop, {
+    items: orderItems,
+    products,
+    subtotal: subtotal - promotionDiscount - couponDiscount,
+    address: shippingAddress
+  });
+
+  return {
+    orderItems,
+    subtotal,
+    discount,
+    promotionDiscount,
+    couponDiscount,
+    shippingCharges,
+    shippingRule,
+    tax,
+    taxBreakup,
+    totalAmount: itemsTotal + shippingCharges
+  };
+};
+
+/**
+ * @desc    Quote shipping, tax and totals for the cart before checkout
+ * @route   POST /api/orders/quote
  * @access  Private
  */
-const createOrder = asyncHandler(async (req, res) => {
+const quoteOrder = asyncHandler(async (req, res) => {
   const { shippingAddress } = req.body;
 
   // Get user cart with tenant isolation
-  const cart = await Cart.findOne(shopQuery(req, { user: req.user._id })).populate('items.product');
+  const cart = await Cart.findOne(shopQuery(req, { user: req.user._id }));
 
   if (!cart || cart.items.length === 0) {
     throw new AppError('Cart is empty', 400);
   }
 
-  // Validate stock for all items with tenant isolation
-  for (const item of cart.items) {
-    const product = await Product.findOne(shopQuery(req, { _id: item.product._id }));
-    
-    if (!product) {
-      throw new AppError(`Product ${item.product.name} not found`, 404);
+  // Lines that can't be ordered right now are reported, not priced
+  const lines = await withHeldQuantities(req.shopId, req.user._id, cart.items);
+  // Filtered by line, not product - one variant of a product can fail while another passes
+  const { products, failed, available } = await checkStock(req.shopId, lines);
+  const availableItems = cart.items.filter((item, index) => available[index]);
+
+  // Promotions running right now (a flash sale may have ended since the cart was saved),
+  // on the lines that can be ordered - a bundle missing a component gets no saving
+  await cart.applyPromotions(null, availableItems);
+
+  // A coupon that doesn't apply is reported - checkout would reject it
+  let coupon;
+  let couponLines = [];
+  if (cart.coupon) {
+    coupon = { code: cart.couponCode, discount: 0 };
+    const applied = await Coupon.findOne(shopQuery(req, { _id: cart.coupon }));
+    try {
+      if (!applied) throw new AppError('This coupon is no longer available', 400);
+      ({ lines: couponLines } = await calculateCouponDiscount(applied, {
+        user: req.user._id,
+        items: availableItems,
+        products
+      }));
+    } catch (error) {
+      if (!error.statusCode) throw error;
+      coupon.message = error.message;
     }
+  }
 
-    if (!product.isActive) {
-      throw new AppError(`Product ${item.product.name} is not available`, 400);
+  const shop = await Shop.findById(req.shopId).select('address gst tax shipping');
+  const quote = priceCart(shop, availableItems, products, shippingAddress, couponLines);
+  if (coupon) coupon.discount = quote.couponDiscount;
+
+  const serviceability = await checkServiceability(req.shopId, shippingAddress.pincode);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      items: quote.orderItems,
+      subtotal: quote.subtotal,
+      discount: quote.discount,
+      promotionDiscount: quote.promotionDiscount,
+      coupon,
+      couponDiscount: quote.couponDiscount,
+      shippingCharges: quote.shippingCharges,
+      shippingRule: quote.shippingRule,
+      tax: quote.tax,
+      taxBreakup: quote.taxBreakup,
+      totalAmount: quote.totalAmount,
+      unavailableItems: failed,
+      serviceability: {
+        serviceable: serviceability.serviceable,
+        codAvailable: serviceability.codAvailable,
+        estimatedDays: serviceability.estimatedDays
+      }
     }
+  });
+});
 
-    if (product.stock < item.quantity) {
-      throw new AppError(
-        `Insufficient stock for ${item.product.name}. Available: ${product.stock}`,
-        400
-      );
+/**
+ * @desc    Create order from cart (COD or ONLINE - online orders are paid via /:id/pay)
+ * @route   POST /api/orders
+ * @access  Private
+ */
+const createOrder = asyncHandler(async (req, res) => {
+  const { shippingAddress, paymentMethod = 'COD' } = req.body;
+
+  // Reject addresses (or COD) the shop can't deliver to before touching stock
+  await assertServiceable(req.shopId, shippingAddress, paymentMethod);
+
+  const shop = await Shop.findById(req.shopId).select('address gst tax shipping');
+
+  let order;
+
+  // Stock decrements, order insert and cart clear commit or roll back together
+  await mongoose.connection.transaction(async (session) => {
+    // Get user cart with tenant isolation (inside the transaction, so a
+    // concurrent checkout of the same cart conflicts instead of double-ordering)
+    const cart = await Cart.findOne(shopQuery(req, { user: req.user._id })).session(session);
+
+    if (!cart || cart.items.length === 0) {
+      throw new AppError('Cart is empty', 400);
     }
-  }
 
-  // Prepare order items
-  const orderItems = cart.items.map(item => ({
-    product: item.product._id,
-    name: item.product.name,
-    image: item.product.images[0] || '',
-    quantity: item.quantity,
-    price: item.price,
-    discount: item.discount,
-    finalPrice: item.finalPrice,
-    subtotal: item.finalPrice * item.quantity
-  }));
-
-  // Calculate totals
-  const subtotal = orderItems.reduce((sum, item) => sum + item.subtotal, 0);
-  const discount = cart.discount;
-  const shippingCharges = subtotal > 500 ? 0 : 50; // Free shipping above ₹500
-  const tax = 0; // No tax in phase 1
-  const totalAmount = subtotal + shippingCharges + tax;
+    // Generate order number for this shop (atomic, rolls back with the order)
+    // up front so the stock ledger can point at the order
+    const orderId = new mongoose.Types.ObjectId();
+    const orderNumber = await generateOrderNumber(req.shopId, { session });
+
+    // Conditionally deduct stock for every line (stock >= quantity + other
+    // customers' cart holds - the customer's own holds are theirs to use)
+    const lines = await withHeldQuantities(req.shopId, req.user._id, cart.items, session);
+    const { products, failed } = await reserveStock(req.shopId, lines, session, {
+      reason: 'SALE',
+      reference: { kind: 'Order', id: orderId, number: orderNumber },
+      user: req.user._id
+    });
 
-  // Generate order number for this shop
-  const orderNumber = await generateOrderNumber(req.shopId);
+    if (failed.length > 0) {
+      throw new AppError('Some items in your cart could not be ordered', 409, failed);
+    }
 
-  // CRITICAL: Create order with shopId
-  const order = await Order.create({
-    shopId: req.shopId,
-    orderNumber,
-    user: req.user._id,
-    items: orderItems,
-    shippingAddress,
-    totalItems: cart.totalItems,
-    subtotal,
-    discount,
-    shippingCharges,
-    tax,
-    totalAmount,
-    paymentMethod: 'COD',
-    paymentStatus: 'PENDING',
-    orderStatus: 'PLACED'
-  });
+    // Minimum order quantities may have been raised since the item was added
+    const belowMinimum = products
+      .map((product, index) => ({ product, quantity: cart.items[index].quantity }))
+      .filter(({ product, quantity }) => quantity < (product.minOrderQuantity || 1))
+      .map(({ product, quantity }) => ({
+        product: product._id,
+        name: product.name,
+        requested: quantity,
+        reason: 'BELOW_MIN_ORDER_QUANTITY',
+        message: `Minimum order quantity for ${product.name} is ${formatQuantity(product.minOrderQuantity, product.unit)}`
+      }));
+
+    if (belowMinimum.length > 0) {
+      throw new AppError('Some items in your cart could not be ordered', 409, belowMinimum);
+    }
 
-  // Deduct stock for all items with tenant isolation
-  for (const item of cart.items) {
-    await Product.findOneAndUpdate(
-      shopQuery(req, { _id: item.product._id }),
-      { $inc: { stock: -item.quantity } }
-    );
-  }
+    // Promotions as they stand at checkout, then the coupon on what is left
+    await cart.applyPromotions(session);
 
-  // Clear cart
-  cart.items = [];
-  await cart.save();
+    // The applied coupon must still be valid - its use is recorded with the order
+    let coupon = null;
+    let couponLines = [];
+    if (cart.coupon) {
+      coupon = await Coupon.findOne(shopQuery(req, { _id: cart.coupon })).session(session);
+      if (!coupon) {
+        throw new AppError(`Coupon ${cart.couponCode} is no longer available - remove it to continue`, 409);
+      }
+
+      try {
+        ({ lines: couponLines } = await calculateCouponDiscount(coupon, {
+          user: req.user._id,
+          items: cart.items,
+          products,
+          session
+        }));
+      } catch (error) {
+        if (!error.statusCode) throw error;
+        throw new AppError(`Coupon ${coupon.code} can't be used: ${error.message}`, 409);
+      }
+    }
+
+    const {
+      orderItems, subtotal, discount, promotionDiscount, couponDiscount, shippingCharges, tax, taxBreakup, totalAmount
+    } = priceCart(shop, cart.items, products, shippingAddress, couponLines);
+
+    // CRITICAL: Create order with shopId
+    [order] = await Order.create([{
+      _id: orderId,
+      shopId: req.shopId,
+      orderNumber,
+      user: req.user._id,
+      items: orderItems,
+      shippingAddress,
+      totalItems: cart.totalItems,
+      subtotal,
+      discount,
+      promotionDiscount,
+      coupon: coupon ? coupon._id : undefined,
+      couponCode: coupon ? coupon.code : undefined,
+      couponDiscount,
+      shippingCharges,
+      tax,
+      taxBreakup,
+      totalAmount,
+      paymentMethod,
+      paymentStatus: 'PENDING',
+      orderStatus: 'PLACED'
+    }], { session });
+
+    if (coupon) {
+      await redeemCoupon(coupon, { user: req.user._id, order: orderId, discount: couponDiscount, session });
+    }
+
+    // Credit the abandoned cart reminder that brought the customer back, if any
+    await markCartRecovered(cart, order, session);
+
+    // Clear cart, its coupon and its stock holds
+    cart.items = [];
+    clearCartCoupon(cart);
+    await cart.save({ session });
+    await releaseHolds(req.shopId, req.user._id, null, session);
+  });
 
   // Send notifications (async, don't block response)
   const user = await User.findById(req.user._id);
@@ -191,7 +385,11 @@ const getOrder = asyncHandler(async (req, res) => {
 
   res.status(200).json({
     success: true,
-    data: { order }
+    data: {
+      order,
+      // Status moves the current user may make (drives action buttons)
+      allowedTransitions: getAllowedTransitions(order.orderStatus, req.user.role)
+    }
   });
 });
 
@@ -204,40 +402,26 @@ const cancelOrder = asyncHandler(async (req, res) => {
   const { reason } = req.body;
 
   // CRITICAL: Find order with tenant isolation
-  const order = await Order.findOne(shopQuery(req, { _id: req.params.id }));
+  const existing = await Order.findOne(shopQuery(req, { _id: req.params.id }));
 
-  if (!order) {
+  if (!existing) {
     throw new AppError('Order not found', 404);
   }
 
   // Check ownership
-  if (order.user.toString() !== req.user._id.toString()) {
+  if (existing.user.toString() !== req.user._id.toString()) {
     throw new AppError('Not authorized to cancel this order', 403);
   }
 
-  // Can only cancel if order is PLACED or CONFIRMED
-  if (!['PLACED', 'CONFIRMED'].includes(order.orderStatus)) {
-    throw new AppError('Order cannot be cancelled at this stage', 400);
-  }
-
-  // Restore stock with tenant isolation
-  for (const item of order.items) {
-    await Product.findOneAndUpdate(
-      shopQuery(req, { _id: item.product }),
-      { $inc: { stock: item.quantity } }
-    );
-  }
-
-  order.orderStatus = 'CANCELLED';
-  order.cancelReason = reason;
-  await order.save();
-
-  // Send notification
-  const user = await User.findById(req.user._id);
-  Promise.all([
-    sendOrderStatusEmail(user, order, 'CANCELLED'),
-    sendOrderStatusWhatsApp(user, order, 'CANCELLED')
-  ]).catch(err => console.error('Error sending notifications:', err));
+  // Which stages allow cancelling, stock restore and notifications are
+  // defined by the order status transition table
+  const order = await transitionOrderStatus({
+    shopId: req.shopId,
+    orderId: existing._id,
+    to: 'CANCELLED',
+    actor: req.user,
+    reason
+  });
 
   res.status(200).json({
     success: true,
@@ -271,50 +455,45 @@ const downloadInvoice = asyncHandler(async (req, res) => {
     throw new AppError('Not authorized to access this invoice', 403);
   }
 
-  const user = await User.findById(order.user);
+  // Bill the shop Customer on staff-created orders, else the ordering user
+  const user = await getOrderRecipient(order);
   const shop = order.shopId;
   const shopOwner = shop.ownerId;
   
   
-  // Check if invoice needs to be generated or regenerated
-  let shouldGenerate = false;
-  let filepath;
-  
-  if (!order.invoiceUrl) {
-    shouldGenerate = true;
-  } else {
-    // Check if file exists
-    filepath = path.join(__dirname, '../invoices', path.basename(order.invoiceUrl));
-    if (!fs.existsSync(filepath)) {
-      shouldGenerate = true;
-    }
-  }
-  
+  // Stored PDF, or null when it was never generated (or has since been removed)
+  let pdf = order.invoiceFile && order.invoiceFile.key ? await readFile(order.invoiceFile) : null;
+
   // Generate invoice if needed
-  if (shouldGenerate) {
-    const { filename, filepath: newFilepath, invoiceNumber } = await generateInvoice(order, user, shop, shopOwner);
-    
-    order.invoiceUrl = `/invoices/${filename}`;
-    order.invoiceNumber = invoiceNumber;
+  if (!pdf) {
+    // Invoice numbers come from the shop sequence and never change once assigned,
+    // so a regenerated PDF keeps its original number
+    if (!order.invoiceNumber) {
+      order.invoiceNumber = await assignInvoiceNumber(order, shop._id);
+    }
+
+    const { file } = await generateInvoice(order, user, shop, shopOwner);
+
+    order.invoiceFile = file;
+    order.invoiceUrl = `/api/orders/${order._id}/invoice`;
     await order.save();
-    
-    filepath = newFilepath;
 
-    // Send invoice notification
+    pdf = await readFile(file);
+
+    // Send invoice notification - the signed link works without logging in
+    const invoiceLink = getFileUrl(file, { expiresIn: NOTIFICATION_LINK_SECONDS });
     Promise.all([
-      sendInvoiceEmail(user, order, `${process.env.FRONTEND_URL}${order.invoiceUrl}`),
-      sendInvoiceWhatsApp(user, order, `${process.env.FRONTEND_URL}${order.invoiceUrl}`)
+      user.email && sendInvoiceEmail(user, order, invoiceLink),
+      sendInvoiceWhatsApp(user, order, invoiceLink)
     ]).catch(err => console.error('Error sending notifications:', err));
   }
 
-  // Send file
-  if (!filepath) {
-    filepath = path.join(__dirname, '../invoices', path.basename(order.invoiceUrl));
-  }
-  res.download(filepath);
+  res.attachment(`${order.invoiceNumber.replace(/[^A-Za-z0-9-]/g, '-')}.pdf`);
+  res.send(pdf);
 });
 
 module.exports = {
+  quoteOrder,
   createOrder,
   getMyOrders,
   getOrder,
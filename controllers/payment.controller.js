@@ -0,0 +1,281 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order.model');
+const Payment = require('../models/Payment.model');
+const { asyncHandler, AppError } = require('../middlewares/error.middleware');
+const { shopQuery } = require('../middlewares/tenantIsolation.middleware');
+const { getPaymentProvider } = require('../services/payment.service');
+const { sendAdminWhatsApp } = require('../services/whatsapp.service');
+
+/**
+ * Apply a gateway result to a payment and its order
+ * Transitions are conditional (CREATED -> COMPLETED/FAILED, order PENDING -> ...)
+ * so replaying the same result is a no-op. A capture the order can't take
+ * (cancelled meanwhile, or already paid through another intent) leaves the
+ * payment REFUND_REQUIRED instead of silently COMPLETED.
+ * @returns {Object} { refundRequired } - true the first time a payment is flagged
+ */
+const settlePayment = async (payment, { status, paymentId, reason }, session) => {
+  const now = new Date();
+
+  if (status === 'COMPLETED') {
+    const captured = await Payment.updateOne(
+      { _id: payment._id, status: { $in: ['CREATED', 'FAILED'] } },
+      { $set: { status, providerPaymentId: paymentId, paidAt: now } },
+      { session }
+    );
+    if (captured.modifiedCount === 0) return { refundRequired: false };
+
+    // A failed attempt can still be followed by a successful retry
+    const paid = await Order.updateOne(
+      {
+        _id: payment.order,
+        shopId: payment.shopId,
+        orderStatus: { $ne: 'CANCELLED' },
+        paymentStatus: { $in: ['PENDING', 'FAILED'] }
+      },
+      {
+        $set: {
+          paymentMethod: 'ONLINE',
+          paymentStatus: 'COMPLETED',
+          'paymentDetails.transactionId': paymentId,
+          'paymentDetails.paidAt': now
+        }
+      },
+      { session }
+    );
+
+    if (paid.modifiedCount === 0) {
+      const order = await Order.findOne({ _id: payment.order, shopId: payment.shopId })
+        .select('orderStatus paymentStatus')
+        .session(session);
+
+      await Payment.updateOne(
+        { _id: payment._id },
+        {
+          $set: {
+            status: 'REFUND_REQUIRED',
+            refundReason: !order || order.orderStatus === 'CANCELLED'
+              ? 'Order was cancelled before the payment was captured'
+              : `Order payment was already ${order.paymentStatus.toLowerCase()}`
+          }
+        },
+        { session }
+      );
+      return { refundRequired: true };
+    }
+  } else if (status === 'FAILED') {
+    await Payment.updateOne(
+      { _id: payment._id, status: 'CREATED' },
+      { $set: { status, providerPaymentId: paymentId, failureReason: reason } },
+      { session }
+    );
+
+    await Order.updateOne(
+      { _id: payment.order, shopId: payment.shopId, paymentStatus: 'PENDING' },
+      { $set: { paymentStatus: 'FAILED' } },
+      { session }
+    );
+  }
+
+  return { refundRequired: false };
+};
+
+/**
+ * Tell the shop a captured payment has to be refunded by hand
+ */
+const notifyRefundRequired = (payment) => sendAdminWhatsApp(
+  `⚠️ PAYMENT NEEDS REFUND\n\nPayment ${payment.providerPaymentId || payment.intentId} (₹${payment.amount}) was captured but its order could not take it.\n\nView order: ${process.env.FRONTEND_URL}/admin/orders/${payment.order}`
+);
+
+/**
+ * @desc    Start online payment for an order
+ * @route   POST /api/orders/:id/pay
+ * @access  Private
+ */
+const payOrder = asyncHandler(async (req, res) => {
+  // CRITICAL: Find order with tenant isolation
+  const order = await Order.findOne(shopQuery(req, { _id: req.params.id }));
+
+  if (!order) {
+    throw new AppError('Order not found', 404);
+  }
+
+  // Check ownership
+  if (order.user.toString() !== req.user._id.toString()) {
+    throw new AppError('Not authorized to pay for this order', 403);
+  }
+
+  if (order.orderStatus === 'CANCELLED') {
+    throw new AppError('Cancelled orders cannot be paid', 400);
+  }
+
+  if (!['PENDING', 'FAILED'].includes(order.paymentStatus)) {
+    throw new AppError(`Order payment is already ${order.paymentStatus.toLowerCase()}`, 400);
+  }
+
+  // Always the shop-wide configured provider - never one named in the request
+  const provider = getPaymentProvider();
+
+  // An open intent is handed out again - two open intents could both be paid
+  const open = await Payment.findOne(shopQuery(req, { order: order._id, status: 'CREATED' }));
+  if (open && open.checkout && open.provider === provider.name && open.amount === order.totalAmount) {
+    return res.status(200).json({
+      success: true,
+      message: 'Payment already initiated',
+      data: { payment: open, checkout: open.checkout }
+    });
+  }
+
+  const intent = await provider.createIntent({
+    amount: order.totalAmount,
+    currency: 'INR',
+    receipt: order.orderNumber,
+    notes: {
+      orderId: order._id.toString(),
+      shopId: req.shopId.toString()
+    }
+  });
+
+  // CRITICAL: Create payment with shopId
+  let payment;
+  try {
+    // An open intent that can't be reused (older one without checkout details,
+    // provider or amount changed) is closed first
+    if (open) {
+      await Payment.updateOne({ _id: open._id, status: 'CREATED' }, { $set: { status: 'FAILED', failureReason: 'Superseded by a new payment attempt' } });
+    }
+
+    payment = await Payment.create({
+      shopId: req.shopId,
+      order: order._id,
+      user: req.user._id,
+      provider: provider.name,
+      intentId: intent.intentId,
+      amount: intent.amount,
+      currency: intent.currency,
+      checkout: intent.checkout
+    });
+  } catch (error) {
+    // A double submit created the open intent first - hand that one out
+    if (error.code !== 11000) throw error;
+    const existing = await Payment.findOne(shopQuery(req, { order: order._id, status: 'CREATED' }));
+    if (!existing) throw error;
+    return res.status(200).json({
+      success: true,
+      message: 'Payment already initiated',
+      data: { payment: existing, checkout: existing.checkout }
+    });
+  }
+
+  order.paymentMethod = 'ONLINE';
+  await order.save();
+
+  res.status(201).json({
+    success: true,
+    message: 'Payment initiated',
+    data: {
+      payment,
+      checkout: intent.checkout
+    }
+  });
+});
+
+/**
+ * @desc    Verify checkout callback signature for an order payment
+ * @route   POST /api/orders/:id/pay/verify
+ * @access  Private
+ */
+const verifyOrderPayment = asyncHandler(async (req, res) => {
+  const { intentId, paymentId, signature } = req.body;
+
+  // CRITICAL: Find payment with tenant isolation
+  const payment = await Payment.findOne(shopQuery(req, {
+    order: req.params.id,
+    user: req.user._id,
+    intentId
+  }));
+
+  if (!payment) {
+    throw new AppError('Payment not found', 404);
+  }
+
+  const provider = getPaymentProvider(payment.provider);
+
+  if (!provider.verifySignature({ intentId, paymentId, signature })) {
+    throw new AppError('Payment verification failed', 400);
+  }
+
+  let settled;
+  await mongoose.connection.transaction(async (session) => {
+    settled = await settlePayment(payment, { status: 'COMPLETED', paymentId }, session);
+  });
+
+  if (settled.refundRequired) {
+    notifyRefundRequired(await Payment.findById(payment._id)).catch(err => console.error('Error sending refund alert:', err));
+  }
+
+  const order = await Order.findOne(shopQuery(req, { _id: req.params.id }));
+
+  res.status(200).json({
+    success: true,
+    message: 'Payment verified successfully',
+    data: { order }
+  });
+});
+
+/**
+ * @desc    Receive payment gateway webhook
+ * @route   POST /api/payments/webhook/:provider
+ * @access  Public (signature verified by provider)
+ */
+const handlePaymentWebhook = asyncHandler(async (req, res) => {
+  const provider = getPaymentProvider(req.params.provider);
+
+  const event = provider.handleWebhook({
+    rawBody: req.rawBody,
+    headers: req.headers,
+    body: req.body
+  });
+
+  // Events we don't act on are acknowledged so the gateway stops retrying
+  if (!event) {
+    return res.status(200).json({ success: true, message: 'Event ignored' });
+  }
+
+  let applied = false;
+  let flagged = null;
+
+  await mongoose.connection.transaction(async (session) => {
+    // Claim the event id - a redelivered event matches nothing here
+    const payment = await Payment.findOneAndUpdate(
+      {
+        provider: provider.name,
+        intentId: event.intentId,
+        processedEvents: { $ne: event.eventId }
+      },
+      { $push: { processedEvents: event.eventId } },
+      { new: true, session }
+    );
+
+    if (!payment) return;
+
+    const { refundRequired } = await settlePayment(payment, event, session);
+    flagged = refundRequired ? payment : null;
+    applied = true;
+  });
+
+  if (flagged) {
+    notifyRefundRequired(await Payment.findById(flagged._id)).catch(err => console.error('Error sending refund alert:', err));
+  }
+
+  res.status(200).json({
+    success: true,
+    message: applied ? 'Webhook processed' : 'Event already processed or unknown payment'
+  });
+});
+
+module.exports = {
+  payOrder,
+  verifyOrderPayment,
+  handlePaymentWebhook
+};
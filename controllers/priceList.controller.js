@@ -0,0 +1,147 @@
+const PriceList = require('../models/PriceList.model');
+const Customer = require('../models/Customer.model');
+const User = require('../models/User.model');
+const { asyncHandler, AppError } = require('../middlewares/error.middleware');
+const { shopQuery } = require('../middlewares/tenantIsolation.middleware');
+
+/**
+ * @desc    Get price lists with how many buyers use each (OWNER/STAFF with permission)
+ * @route   GET /api/admin/price-lists
+ * @access  Private
+ */
+const getPriceLists = asyncHandler(async (req, res) => {
+  // CRITICAL: Query with tenant isolation
+  const priceLists = await PriceList.find(shopQuery(req)).sort('name');
+
+  const [customerCounts, userCounts] = await Promise.all([
+    Customer.aggregate([
+      { $match: shopQuery(req, { priceList: { $ne: null } }) },
+      { $group: { _id: '$priceList', count: { $sum: 1 } } }
+    ]),
+    User.aggregate([
+      { $match: shopQuery(req, { role: 'CUSTOMER', priceList: { $ne: null } }) },
+      { $group: { _id: '$priceList', count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const countFor = (counts, id) => (counts.find(entry => entry._id.toString() === id.toString()) || { count: 0 }).count;
+
+  res.status(200).json({
+    success: true,
+    data: {
+      priceLists: priceLists.map(priceList => ({
+        ...priceList.toObject(),
+        assignedCustomers: countFor(customerCounts, priceList._id),
+        assignedUsers: countFor(userCounts, priceList._id)
+      }))
+    }
+  });
+});
+
+/**
+ * @desc    Get single price list
+ * @route   GET /api/admin/price-lists/:id
+ * @access  Private
+ */
+const getPriceList = asyncHandler(async (req, res) => {
+  // CRITICAL: Find price list with tenant isolation
+  const priceList = await PriceList.findOne(shopQuery(req, { _id: req.params.id }))
+    .populate('items.product', 'name price discount unit');
+
+  if (!priceList) {
+    throw new AppError('Price list not found', 404);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { priceList }
+  });
+});
+
+/**
+ * @desc    Create price list (OWNER/STAFF with permission)
+ * @route   POST /api/admin/price-lists
+ * @access  Private
+ */
+const createPriceList = asyncHandler(async (req, res) => {
+  const { name, description, discount, items, isActive } = req.body;
+
+  // CRITICAL: Create price list with shopId
+  const priceList = await PriceList.create({
+    shopId: req.shopId,
+    name,
+    description,
+    discount,
+    items,
+    isActive,
+    createdBy: req.user._id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Price list created successfully',
+    data: { priceList }
+  });
+});
+
+/**
+ * @desc    Update price list - items sent replace the list's items
+ * @route   PUT /api/admin/price-lists/:id
+ * @access  Private
+ */
+const updatePriceList = asyncHandler(async (req, res) => {
+  // CRITICAL: Find price list with tenant isolation
+  const priceList = await PriceList.findOne(shopQuery(req, { _id: req.params.id }));
+
+  if (!priceList) {
+    throw new AppError('Price list not found', 404);
+  }
+
+  const { name, description, discount, items, isActive } = req.body;
+  if (name !== undefined) priceList.name = name;
+  if (description !== undefined) priceList.description = description;
+  if (discount !== undefined) priceList.discount = discount;
+  if (items !== undefined) priceList.items = items;
+  if (isActive !== undefined) priceList.isActive = isActive;
+
+  await priceList.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Price list updated successfully',
+    data: { priceList }
+  });
+});
+
+/**
+ * @desc    Delete price list and unassign it from buyers
+ * @route   DELETE /api/admin/price-lists/:id
+ * @access  Private
+ */
+const deletePriceList = asyncHandler(async (req, res) => {
+  // CRITICAL: Delete with tenant isolation
+  const priceList = await PriceList.findOneAndDelete(shopQuery(req, { _id: req.params.id }));
+
+  if (!priceList) {
+    throw new AppError('Price list not found', 404);
+  }
+
+  // Buyers fall back to normal pricing
+  await Promise.all([
+    Customer.updateMany(shopQuery(req, { priceList: priceList._id }), { $unset: { priceList: 1 } }),
+    User.updateMany(shopQuery(req, { priceList: priceList._id }), { $unset: { priceList: 1 } })
+  ]);
+
+  res.status(200).json({
+    success: true,
+    message: 'Price list deleted successfully'
+  });
+});
+
+module.exports = {
+  getPriceLists,
+  getPriceList,
+  createPriceList,
+  updatePriceList,
+  deletePriceList
+};
@@ -1,8 +1,35 @@
+const mongoose = require('mongoose');
 const Product = require('../models/Product.model');
 const Shop = require('../models/Shop.model');
+const Category = require('../models/Category.model');
 const { asyncHandler, AppError } = require('../middlewares/error.middleware');
 const { shopQuery } = require('../middlewares/tenantIsolation.middleware');
-const { uploadMultipleToCloudinary, deleteFromCloudinary } = require('../services/cloudinary.service');
+const { UNITS } = require('../utils/units.util');
+const { adjustStock, stockSnapshot, recordSnapshotChanges } = require('../services/stock.service');
+const { withAvailableStock } = require('../services/reservation.service');
+const { resolveCategoryId, getCategoryFilterIds } = require('../services/category.service');
+const { assertCodesAvailable, assignMissingSkus } = require('../services/productCode.service');
+const { uploadMedia, resolveProductImages, syncMediaUsage } = require('../services/media.service');
+
+/**
+ * Multipart forms send nested fields (options, variants) as JSON strings
+ */
+const parseJsonField = (value, field) => {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new AppError(`${field} must be valid JSON`, 400);
+  }
+};
+
+/**
+ * Image entries from the body - a JSON array, an array, or a single URL / media id
+ */
+const parseImageList = (value) => {
+  if (typeof value === 'string' && !value.trim().startsWith('[')) return [value];
+  return parseJsonField(value, 'images') || [];
+};
 
 /**
  * @desc    Get all products (with filters, search, sort, pagination)
@@ -48,7 +75,8 @@ const getProducts = asyncHandler(async (req, res) => {
     throw new AppError('Authentication or shop slug is required', 400);
   }
 
-  if (category) query.category = category;
+  // A category (id or slug) includes its subcategories
+  if (category) query.category = { $in: await getCategoryFilterIds(query.shopId, category) };
   if (search) query.$text = { $search: search };
   if (minPrice || maxPrice) {
     query.finalPrice = {};
@@ -61,6 +89,7 @@ const getProducts = asyncHandler(async (req, res) => {
 
   // Execute query
   const products = await Product.find(query)
+    .populate('category', 'name slug')
     .sort(sort)
     .limit(Number(limit))
     .skip(skip);
@@ -71,7 +100,8 @@ const getProducts = asyncHandler(async (req, res) => {
   res.status(200).json({
     success: true,
     data: {
-      products,
+      // On-hand `stock` plus `availableStock` (less cart holds)
+      products: await withAvailableStock(products),
       pagination: {
         page: Number(page),
         limit: Number(limit),
@@ -89,7 +119,8 @@ const getProducts = asyncHandler(async (req, res) => {
  */
 const getProduct = asyncHandler(async (req, res) => {
   // CRITICAL: Filter by shopId for tenant isolation
-  const product = await Product.findOne(shopQuery(req, { _id: req.params.id }));
+  const product = await Product.findOne(shopQuery(req, { _id: req.params.id }))
+    .populate('category', 'name slug');
 
   if (!product) {
     throw new AppError('Product not found', 404);
@@ -102,7 +133,7 @@ const getProduct = asyncHandler(async (req, res) => {
 
   res.status(200).json({
     success: true,
-    data: { product }
+    data: { product: await withAvailableStock(product) }
   });
 });
 
@@ -113,7 +144,8 @@ const getProduct = asyncHandler(async (req, res) => {
  */
 const getProductBySlug = asyncHandler(async (req, res) => {
   // Fetch product by slug (no tenant isolation - slug is globally unique)
-  const product = await Product.findOne({ slug: req.params.slug });
+  const product = await Product.findOne({ slug: req.params.slug })
+    .populate('category', 'name slug');
 
   if (!product) {
     throw new AppError('Product not found', 404);
@@ -126,7 +158,7 @@ const getProductBySlug = asyncHandler(async (req, res) => {
 
   res.status(200).json({
     success: true,
-    data: { product }
+    data: { product: await withAvailableStock(product) }
   });
 });
 
@@ -136,30 +168,55 @@ const getProductBySlug = asyncHandler(async (req, res) => {
  * @access  Private
  */
 const createProduct = asyncHandler(async (req, res) => {
-  const { name, description, price, discount, stock, category, brand, specifications, images } = req.body;
+  const { name, sku, barcode, description, price, discount, stock, category, brand, specifications, images, hsnCode, gstRate, weight, unit, conversionFactor, minOrderQuantity } = req.body;
+  const options = parseJsonField(req.body.options, 'options');
+  const variants = parseJsonField(req.body.variants, 'variants');
+  const priceTiers = parseJsonField(req.body.priceTiers, 'priceTiers');
 
-  // Handle images - support both file uploads and URL strings
+  // Images - uploaded files go into the media library, or library ids / URLs are sent
   let productImages = [];
   if (req.files && req.files.length > 0) {
-    // Upload files to Cloudinary
-    productImages = await uploadMultipleToCloudinary(req.files, 'products');
-  } else if (images && Array.isArray(images)) {
-    // Use provided image URLs
-    productImages = images.filter(img => img && img.trim());
+    const uploaded = await uploadMedia(req.shopId, req.files, { user: req.user._id });
+    productImages = await resolveProductImages(req.shopId, uploaded.map(media => media._id.toString()));
+  } else if (images) {
+    productImages = await resolveProductImages(req.shopId, parseImageList(images));
   }
 
-  // CRITICAL: Create product with shopId for tenant isolation
-  const product = await Product.create({
-    shopId: req.shopId, // CRITICAL: Must include shopId
-    name,
-    description,
-    price,
-    discount,
-    stock,
-    category,
-    brand,
-    specifications,
-    images: productImages
+  let product;
+
+  // Product, its auto-assigned SKU and its opening stock ledger entries commit together
+  await mongoose.connection.transaction(async (session) => {
+    // CRITICAL: Create product with shopId for tenant isolation
+    product = new Product({
+      shopId: req.shopId, // CRITICAL: Must include shopId
+      name,
+      sku,
+      barcode,
+      description,
+      price,
+      discount,
+      stock,
+      category: await resolveCategoryId(req.shopId, category),
+      brand,
+      specifications,
+      hsnCode,
+      gstRate,
+      weight,
+      unit,
+      conversionFactor,
+      minOrderQuantity,
+      priceTiers,
+      options,
+      variants,
+      images: productImages
+    });
+
+    await assignMissingSkus(product, { session });
+    await assertCodesAvailable(req.shopId, product, session);
+    await product.save({ session });
+
+    await recordSnapshotChanges(product, null, { reason: 'OPENING_BALANCE', user: req.user._id }, session);
+    await syncMediaUsage(product, session);
   });
 
   res.status(201).json({
@@ -182,35 +239,86 @@ const updateProduct = asyncHandler(async (req, res) => {
     throw new AppError('Product not found', 404);
   }
 
-  // Handle images - support both file uploads and URL strings
+  // Images - uploaded files are added to the product (or replace its images with
+  // deleteOldImages=true); replaced library images are cleaned up by the media cleanup job.
+  // PUT /api/products/:id/images reorders them and picks the primary image.
   if (req.files && req.files.length > 0) {
-    // Upload new images to Cloudinary
-    const newImages = await uploadMultipleToCloudinary(req.files, 'products');
-    
-    // Optionally delete old images from Cloudinary if they have publicId
-    if (req.body.deleteOldImages === 'true' && product.images.length > 0) {
-      for (const image of product.images) {
-        if (typeof image === 'object' && image.publicId) {
-          await deleteFromCloudinary(image.publicId).catch(err => 
-            console.error('Error deleting image:', err)
-          );
-        }
-      }
-      req.body.images = newImages;
-    } else {
-      req.body.images = [...product.images, ...newImages];
+    const uploaded = await uploadMedia(req.shopId, req.files, { user: req.user._id });
+    const newImages = await resolveProductImages(req.shopId, uploaded.map(media => media._id.toString()));
+    req.body.images = req.body.deleteOldImages === 'true'
+      ? newImages
+      : [...product.images.map(image => image.toObject()), ...newImages];
+  } else if (req.body.images !== undefined) {
+    req.body.images = await resolveProductImages(req.shopId, parseImageList(req.body.images));
+  }
+  delete req.body.deleteOldImages;
+
+  // Primary image is the first one unless another is picked (the model hook doesn't run on updates)
+  if (req.body.images && req.body.images.length > 0 && !req.body.images.some(image => image.isPrimary)) {
+    req.body.images[0].isPrimary = true;
+  }
+
+  if (req.body.priceTiers !== undefined) {
+    req.body.priceTiers = parseJsonField(req.body.priceTiers, 'priceTiers');
+  }
+
+  if (req.body.category !== undefined) {
+    req.body.category = await resolveCategoryId(req.shopId, req.body.category);
+  }
+
+  // Variants and their stock are managed through the variant endpoints so
+  // the option/stock checks in the model always run
+  delete req.body.options;
+  delete req.body.variants;
+
+  // A stock edit is recorded in the ledger as an adjustment to the new count
+  const stock = product.variants.length === 0 && req.body.stock !== undefined && req.body.stock !== ''
+    ? Number(req.body.stock)
+    : undefined;
+  delete req.body.stock;
+
+  // A blank barcode or SKU clears it
+  const update = { ...req.body, updatedBy: req.user._id };
+  for (const field of ['barcode', 'sku']) {
+    if (req.body[field] !== undefined && (req.body[field] === null || String(req.body[field]).trim() === '')) {
+      delete update[field];
+      update.$unset = { ...update.$unset, [field]: 1 };
     }
-  } else if (req.body.images && Array.isArray(req.body.images)) {
-    // Use provided image URLs
-    req.body.images = req.body.images.filter(img => img && (typeof img === 'string' ? img.trim() : true));
   }
 
-  // Update product with tenant isolation
-  product = await Product.findOneAndUpdate(
-    shopQuery(req, { _id: req.params.id }),
-    { ...req.body, updatedBy: req.user._id },
-    { new: true, runValidators: true }
-  );
+  if (req.body.sku !== undefined || req.body.barcode !== undefined) {
+    await assertCodesAvailable(req.shopId, {
+      _id: product._id,
+      sku: req.body.sku !== undefined ? update.sku : product.sku,
+      barcode: req.body.barcode !== undefined ? update.barcode : product.barcode,
+      variants: product.variants
+    });
+  }
+
+  // A new unit without a factor takes the unit's default (the model hook doesn't run on updates)
+  if (req.body.unit && UNITS[req.body.unit] && (req.body.unit === 'DOZEN' || !req.body.conversionFactor)) {
+    update.conversionFactor = UNITS[req.body.unit].defaultFactor;
+  }
+
+  await mongoose.connection.transaction(async (session) => {
+    // Update product with tenant isolation
+    product = await Product.findOneAndUpdate(
+      shopQuery(req, { _id: req.params.id }),
+      update,
+      { new: true, runValidators: true, session }
+    );
+
+    if (stock !== undefined) {
+      ({ product } = await adjustStock(
+        req.shopId,
+        { product: product._id, quantity: stock },
+        { reason: 'ADJUSTMENT', note: 'Stock edited with product details', user: req.user._id },
+        session
+      ));
+    }
+
+    await syncMediaUsage(product, session);
+  });
 
   res.status(200).json({
     success: true,
@@ -236,6 +344,7 @@ const deleteProduct = asyncHandler(async (req, res) => {
   product.isDeleted = true;
   product.deletedAt = new Date();
   product.isActive = false;
+  // Its images stay in use - orders placed for it still show them
   await product.save();
 
   res.status(200).json({
@@ -268,12 +377,177 @@ const toggleProductStatus = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Get product categories
+ * @desc    Replace product options and variants (OWNER or STAFF with permission)
+ *          Existing variants keep their current stock - stock sent for them is
+ *          ignored (change it via PATCH /:id/variants/:variantId or stock adjustments);
+ *          new variants start with the stock sent.
+ * @route   PUT /api/products/:id/variants
+ * @access  Private
+ */
+const setProductVariants = asyncHandler(async (req, res) => {
+  const options = parseJsonField(req.body.options, 'options') || [];
+  const variants = parseJsonField(req.body.variants, 'variants') || [];
+
+  let product;
+
+  // Stock added with new variants or dropped with removed ones is recorded in the ledger
+  await mongoose.connection.transaction(async (session) => {
+    // CRITICAL: Find product with tenant isolation - read inside the transaction so
+    // stock sold meanwhile isn't written back over (a concurrent sale conflicts and retries)
+    product = await Product.findOne(shopQuery(req, { _id: req.params.id })).session(session);
+
+    if (!product) {
+      throw new AppError('Product not found', 404);
+    }
+
+    const before = stockSnapshot(product);
+
+    // Variants sent with their _id keep it, so carts and orders still point at them
+    product.options = options;
+    product.variants = variants.map(variant => {
+      const existing = variant._id && product.variants.id(variant._id);
+      return existing ? { ...variant, stock: existing.stock } : variant;
+    });
+    product.updatedBy = req.user._id;
+
+    await assignMissingSkus(product, { session });
+    await assertCodesAvailable(req.shopId, product, session);
+    await product.save({ session });
+    await recordSnapshotChanges(product, before, { reason: 'ADJUSTMENT', note: 'Variants updated', user: req.user._id }, session);
+    await syncMediaUsage(product, session);
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Product variants updated successfully',
+    data: { product }
+  });
+});
+
+/**
+ * @desc    Update a single variant - price, stock, SKU, images, status (OWNER or STAFF with permission)
+ * @route   PATCH /api/products/:id/variants/:variantId
+ * @access  Private
+ */
+const updateProductVariant = asyncHandler(async (req, res) => {
+  // CRITICAL: Find product with tenant isolation
+  const product = await Product.findOne(shopQuery(req, { _id: req.params.id }));
+
+  if (!product) {
+    throw new AppError('Product not found', 404);
+  }
+
+  const variant = product.variants.id(req.params.variantId);
+  if (!variant) {
+    throw new AppError('Variant not found', 404);
+  }
+
+  const { sku, barcode, price, stock, isActive } = req.body;
+  const stockDelta = stock !== undefined ? Number(stock) - variant.stock : 0;
+
+  // Changes are made on the loaded copy first so the variant rules validate them
+  if (sku !== undefined) variant.sku = sku;
+  if (barcode !== undefined) variant.barcode = barcode;
+  if (price !== undefined) variant.price = price === '' || price === null ? undefined : price;
+  if (stock !== undefined) variant.stock = stock;
+  if (isActive !== undefined) variant.isActive = isActive;
+
+  // Uploaded images go into the media library and are added to the variant's images
+  if (req.files && req.files.length > 0) {
+    const uploaded = await uploadMedia(req.shopId, req.files, { user: req.user._id });
+    variant.images.push(...uploaded.map(media => media.url));
+  } else if (req.body.images !== undefined) {
+    const images = await resolveProductImages(req.shopId, parseImageList(req.body.images));
+    variant.images = images.map(image => image.url);
+  }
+
+  await product.validate();
+
+  if (sku !== undefined || barcode !== undefined) {
+    await assertCodesAvailable(req.shopId, product);
+  }
+
+  // Only this variant's fields are written - saving the loaded product would put
+  // back stock sold by orders since it was read
+  const $set = { updatedBy: req.user._id, 'variants.$.isActive': variant.isActive, 'variants.$.images': variant.images };
+  const $unset = {};
+  for (const field of ['sku', 'barcode', 'price']) {
+    if (variant[field] === undefined) $unset[`variants.$.${field}`] = '';
+    else $set[`variants.$.${field}`] = variant[field];
+  }
+
+  let updated;
+  await mongoose.connection.transaction(async (session) => {
+    updated = await Product.findOneAndUpdate(
+      shopQuery(req, { _id: product._id, 'variants._id': variant._id }),
+      Object.keys($unset).length > 0 ? { $set, $unset } : { $set },
+      { new: true, session }
+    );
+
+    if (!updated) {
+      throw new AppError('Variant not found', 404);
+    }
+
+    // Stock moves by the difference, atomically and through the ledger
+    if (stockDelta !== 0) {
+      ({ product: updated } = await adjustStock(
+        req.shopId,
+        { product: product._id, variant: variant._id, delta: stockDelta },
+        { reason: 'ADJUSTMENT', note: 'Variant stock edited', user: req.user._id },
+        session
+      ));
+    }
+
+    await syncMediaUsage(updated, session);
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Variant updated successfully',
+    data: { product: updated, variant: updated.variants.id(variant._id) }
+  });
+});
+
+/**
+ * @desc    Replace a product's images - sets their order, alt text and the primary image
+ *          Body: { images: [{ media | url, altText, isPrimary }] } in display order
+ * @route   PUT /api/products/:id/images
+ * @access  Private
+ */
+const setProductImages = asyncHandler(async (req, res) => {
+  // CRITICAL: Find product with tenant isolation
+  const product = await Product.findOne(shopQuery(req, { _id: req.params.id }));
+
+  if (!product) {
+    throw new AppError('Product not found', 404);
+  }
+
+  product.images = await resolveProductImages(req.shopId, parseImageList(req.body.images));
+  product.updatedBy = req.user._id;
+
+  // Images dropped here become unused and are removed by the media cleanup job
+  await mongoose.connection.transaction(async (session) => {
+    await product.save({ session });
+    await syncMediaUsage(product, session);
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Product images updated successfully',
+    data: { images: product.images, primaryImage: product.primaryImage }
+  });
+});
+
+/**
+ * @desc    Get the shop's active categories (flat list - /api/categories has the tree)
  * @route   GET /api/products/categories/list
- * @access  Public
+ * @access  Public (with shopSlug) or Private (with auth)
  */
 const getCategories = asyncHandler(async (req, res) => {
-  const categories = await Product.distinct('category');
+  // CRITICAL: Query with tenant isolation
+  const categories = await Category.find(shopQuery(req, { isActive: true }))
+    .select('name slug parent image sortOrder')
+    .sort('sortOrder name');
 
   res.status(200).json({
     success: true,
@@ -289,5 +563,8 @@ module.exports = {
   updateProduct,
   deleteProduct,
   toggleProductStatus,
+  setProductVariants,
+  updateProductVariant,
+  setProductImages,
   getCategories
 };
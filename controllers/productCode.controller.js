@@ -0,0 +1,164 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product.model');
+const { asyncHandler, AppError } = require('../middlewares/error.middleware');
+const { shopQuery } = require('../middlewares/tenantIsolation.middleware');
+const { findByCode, assignMissingSkus, assertCodesAvailable } = require('../services/productCode.service');
+const { buildLabelSheet, LABELS_PER_SHEET } = require('../services/label.service');
+const { withAvailableStock } = require('../services/reservation.service');
+
+const MAX_LABELS = 1000;
+
+/**
+ * @desc    Find the product for a scanned SKU or barcode (OWNER or STAFF)
+ * @route   GET /api/products/lookup?code=
+ * @access  Private
+ */
+const lookupProductByCode = asyncHandler(async (req, res) => {
+  const code = String(req.query.code || '').trim();
+
+  if (!code) {
+    throw new AppError('Please provide a code to look up', 400);
+  }
+
+  // CRITICAL: Lookup is scoped to req.shopId
+  const matches = await findByCode(req.shopId, code);
+
+  if (matches.length === 0) {
+    throw new AppError(`No product found for code ${code}`, 404);
+  }
+
+  const products = await withAvailableStock(matches.map(match => match.product));
+
+  res.status(200).json({
+    success: true,
+    data: {
+      matches: matches.map((match, index) => ({
+        product: products[index],
+        variant: match.variant
+          ? products[index].variants.find(variant => variant._id.toString() === match.variant._id.toString())
+          : null,
+        matchedOn: match.matchedOn
+      }))
+    }
+  });
+});
+
+/**
+ * @desc    Barcode label sheet (A4 PDF) for products and variants
+ *          Body: { items: [{ productId, variantId, copies }], showPrice, skip }
+ *          Without variantId a product with variants gets labels for every active variant.
+ *          Labels use the barcode when there is one, otherwise the SKU.
+ * @route   POST /api/products/labels
+ * @access  Private
+ */
+const printBarcodeLabels = asyncHandler(async (req, res) => {
+  const { items, showPrice = true, skip = 0 } = req.body;
+
+  // CRITICAL: Find products with tenant isolation
+  const products = await Product.find(shopQuery(req, {
+    _id: { $in: items.map(item => item.productId) }
+  }));
+
+  const labels = [];
+  const missingCodes = [];
+
+  for (const item of items) {
+    const product = products.find(entry => entry._id.toString() === item.productId);
+    if (!product) {
+      throw new AppError(`Product ${item.productId} not found`, 404);
+    }
+
+    let variants = [null];
+    if (item.variantId) {
+      const variant = product.variants.id(item.variantId);
+      if (!variant) {
+        throw new AppError(`Variant ${item.variantId} not found on ${product.name}`, 404);
+      }
+      variants = [variant];
+    } else if (product.variants.length > 0) {
+      variants = product.variants.filter(variant => variant.isActive);
+    }
+
+    for (const variant of variants) {
+      const source = variant || product;
+      const code = source.barcode || source.sku;
+      const name = variant ? `${product.name} (${product.getVariantLabel(variant)})` : product.name;
+
+      if (!code) {
+        missingCodes.push(name);
+        continue;
+      }
+
+      const { finalPrice } = product.getPricing(variant);
+      const label = {
+        name: product.name,
+        variantName: variant ? product.getVariantLabel(variant) : null,
+        price: Math.round(finalPrice * 100) / 100,
+        code
+      };
+      for (let copy = 0; copy < (item.copies || 1); copy++) {
+        labels.push(label);
+      }
+    }
+  }
+
+  if (missingCodes.length > 0) {
+    throw new AppError('Some products have no SKU or barcode to print', 400, missingCodes);
+  }
+  if (labels.length === 0) {
+    throw new AppError('Nothing to print', 400);
+  }
+  if (labels.length > MAX_LABELS) {
+    throw new AppError(`Cannot print more than ${MAX_LABELS} labels at once`, 400);
+  }
+
+  const doc = buildLabelSheet(labels, {
+    showPrice: showPrice !== false && showPrice !== 'false',
+    skip: Number(skip) % LABELS_PER_SHEET
+  });
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename=labels-${new Date().toISOString().slice(0, 10)}.pdf`);
+  doc.pipe(res);
+});
+
+/**
+ * @desc    Give every product and variant without a SKU one from the shop's SKU sequence
+ *          (works whether or not auto-SKU is switched on)
+ * @route   POST /api/products/skus/generate
+ * @access  Private
+ */
+const generateProductSkus = asyncHandler(async (req, res) => {
+  // CRITICAL: Query with tenant isolation
+  const products = await Product.find(shopQuery(req, {
+    $or: [
+      { sku: { $in: [null, ''] } },
+      { 'variants.sku': { $in: [null, ''] } }
+    ]
+  })).sort('createdAt');
+
+  let updated = 0;
+  for (const product of products) {
+    // Each product takes its number and saves together, so a failure can't skip a number
+    await mongoose.connection.transaction(async (session) => {
+      if (await assignMissingSkus(product, { session, force: true })) {
+        await assertCodesAvailable(req.shopId, product, session);
+        product.updatedBy = req.user._id;
+        await product.save({ session });
+        updated++;
+      }
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `SKUs assigned to ${updated} products`,
+    data: { updated }
+  });
+});
+
+module.exports = {
+  lookupProductByCode,
+  printBarcodeLabels,
+  generateProductSkus
+};
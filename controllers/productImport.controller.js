@@ -0,0 +1,75 @@
+const Product = require('../models/Product.model');
+const { asyncHandler, AppError } = require('../middlewares/error.middleware');
+const { shopQuery } = require('../middlewares/tenantIsolation.middleware');
+const { parseSpreadsheet, importProductRows, buildProductExport } = require('../services/productImport.service');
+const { getCategoryFilterIds } = require('../services/category.service');
+
+const EXPORT_FORMATS = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+/**
+ * @desc    Bulk create / update products from a CSV or XLSX file (OWNER or STAFF with permission)
+ *          Rows are matched to existing products by sku, then slug.
+ *          With dryRun=true nothing is saved - the response shows what would happen.
+ * @route   POST /api/products/import
+ * @access  Private
+ */
+const importProducts = asyncHandler(async (req, res) => {
+  if (!req.file) {
+    throw new AppError('Please upload a CSV or XLSX file', 400);
+  }
+
+  const dryRun = String(req.body.dryRun || req.query.dryRun) === 'true';
+  const rows = await parseSpreadsheet(req.file);
+
+  const { summary, rows: results } = await importProductRows(req.shopId, rows, {
+    dryRun,
+    user: req.user._id
+  });
+
+  res.status(200).json({
+    success: true,
+    message: dryRun
+      ? `Dry run: ${summary.created} to create, ${summary.updated} to update, ${summary.failed} with errors`
+      : `${summary.created} created, ${summary.updated} updated, ${summary.failed} with errors`,
+    data: { dryRun, summary, rows: results }
+  });
+});
+
+/**
+ * @desc    Export products as CSV or XLSX in the import format
+ * @route   GET /api/products/export?format=csv|xlsx
+ * @access  Private
+ */
+const exportProducts = asyncHandler(async (req, res) => {
+  const { format = 'csv', category, search, minPrice, maxPrice, isActive } = req.query;
+
+  if (!EXPORT_FORMATS[format]) {
+    throw new AppError('Format must be csv or xlsx', 400);
+  }
+
+  // CRITICAL: Base query with tenant isolation
+  const query = shopQuery(req);
+  if (category) query.category = { $in: await getCategoryFilterIds(req.shopId, category) };
+  if (isActive !== undefined) query.isActive = isActive === 'true';
+  if (search) query.$text = { $search: search };
+  if (minPrice || maxPrice) {
+    query.finalPrice = {};
+    if (minPrice) query.finalPrice.$gte = Number(minPrice);
+    if (maxPrice) query.finalPrice.$lte = Number(maxPrice);
+  }
+
+  const products = await Product.find(query).populate('category', 'slug').sort('name');
+  const file = await buildProductExport(products, format);
+
+  res.setHeader('Content-Type', EXPORT_FORMATS[format]);
+  res.setHeader('Content-Disposition', `attachment; filename=products-${new Date().toISOString().slice(0, 10)}.${format}`);
+  res.send(file);
+});
+
+module.exports = {
+  importProducts,
+  exportProducts
+};
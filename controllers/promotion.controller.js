@@ -0,0 +1,164 @@
+const Promotion = require('../models/Promotion.model');
+const Product = require('../models/Product.model');
+const { asyncHandler, AppError } = require('../middlewares/error.middleware');
+const { shopQuery } = require('../middlewares/tenantIsolation.middleware');
+
+const PROMOTION_FIELDS = [
+  'name', 'description', 'type', 'products', 'buyQuantity', 'freeQuantity', 'discount',
+  'bundleItems', 'bundlePrice', 'startsAt', 'endsAt', 'isActive'
+];
+
+/**
+ * Promotions may only point at the shop's own products (and their variants)
+ */
+const assertShopProducts = async (req, { products, bundleItems }) => {
+  const ids = [...(products || []), ...(bundleItems || []).map(item => item.product)].map(String);
+  if (ids.length === 0) return;
+
+  // CRITICAL: Look up products with tenant isolation
+  const found = await Product.find(shopQuery(req, { _id: { $in: ids } })).select('variants._id');
+  if (found.length !== new Set(ids).size) {
+    throw new AppError('One or more products were not found', 400);
+  }
+
+  for (const item of bundleItems || []) {
+    const product = found.find(entry => entry._id.toString() === String(item.product));
+    if (item.variant && !product.variants.id(item.variant)) {
+      throw new AppError('Bundle product variant not found', 400);
+    }
+  }
+};
+
+/**
+ * Whether a promotion is running now, scheduled, or over (for the admin list)
+ */
+const promotionStatus = (promotion, now = new Date()) => {
+  if (!promotion.isActive) return 'INACTIVE';
+  if (promotion.startsAt && promotion.startsAt > now) return 'SCHEDULED';
+  if (promotion.endsAt && promotion.endsAt <= now) return 'ENDED';
+  return 'RUNNING';
+};
+
+/**
+ * @desc    Get promotions (?type=FLASH_SALE&active=true for those running now)
+ * @route   GET /api/admin/promotions
+ * @access  Private
+ */
+const getPromotions = asyncHandler(async (req, res) => {
+  const { type, active } = req.query;
+
+  // CRITICAL: Query with tenant isolation
+  const query = shopQuery(req);
+  if (type) query.type = type;
+
+  const promotions = (await Promotion.find(query).sort('-createdAt'))
+    .map(promotion => ({ ...promotion.toObject(), status: promotionStatus(promotion) }))
+    .filter(promotion => active !== 'true' || promotion.status === 'RUNNING');
+
+  res.status(200).json({
+    success: true,
+    data: { promotions }
+  });
+});
+
+/**
+ * @desc    Get single promotion
+ * @route   GET /api/admin/promotions/:id
+ * @access  Private
+ */
+const getPromotion = asyncHandler(async (req, res) => {
+  // CRITICAL: Find promotion with tenant isolation
+  const promotion = await Promotion.findOne(shopQuery(req, { _id: req.params.id }))
+    .populate('products', 'name sku')
+    .populate('bundleItems.product', 'name sku');
+
+  if (!promotion) {
+    throw new AppError('Promotion not found', 404);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { promotion: { ...promotion.toObject(), status: promotionStatus(promotion) } }
+  });
+});
+
+/**
+ * @desc    Create promotion (OWNER/STAFF with permission)
+ * @route   POST /api/admin/promotions
+ * @access  Private
+ */
+const createPromotion = asyncHandler(async (req, res) => {
+  await assertShopProducts(req, req.body);
+
+  const fields = Object.fromEntries(PROMOTION_FIELDS
+    .filter(field => req.body[field] !== undefined)
+    .map(field => [field, req.body[field]]));
+
+  // CRITICAL: Create promotion with shopId
+  const promotion = await Promotion.create({
+    ...fields,
+    shopId: req.shopId,
+    createdBy: req.user._id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Promotion created successfully',
+    data: { promotion }
+  });
+});
+
+/**
+ * @desc    Update promotion - carts pick up the change the next time they are saved
+ * @route   PUT /api/admin/promotions/:id
+ * @access  Private
+ */
+const updatePromotion = asyncHandler(async (req, res) => {
+  // CRITICAL: Find promotion with tenant isolation
+  const promotion = await Promotion.findOne(shopQuery(req, { _id: req.params.id }));
+
+  if (!promotion) {
+    throw new AppError('Promotion not found', 404);
+  }
+
+  await assertShopProducts(req, req.body);
+
+  PROMOTION_FIELDS
+    .filter(field => req.body[field] !== undefined)
+    .forEach(field => promotion.set(field, req.body[field]));
+
+  await promotion.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Promotion updated successfully',
+    data: { promotion }
+  });
+});
+
+/**
+ * @desc    Delete promotion - orders keep the promotion they got
+ * @route   DELETE /api/admin/promotions/:id
+ * @access  Private
+ */
+const deletePromotion = asyncHandler(async (req, res) => {
+  // CRITICAL: Delete with tenant isolation
+  const promotion = await Promotion.findOneAndDelete(shopQuery(req, { _id: req.params.id }));
+
+  if (!promotion) {
+    throw new AppError('Promotion not found', 404);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Promotion deleted successfully'
+  });
+});
+
+module.exports = {
+  getPromotions,
+  getPromotion,
+  createPromotion,
+  updatePromotion,
+  deletePromotion
+};
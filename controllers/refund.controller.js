@@ -0,0 +1,218 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order.model');
+const Refund = require('../models/Refund.model');
+const { asyncHandler, AppError } = require('../middlewares/error.middleware');
+const { shopQuery } = require('../middlewares/tenantIsolation.middleware');
+const { generateCreditNoteNumber } = require('../services/sequence.service');
+const { generateCreditNote } = require('../services/invoice.service');
+const { readFile } = require('../services/storage.service');
+const { updateCustomerStats } = require('../services/customer.service');
+const { getOrderRecipient } = require('../services/orderStatus.service');
+
+/**
+ * @desc    Issue a full or partial refund against an order (OWNER/STAFF with permission)
+ * @route   POST /api/admin/orders/:id/refunds
+ * @access  Private
+ */
+const createRefund = asyncHandler(async (req, res) => {
+  const { type, amount, reasonCode, note, method, items } = req.body;
+
+  // CRITICAL: Find order with tenant isolation
+  const order = await Order.findOne(shopQuery(req, { _id: req.params.id }));
+  if (!order) {
+    throw new AppError('Order not found', 404);
+  }
+
+  // Only money actually received can be refunded
+  if (order.paymentStatus !== 'COMPLETED') {
+    throw new AppError(`Cannot refund an order with payment status ${order.paymentStatus}`, 400);
+  }
+
+  const refundable = order.totalAmount - (order.refundedAmount || 0);
+  const refundAmount = type === 'FULL' ? refundable : Number(amount);
+
+  if (!(refundAmount > 0)) {
+    throw new AppError('Refund amount must be greater than 0', 400);
+  }
+
+  if (refundAmount > refundable) {
+    throw new AppError(`Refund amount exceeds refundable balance of Rs.${refundable}`, 400);
+  }
+
+  let refund;
+
+  await mongoose.connection.transaction(async (session) => {
+    // Conditional increment - two concurrent refunds can never exceed the order total
+    const updatedOrder = await Order.findOneAndUpdate(
+      {
+        ...shopQuery(req, { _id: order._id }),
+        paymentStatus: 'COMPLETED',
+        $expr: {
+          $lte: [{ $add: [{ $ifNull: ['$refundedAmount', 0] }, refundAmount] }, '$totalAmount']
+        }
+      },
+      { $inc: { refundedAmount: refundAmount } },
+      { new: true, session }
+    );
+
+    if (!updatedOrder) {
+      throw new AppError('Order was refunded concurrently. Please reload and try again.', 409);
+    }
+
+    if (updatedOrder.refundedAmount >= updatedOrder.totalAmount) {
+      await Order.updateOne(
+        { _id: order._id },
+        { $set: { paymentStatus: 'REFUNDED' } },
+        { session }
+      );
+    }
+
+    // Refunded money no longer counts as customer spend
+    // (cancelling already removed the whole order from the totals)
+    if (order.orderStatus !== 'CANCELLED') {
+      await updateCustomerStats(req.shopId, order.customer, { spent: -refundAmount }, session);
+    }
+
+    const creditNoteNumber = await generateCreditNoteNumber(req.shopId, { session });
+
+    // CRITICAL: Create refund with shopId
+    [refund] = await Refund.create([{
+      shopId: req.shopId,
+      order: order._id,
+      creditNoteNumber,
+      type: refundAmount === refundable ? 'FULL' : 'PARTIAL',
+      amount: refundAmount,
+      reasonCode,
+      note,
+      method,
+      items,
+      issuedBy: req.user._id
+    }], { session });
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Refund issued successfully',
+    data: { refund }
+  });
+});
+
+/**
+ * @desc    Get refunds for an order
+ * @route   GET /api/orders/:id/refunds
+ * @access  Private
+ */
+const getOrderRefunds = asyncHandler(async (req, res) => {
+  // CRITICAL: Find order with tenant isolation
+  const order = await Order.findOne(shopQuery(req, { _id: req.params.id }));
+  if (!order) {
+    throw new AppError('Order not found', 404);
+  }
+
+  // Customers can only see refunds on their own orders
+  if (order.user.toString() !== req.user._id.toString() && req.user.role === 'CUSTOMER') {
+    throw new AppError('Not authorized to access this order', 403);
+  }
+
+  const refunds = await Refund.find(shopQuery(req, { order: order._id }))
+    .populate('issuedBy', 'name')
+    .sort('-createdAt');
+
+  res.status(200).json({
+    success: true,
+    data: {
+      refunds,
+      refundedAmount: order.refundedAmount
+    }
+  });
+});
+
+/**
+ * @desc    Get all refunds (OWNER/STAFF with permission)
+ * @route   GET /api/admin/refunds
+ * @access  Private
+ */
+const getRefunds = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, reasonCode } = req.query;
+
+  // CRITICAL: Base query with tenant isolation
+  const query = shopQuery(req);
+  if (reasonCode) query.reasonCode = reasonCode;
+
+  const skip = (page - 1) * limit;
+
+  const refunds = await Refund.find(query)
+    .populate('order', 'orderNumber totalAmount')
+    .populate('issuedBy', 'name')
+    .sort('-createdAt')
+    .limit(Number(limit))
+    .skip(skip);
+
+  const total = await Refund.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      refunds,
+      pagination: {
+        page: Number(page),
+        limit: Number(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+/**
+ * @desc    Download credit note for a refund
+ * @route   GET /api/orders/:id/refunds/:refundId/credit-note
+ * @access  Private
+ */
+const downloadCreditNote = asyncHandler(async (req, res) => {
+  // CRITICAL: Find refund and order with tenant isolation
+  const refund = await Refund.findOne(shopQuery(req, { _id: req.params.refundId, order: req.params.id }));
+  if (!refund) {
+    throw new AppError('Refund not found', 404);
+  }
+
+  const order = await Order.findOne(shopQuery(req, { _id: refund.order }))
+    .populate({
+      path: 'shopId',
+      populate: {
+        path: 'ownerId',
+        select: 'email phone'
+      }
+    });
+
+  // Check ownership (customers only see their own credit notes)
+  if (order.user.toString() !== req.user._id.toString() && req.user.role === 'CUSTOMER') {
+    throw new AppError('Not authorized to access this credit note', 403);
+  }
+
+  let pdf = refund.creditNoteFile && refund.creditNoteFile.key ? await readFile(refund.creditNoteFile) : null;
+
+  // Generate (or regenerate) the PDF - the credit note number never changes
+  if (!pdf) {
+    const user = await getOrderRecipient(order);
+    const shop = order.shopId;
+
+    const { file } = await generateCreditNote(refund, order, user, shop, shop.ownerId);
+
+    refund.creditNoteFile = file;
+    refund.creditNoteUrl = `/api/orders/${order._id}/refunds/${refund._id}/credit-note`;
+    await refund.save();
+
+    pdf = await readFile(file);
+  }
+
+  res.attachment(`${refund.creditNoteNumber.replace(/[^A-Za-z0-9-]/g, '-')}.pdf`);
+  res.send(pdf);
+});
+
+module.exports = {
+  createRefund,
+  getOrderRefunds,
+  getRefunds,
+  downloadCreditNote
+};
@@ -0,0 +1,367 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order.model');
+const ReturnRequest = require('../models/ReturnRequest.model');
+const User = require('../models/User.model');
+const { asyncHandler, AppError } = require('../middlewares/error.middleware');
+const { shopQuery } = require('../middlewares/tenantIsolation.middleware');
+const { saveFile, getFileUrl, deleteFile } = require('../services/storage.service');
+const { sanitizeImage } = require('../services/image.service');
+const { releaseStock } = require('../services/stock.service');
+const { generateReturnNumber } = require('../services/sequence.service');
+const { sendReturnStatusEmail } = require('../services/email.service');
+const { sendReturnStatusWhatsApp } = require('../services/whatsapp.service');
+
+/**
+ * Notify the customer about a return status change (async, don't block response)
+ */
+const notifyReturnStatus = (returnRequest, order) => {
+  User.findById(returnRequest.user)
+    .then(user => user && Promise.all([
+      sendReturnStatusEmail(user, returnRequest, order),
+      sendReturnStatusWhatsApp(user, returnRequest, order)
+    ]))
+    .catch(err => console.error('Error sending notifications:', err));
+};
+
+/**
+ * Return as JSON with signed, expiring URLs for its (private) photos
+ */
+const withPhotoUrls = (returnRequest) => {
+  const json = returnRequest.toJSON();
+  json.photos = json.photos.map(photo => ({
+    ...photo,
+    url: photo.storage ? getFileUrl({ storage: photo.storage, key: photo.publicId }) : photo.url
+  }));
+  return json;
+};
+
+/**
+ * Load a return with tenant isolation and check it is in the expected state
+ */
+const findReturnInStatus = async (req, expectedStatus) => {
+  const returnRequest = await ReturnRequest.findOne(shopQuery(req, { _id: req.params.id }));
+
+  if (!returnRequest) {
+    throw new AppError('Return request not found', 404);
+  }
+
+  if (returnRequest.status !== expectedStatus) {
+    throw new AppError(`Return request is ${returnRequest.status} and cannot be changed this way`, 409);
+  }
+
+  // Only save if nobody moved it on in the meantime (e.g. double "receive")
+  returnRequest.$where = { status: expectedStatus };
+
+  return returnRequest;
+};
+
+/**
+ * Return lines for the requested items, checked against what is still
+ * returnable (ordered minus anything under a return that wasn't rejected)
+ */
+const buildReturnItems = async (req, order, items, session) => {
+  // Quantities already under return (anything not rejected)
+  const existingReturns = await ReturnRequest.find(shopQuery(req, {
+    order: order._id,
+    status: { $ne: 'REJECTED' }
+  })).session(session || null);
+
+  // Lines are keyed by product + variant
+  const lineKey = (product, variant) => `${product}:${variant || ''}`;
+
+  const alreadyReturned = {};
+  for (const existing of existingReturns) {
+    for (const item of existing.items) {
+      const key = lineKey(item.product, item.variant);
+      alreadyReturned[key] = (alreadyReturned[key] || 0) + item.quantity;
+    }
+  }
+
+  return items.map(({ product, variant, quantity, reason: itemReason }) => {
+    const key = lineKey(product, variant);
+    const orderItem = order.items.find(item => lineKey(item.product, item.variant) === key);
+    if (!orderItem) {
+      throw new AppError(`Product ${product} is not part of this order`, 400);
+    }
+
+    const returnable = orderItem.quantity - (alreadyReturned[key] || 0);
+    const qty = Number(quantity);
+
+    if (!Number.isInteger(qty) || qty < 1 || qty > returnable) {
+      throw new AppError(`Invalid return quantity for ${orderItem.name}. Returnable: ${returnable}`, 400);
+    }
+
+    return {
+      product: orderItem.product,
+      name: orderItem.name,
+      variant: orderItem.variant,
+      variantName: orderItem.variantName,
+      quantity: qty,
+      reason: itemReason
+    };
+  });
+};
+
+/**
+ * @desc    Open a return request for delivered order items
+ * @route   POST /api/orders/:id/returns
+ * @access  Private
+ */
+const createReturnRequest = asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+
+  // Items arrive as a JSON string when photos are sent as multipart
+  let items = req.body.items;
+  if (typeof items === 'string') {
+    try {
+      items = JSON.parse(items);
+    } catch (error) {
+      throw new AppError('Items must be a valid JSON array', 400);
+    }
+  }
+
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new AppError('Select at least one item to return', 400);
+  }
+
+  // CRITICAL: Find order with tenant isolation
+  const order = await Order.findOne(shopQuery(req, { _id: req.params.id }));
+  if (!order) {
+    throw new AppError('Order not found', 404);
+  }
+
+  // Check ownership
+  if (order.user.toString() !== req.user._id.toString()) {
+    throw new AppError('Not authorized to return items from this order', 403);
+  }
+
+  if (order.orderStatus !== 'DELIVERED') {
+    throw new AppError('Only delivered orders can be returned', 400);
+  }
+
+  // Fail fast before the photos are stored - checked again at insert time
+  await buildReturnItems(req, order, items);
+
+  // Photos are private - only shown through signed URLs - and have the
+  // customer's EXIF/GPS data stripped
+  const photos = [];
+  for (const file of req.files || []) {
+    const image = await sanitizeImage(file.buffer);
+    const stored = await saveFile({
+      shopId: req.shopId,
+      buffer: image.buffer,
+      folder: 'returns',
+      extension: image.format,
+      contentType: image.contentType,
+      access: 'private'
+    });
+    photos.push({ storage: stored.storage, publicId: stored.key });
+  }
+
+  let returnRequest;
+  try {
+    await mongoose.connection.transaction(async (session) => {
+      // Touching the order makes a concurrent request for it conflict and
+      // retry, so the recheck below sees the other return
+      await Order.updateOne(
+        shopQuery(req, { _id: order._id }),
+        { $set: { lastReturnRequestedAt: new Date() } },
+        { session }
+      );
+
+      const returnItems = await buildReturnItems(req, order, items, session);
+      const returnNumber = await generateReturnNumber(req.shopId, { session });
+
+      // CRITICAL: Create return with shopId
+      returnRequest = new ReturnRequest({
+        shopId: req.shopId,
+        returnNumber,
+        order: order._id,
+        user: req.user._id,
+        items: returnItems,
+        reason,
+        photos
+      });
+      returnRequest.$locals.updatedBy = req.user._id;
+      await returnRequest.save({ session });
+    });
+  } catch (error) {
+    // Nothing references the photos of a request that wasn't created
+    Promise.all(photos.map(photo => deleteFile({ storage: photo.storage, key: photo.publicId })))
+      .catch(err => console.error('Error deleting return photos:', err));
+    throw error;
+  }
+
+  notifyReturnStatus(returnRequest, order);
+
+  res.status(201).json({
+    success: true,
+    message: 'Return request submitted successfully',
+    data: { returnRequest: withPhotoUrls(returnRequest) }
+  });
+});
+
+/**
+ * @desc    Get return requests for an order
+ * @route   GET /api/orders/:id/returns
+ * @access  Private
+ */
+const getOrderReturns = asyncHandler(async (req, res) => {
+  // CRITICAL: Find order with tenant isolation
+  const order = await Order.findOne(shopQuery(req, { _id: req.params.id }));
+  if (!order) {
+    throw new AppError('Order not found', 404);
+  }
+
+  // Customers can only see returns on their own orders
+  if (order.user.toString() !== req.user._id.toString() && req.user.role === 'CUSTOMER') {
+    throw new AppError('Not authorized to access this order', 403);
+  }
+
+  const returns = await ReturnRequest.find(shopQuery(req, { order: order._id })).sort('-createdAt');
+
+  res.status(200).json({
+    success: true,
+    data: { returns: returns.map(withPhotoUrls) }
+  });
+});
+
+/**
+ * @desc    Get all return requests (OWNER/STAFF with permission)
+ * @route   GET /api/admin/returns
+ * @access  Private
+ */
+const getAllReturns = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status, search } = req.query;
+
+  // CRITICAL: Base query with tenant isolation
+  const query = shopQuery(req);
+  if (status) query.status = status;
+  if (search) {
+    query.returnNumber = { $regex: search, $options: 'i' };
+  }
+
+  const skip = (page - 1) * limit;
+
+  const returns = await ReturnRequest.find(query)
+    .populate('order', 'orderNumber totalAmount')
+    .populate('user', 'name email phone')
+    .sort('-createdAt')
+    .limit(Number(limit))
+    .skip(skip);
+
+  const total = await ReturnRequest.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      returns: returns.map(withPhotoUrls),
+      pagination: {
+        page: Number(page),
+        limit: Number(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+/**
+ * @desc    Approve a return request (OWNER/STAFF with permission)
+ * @route   PATCH /api/admin/returns/:id/approve
+ * @access  Private
+ */
+const approveReturn = asyncHandler(async (req, res) => {
+  const returnRequest = await findReturnInStatus(req, 'REQUESTED');
+
+  returnRequest.status = 'APPROVED';
+  returnRequest.reviewedBy = req.user._id;
+  returnRequest.reviewedAt = new Date();
+  returnRequest.$locals.statusNote = req.body.note;
+  returnRequest.$locals.updatedBy = req.user._id;
+  await returnRequest.save();
+
+  const order = await Order.findOne(shopQuery(req, { _id: returnRequest.order }));
+  notifyReturnStatus(returnRequest, order);
+
+  res.status(200).json({
+    success: true,
+    message: 'Return request approved',
+    data: { returnRequest: withPhotoUrls(returnRequest) }
+  });
+});
+
+/**
+ * @desc    Reject a return request (OWNER/STAFF with permission)
+ * @route   PATCH /api/admin/returns/:id/reject
+ * @access  Private
+ */
+const rejectReturn = asyncHandler(async (req, res) => {
+  const returnRequest = await findReturnInStatus(req, 'REQUESTED');
+
+  returnRequest.status = 'REJECTED';
+  returnRequest.rejectionReason = req.body.reason;
+  returnRequest.reviewedBy = req.user._id;
+  returnRequest.reviewedAt = new Date();
+  returnRequest.$locals.statusNote = req.body.reason;
+  returnRequest.$locals.updatedBy = req.user._id;
+  await returnRequest.save();
+
+  const order = await Order.findOne(shopQuery(req, { _id: returnRequest.order }));
+  notifyReturnStatus(returnRequest, order);
+
+  res.status(200).json({
+    success: true,
+    message: 'Return request rejected',
+    data: { returnRequest: withPhotoUrls(returnRequest) }
+  });
+});
+
+/**
+ * @desc    Mark returned goods as received, optionally restocking them
+ * @route   PATCH /api/admin/returns/:id/receive
+ * @access  Private
+ */
+const receiveReturn = asyncHandler(async (req, res) => {
+  const { restock = false, note } = req.body;
+
+  const returnRequest = await findReturnInStatus(req, 'APPROVED');
+
+  // Status change and restock commit together
+  await mongoose.connection.transaction(async (session) => {
+    returnRequest.status = 'RECEIVED';
+    returnRequest.receivedBy = req.user._id;
+    returnRequest.receivedAt = new Date();
+    returnRequest.restocked = Boolean(restock);
+    returnRequest.$locals.statusNote = note;
+    returnRequest.$locals.updatedBy = req.user._id;
+    await returnRequest.save({ session });
+
+    if (restock) {
+      await releaseStock(req.shopId, returnRequest.items, session, {
+        reason: 'RETURN',
+        reference: { kind: 'ReturnRequest', id: returnRequest._id, number: returnRequest.returnNumber },
+        note,
+        user: req.user._id
+      });
+    }
+  });
+
+  const order = await Order.findOne(shopQuery(req, { _id: returnRequest.order }));
+  notifyReturnStatus(returnRequest, order);
+
+  res.status(200).json({
+    success: true,
+    message: restock ? 'Return received and items restocked' : 'Return received',
+    data: { returnRequest: withPhotoUrls(returnRequest) }
+  });
+});
+
+module.exports = {
+  createReturnRequest,
+  getOrderReturns,
+  getAllReturns,
+  approveReturn,
+  rejectReturn,
+  receiveReturn
+};
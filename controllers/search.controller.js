@@ -0,0 +1,98 @@
+const { asyncHandler, AppError } = require('../middlewares/error.middleware');
+const { searchProducts, autocomplete } = require('../services/search.service');
+const { withAvailableStock } = require('../services/reservation.service');
+
+const SORT_OPTIONS = ['relevance', 'newest', 'price_asc', 'price_desc', 'name'];
+
+/**
+ * Comma-separated query value (or repeated parameter) as a list
+ */
+const listParam = (value) => {
+  if (value === undefined) return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(entry => String(entry).trim())
+    .filter(Boolean);
+};
+
+/**
+ * @desc    Search the catalog with facet counts
+ *          ?q=&category=&brand=a,b&minPrice=&maxPrice=&inStock=true&spec[Colour]=Black,Brown&sort=&page=&limit=
+ * @route   GET /api/products/search
+ * @access  Public (with shopSlug) or Private (with auth)
+ */
+const searchCatalog = asyncHandler(async (req, res) => {
+  const { q, category, minPrice, maxPrice, inStock, sort, page = 1, limit = 12 } = req.query;
+
+  if (sort && !SORT_OPTIONS.includes(sort)) {
+    throw new AppError(`Sort must be one of ${SORT_OPTIONS.join(', ')}`, 400);
+  }
+
+  const specs = {};
+  if (req.query.spec && typeof req.query.spec === 'object') {
+    for (const [name, values] of Object.entries(req.query.spec)) {
+      const list = listParam(values);
+      if (list.length > 0) specs[name] = list;
+    }
+  }
+
+  const pageNumber = Math.max(1, Number(page) || 1);
+  const pageSize = Math.min(100, Math.max(1, Number(limit) || 12));
+
+  // CRITICAL: Search is scoped to req.shopId
+  const result = await searchProducts(req.shopId, {
+    q,
+    category,
+    brands: listParam(req.query.brand),
+    minPrice: minPrice !== undefined && minPrice !== '' ? Number(minPrice) : undefined,
+    maxPrice: maxPrice !== undefined && maxPrice !== '' ? Number(maxPrice) : undefined,
+    inStock: inStock === 'true',
+    specs,
+    sort,
+    page: pageNumber,
+    limit: pageSize
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      products: await withAvailableStock(result.products),
+      facets: result.facets,
+      matchType: result.matchType,
+      suggestion: result.suggestion,
+      // More products matched than a search can rank - total and facets are partial
+      truncated: result.truncated,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total: result.total,
+        pages: Math.ceil(result.total / pageSize)
+      }
+    }
+  });
+});
+
+/**
+ * @desc    Search box suggestions - products, categories and brands as the customer types
+ * @route   GET /api/products/search/autocomplete?q=
+ * @access  Public (with shopSlug) or Private (with auth)
+ */
+const autocompleteCatalog = asyncHandler(async (req, res) => {
+  const q = String(req.query.q || '').trim();
+
+  if (q.length > 100) {
+    throw new AppError('Search text cannot exceed 100 characters', 400);
+  }
+
+  // CRITICAL: Suggestions are scoped to req.shopId
+  const suggestions = await autocomplete(req.shopId, q);
+
+  res.status(200).json({
+    success: true,
+    data: suggestions
+  });
+});
+
+module.exports = {
+  searchCatalog,
+  autocompleteCatalog
+};
@@ -1,5 +1,6 @@
 const Shop = require('../models/Shop.model');
 const User = require('../models/User.model');
+const StockReservation = require('../models/StockReservation.model');
 const { asyncHandler, AppError } = require('../middlewares/error.middleware');
 
 /**
@@ -111,7 +112,7 @@ const updateShop = asyncHandler(async (req, res) => {
  * @access  Private (OWNER/STAFF)
  */
 const getShopSettings = asyncHandler(async (req, res) => {
-  const shop = await Shop.findById(req.shopId).select('enabledModules plan isActive');
+  const shop = await Shop.findById(req.shopId).select('enabledModules plan isActive timezone numbering tax shipping cartReservations cartReminders catalog');
 
   if (!shop) {
     throw new AppError('Shop not found', 404);
@@ -122,7 +123,14 @@ const getShopSettings = asyncHandler(async (req, res) => {
     data: {
       enabledModules: shop.enabledModules,
       plan: shop.plan,
-      isActive: shop.isActive
+      isActive: shop.isActive,
+      timezone: shop.timezone,
+      numbering: shop.numbering,
+      tax: shop.tax,
+      shipping: shop.shipping,
+      cartReservations: shop.cartReservations,
+      cartReminders: shop.cartReminders,
+      catalog: shop.catalog
     }
   });
 });
@@ -133,7 +141,7 @@ const getShopSettings = asyncHandler(async (req, res) => {
  * @access  Private (OWNER only)
  */
 const updateShopSettings = asyncHandler(async (req, res) => {
-  const { enabledModules } = req.body;
+  const { enabledModules, timezone, numbering, tax, shipping, cartReservations, cartReminders, catalog } = req.body;
 
   const shop = await Shop.findById(req.shopId);
 
@@ -145,13 +153,63 @@ const updateShopSettings = asyncHandler(async (req, res) => {
     shop.enabledModules = { ...shop.enabledModules, ...enabledModules };
   }
 
+  // Dates in document numbers (and their resets) follow it from the next number
+  if (timezone !== undefined) {
+    shop.timezone = timezone;
+  }
+
+  // Order / invoice number formats - only future numbers are affected
+  if (numbering) {
+    for (const key of Shop.NUMBERED_DOCUMENTS) {
+      if (numbering[key]) {
+        shop.numbering[key] = { ...shop.numbering[key].toObject(), ...numbering[key] };
+      }
+    }
+  }
+
+  // GST defaults and tax-inclusive pricing - applies to new orders only
+  if (tax) {
+    shop.tax = { ...shop.tax.toObject(), ...tax };
+  }
+
+  // Shipping profile - zones / slabs sent are replaced as a whole
+  if (shipping) {
+    shop.shipping = { ...shop.shipping.toObject(), ...shipping };
+  }
+
+  // Cart holds - switching them off releases every hold straight away
+  if (cartReservations) {
+    shop.cartReservations = { ...shop.cartReservations.toObject(), ...cartReservations };
+  }
+
+  // Abandoned cart reminders - the delay applies from the next job run
+  if (cartReminders) {
+    shop.cartReminders = { ...shop.cartReminders.toObject(), ...cartReminders };
+  }
+
+  // Auto-SKU only affects products saved from now on
+  if (catalog) {
+    shop.catalog = { ...shop.catalog.toObject(), ...catalog };
+  }
+
   await shop.save();
 
+  if (!shop.cartReservations.enabled) {
+    await StockReservation.deleteMany({ shopId: shop._id });
+  }
+
   res.json({
     success: true,
     message: 'Shop settings updated',
     data: {
-      enabledModules: shop.enabledModules
+      enabledModules: shop.enabledModules,
+      timezone: shop.timezone,
+      numbering: shop.numbering,
+      tax: shop.tax,
+      shipping: shop.shipping,
+      cartReservations: shop.cartReservations,
+      cartReminders: shop.cartReminders,
+      catalog: shop.catalog
     }
   });
 });
@@ -0,0 +1,116 @@
+const Product = require('../models/Product.model');
+const StockMovement = require('../models/StockMovement.model');
+const { asyncHandler, AppError } = require('../middlewares/error.middleware');
+const { shopQuery } = require('../middlewares/tenantIsolation.middleware');
+const { adjustStock } = require('../services/stock.service');
+const { reconcileStock } = require('../jobs/stockReconciliation.job');
+
+/**
+ * @desc    Get a product's stock history (OWNER or STAFF with permission)
+ * @route   GET /api/products/:id/stock-history?variantId=&reason=
+ * @access  Private
+ */
+const getStockHistory = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 50, variantId, reason } = req.query;
+
+  // CRITICAL: Find product with tenant isolation
+  const product = await Product.findOne(shopQuery(req, { _id: req.params.id }))
+    .select('name stock variants options stockDiscrepancy');
+
+  if (!product) {
+    throw new AppError('Product not found', 404);
+  }
+
+  // CRITICAL: Base query with tenant isolation
+  const query = shopQuery(req, { product: product._id });
+  if (variantId) query.variant = variantId;
+  if (reason) query.reason = reason;
+
+  const skip = (page - 1) * limit;
+
+  const movements = await StockMovement.find(query)
+    .populate('user', 'name email')
+    .sort('-createdAt')
+    .limit(Number(limit))
+    .skip(skip);
+
+  const total = await StockMovement.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      product,
+      movements,
+      pagination: {
+        page: Number(page),
+        limit: Number(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+/**
+ * @desc    Record a manual stock change - purchase, adjustment or stock-take count
+ * @route   POST /api/products/:id/stock-adjustments
+ * @access  Private
+ */
+const createStockAdjustment = asyncHandler(async (req, res) => {
+  const { variantId, delta, quantity, reason, note } = req.body;
+
+  if ((delta === undefined) === (quantity === undefined)) {
+    throw new AppError('Provide either delta or quantity', 400);
+  }
+
+  const { product, movement } = await adjustStock(
+    req.shopId,
+    { product: req.params.id, variant: variantId, delta, quantity },
+    { reason, note, user: req.user._id }
+  );
+
+  res.status(201).json({
+    success: true,
+    message: movement ? 'Stock adjusted successfully' : 'Stock already matches, nothing recorded',
+    data: { product, movement }
+  });
+});
+
+/**
+ * @desc    Get products whose stock doesn't match the ledger
+ * @route   GET /api/admin/stock/discrepancies
+ * @access  Private
+ */
+const getStockDiscrepancies = asyncHandler(async (req, res) => {
+  // CRITICAL: Query with tenant isolation
+  const products = await Product.find(shopQuery(req, { 'stockDiscrepancy.detectedAt': { $exists: true } }))
+    .select('name slug stock variants.sku variants.attributes variants.stock stockDiscrepancy')
+    .sort('-stockDiscrepancy.detectedAt');
+
+  res.status(200).json({
+    success: true,
+    data: { products }
+  });
+});
+
+/**
+ * @desc    Reconcile the shop's stock against the ledger now
+ * @route   POST /api/admin/stock/reconcile
+ * @access  Private
+ */
+const runStockReconciliation = asyncHandler(async (req, res) => {
+  const result = await reconcileStock({ shopId: req.shopId });
+
+  res.status(200).json({
+    success: true,
+    message: `${result.checked} products checked, ${result.flagged} flagged`,
+    data: result
+  });
+});
+
+module.exports = {
+  getStockHistory,
+  createStockAdjustment,
+  getStockDiscrepancies,
+  runStockReconciliation
+};
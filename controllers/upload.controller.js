@@ -1,8 +1,10 @@
+const Media = require('../models/Media.model');
 const { asyncHandler, AppError } = require('../middlewares/error.middleware');
-const { uploadToCloudinary, deleteFromCloudinary } = require('../services/cloudinary.service');
+const { shopQuery } = require('../middlewares/tenantIsolation.middleware');
+const { uploadMedia, deleteUnusedMedia } = require('../services/media.service');
 
 /**
- * @desc    Upload single image to Cloudinary
+ * @desc    Upload single image to the shop's media library
  * @route   POST /api/upload/image
  * @access  Private/Admin
  */
@@ -11,71 +13,48 @@ const uploadImage = asyncHandler(async (req, res) => {
     throw new AppError('Please upload an image', 400);
   }
 
-  const result = await uploadToCloudinary(req.file.buffer, 'products');
+  const [media] = await uploadMedia(req.shopId, [req.file], { user: req.user._id });
 
   res.status(200).json({
     success: true,
     data: {
-      url: result.secure_url,
-      publicId: result.public_id
+      media,
+      url: media.url,
+      publicId: media.publicId
     }
   });
 });
 
 /**
- * @desc    Upload multiple images to Cloudinary
+ * @desc    Upload multiple images to the shop's media library
  * @route   POST /api/upload/images
  * @access  Private/Admin
  */
 const uploadImages = asyncHandler(async (req, res) => {
-  console.log('\n=== UPLOAD REQUEST START ===');
-  console.log('req.files exists:', !!req.files);
-  console.log('req.files type:', typeof req.files);
-  console.log('req.files length:', req.files?.length);
-  
   if (!req.files || req.files.length === 0) {
-    console.log('❌ No files in request');
     throw new AppError('Please upload at least one image', 400);
   }
 
-  console.log('Files received:', req.files.length);
-  console.log('File details:', req.files.map(f => ({ 
-    originalname: f.originalname,
-    size: f.size, 
-    mimetype: f.mimetype,
-    bufferLength: f.buffer?.length 
-  })));
-
-  const results = [];
-  
-  for (let i = 0; i < req.files.length; i++) {
-    const file = req.files[i];
-    console.log(`\nUploading file ${i + 1}/${req.files.length}: ${file.originalname}`);
-    
-    try {
-      const result = await uploadToCloudinary(file.buffer, 'products');
-      console.log(`✅ Upload ${i + 1} successful:`, result.url);
-      results.push(result);
-    } catch (error) {
-      console.error(`❌ Upload ${i + 1} failed:`, error.message);
-      console.error('Full error:', error);
-      throw new AppError(`Failed to upload ${file.originalname}: ${error.message}`, 500);
-    }
+  let images;
+  try {
+    images = await uploadMedia(req.shopId, req.files, { user: req.user._id });
+  } catch (error) {
+    // Rejected images (wrong type, too small, corrupt) keep their 400
+    if (error.statusCode) throw error;
+    console.error('Image upload failed:', error);
+    throw new AppError(`Failed to upload images: ${error.message}`, 500);
   }
 
-  console.log('\n✅ All uploads successful');
-  console.log('=== UPLOAD REQUEST END ===\n');
-
   res.status(200).json({
     success: true,
-    data: { 
-      images: results 
+    data: {
+      images
     }
   });
 });
 
 /**
- * @desc    Delete image from Cloudinary
+ * @desc    Delete an unused image by its storage key (URL-encoded, it contains slashes)
  * @route   DELETE /api/upload/image/:publicId
  * @access  Private/Admin
  */
@@ -86,7 +65,14 @@ const deleteImage = asyncHandler(async (req, res) => {
     throw new AppError('Public ID is required', 400);
   }
 
-  await deleteFromCloudinary(publicId);
+  // CRITICAL: Only the shop's own images can be deleted
+  const media = await Media.findOne(shopQuery(req, { publicId }));
+
+  if (!media) {
+    throw new AppError('Image not found', 404);
+  }
+
+  await deleteUnusedMedia(media);
 
   res.status(200).json({
     success: true,
@@ -0,0 +1,29 @@
+const { sendCartReminders } = require('../services/cartReminder.service');
+
+const DEFAULT_INTERVAL_MINUTES = 30;
+
+/**
+ * Remind customers of abandoned carts on an interval (CART_REMINDER_INTERVAL_MINUTES,
+ * default every 30 minutes) - each shop sets how long a cart must be left in cartReminders
+ */
+const startCartReminderJob = () => {
+  const minutes = Number(process.env.CART_REMINDER_INTERVAL_MINUTES) || DEFAULT_INTERVAL_MINUTES;
+
+  const timer = setInterval(() => {
+    sendCartReminders()
+      .then(({ sent, failed }) => {
+        if (sent + failed > 0) {
+          console.log(`🛒 Cart reminders: ${sent} sent, ${failed} failed`);
+        }
+      })
+      .catch(err => console.error('Error sending cart reminders:', err));
+  }, minutes * 60 * 1000);
+
+  // Don't keep the process alive just for this job
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  startCartReminderJob
+};
@@ -0,0 +1,31 @@
+const { sweepOrphanedMedia } = require('../services/media.service');
+
+const DEFAULT_INTERVAL_MINUTES = 60;
+const DEFAULT_GRACE_HOURS = 24;
+
+/**
+ * Delete media library images no product uses on an interval (MEDIA_CLEANUP_INTERVAL_MINUTES,
+ * default hourly) once they've been unused for MEDIA_ORPHAN_GRACE_HOURS (default 24)
+ */
+const startMediaCleanupJob = () => {
+  const minutes = Number(process.env.MEDIA_CLEANUP_INTERVAL_MINUTES) || DEFAULT_INTERVAL_MINUTES;
+  const graceHours = Number(process.env.MEDIA_ORPHAN_GRACE_HOURS) || DEFAULT_GRACE_HOURS;
+
+  const timer = setInterval(() => {
+    sweepOrphanedMedia({ graceHours })
+      .then(({ deleted, relinked, kept, failed }) => {
+        if (deleted + relinked + kept + failed > 0) {
+          console.log(`🖼️  Media cleanup: ${deleted} deleted, ${relinked} still in use, ${kept} kept for orders, ${failed} failed`);
+        }
+      })
+      .catch(err => console.error('Error cleaning up media:', err));
+  }, minutes * 60 * 1000);
+
+  // Don't keep the process alive just for this job
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  startMediaCleanupJob
+};
@@ -0,0 +1,28 @@
+const { sweepExpiredReservations } = require('../services/reservation.service');
+
+const DEFAULT_INTERVAL_MINUTES = 1;
+
+/**
+ * Release expired cart holds on an interval (RESERVATION_SWEEP_INTERVAL_MINUTES, default every minute)
+ */
+const startReservationSweeperJob = () => {
+  const minutes = Number(process.env.RESERVATION_SWEEP_INTERVAL_MINUTES) || DEFAULT_INTERVAL_MINUTES;
+
+  const timer = setInterval(() => {
+    sweepExpiredReservations()
+      .then((released) => {
+        if (released > 0) {
+          console.log(`🛒 Released ${released} expired cart reservations`);
+        }
+      })
+      .catch(err => console.error('Error releasing expired reservations:', err));
+  }, minutes * 60 * 1000);
+
+  // Don't keep the process alive just for this job
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  startReservationSweeperJob
+};
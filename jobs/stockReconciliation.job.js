@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product.model');
+const StockMovement = require('../models/StockMovement.model');
+const { stockSnapshot } = require('../services/stock.service');
+
+const DEFAULT_INTERVAL_MINUTES = 24 * 60;
+
+/**
+ * Ledger sums per product line, keyed `${productId}:${variantId || ''}`
+ */
+const sumLedger = async (match) => {
+  const sums = await StockMovement.aggregate([
+    { $match: match },
+    { $group: { _id: { product: '$product', variant: '$variant' }, total: { $sum: '$delta' } } }
+  ]);
+
+  return new Map(sums.map(entry => [`${entry._id.product}:${entry._id.variant || ''}`, entry.total]));
+};
+
+/**
+ * Lines of a product whose stock differs from the ledger
+ */
+const findMismatches = (product, ledger) => {
+  return Object.entries(stockSnapshot(product))
+    .map(([variant, stock]) => ({
+      variant: variant || undefined,
+      stock,
+      ledgerStock: ledger.get(`${product._id}:${variant}`) || 0
+    }))
+    .filter(line => line.stock !== line.ledgerStock);
+};
+
+/**
+ * Compare every product's stock with the sum of its ledger movements, setting
+ * `stockDiscrepancy` on products that don't match and clearing it on those that do
+ * @param {Object} options - { shopId } to reconcile a single shop
+ * @returns {Object} { checked, flagged }
+ */
+const reconcileStock = async ({ shopId } = {}) => {
+  const match = shopId ? { shopId: new mongoose.Types.ObjectId(String(shopId)) } : {};
+  const ledger = await sumLedger(match);
+  const now = new Date();
+  let checked = 0;
+  let flagged = 0;
+
+  const cursor = Product.find(match)
+    .select('shopId stock variants._id variants.stock stockDiscrepancy')
+    .cursor();
+
+  for await (const product of cursor) {
+    checked++;
+    let mismatches = findMismatches(product, ledger);
+
+    // An order may have landed between the ledger sum and the product read -
+    // re-check just this product before flagging it
+    if (mismatches.length > 0) {
+      const [fresh, freshLedger] = await Promise.all([
+        Product.findById(product._id).select('shopId stock variants._id variants.stock'),
+        sumLedger({ shopId: product.shopId, product: product._id })
+      ]);
+      mismatches = fresh ? findMismatches(fresh, freshLedger) : [];
+    }
+
+    if (mismatches.length > 0) {
+      flagged++;
+      await Product.updateOne(
+        { _id: product._id },
+        { $set: { stockDiscrepancy: { detectedAt: now, lines: mismatches } } }
+      );
+    } else if (product.stockDiscrepancy && product.stockDiscrepancy.detectedAt) {
+      await Product.updateOne({ _id: product._id }, { $unset: { stockDiscrepancy: 1 } });
+    }
+  }
+
+  return { checked, flagged };
+};
+
+/**
+ * Run reconciliation on an interval (STOCK_RECONCILE_INTERVAL_MINUTES, default daily)
+ */
+const startStockReconciliationJob = () => {
+  const minutes = Number(process.env.STOCK_RECONCILE_INTERVAL_MINUTES) || DEFAULT_INTERVAL_MINUTES;
+
+  const timer = setInterval(() => {
+    reconcileStock()
+      .then(({ checked, flagged }) => {
+        console.log(`📦 Stock reconciliation: ${checked} products checked, ${flagged} flagged`);
+      })
+      .catch(err => console.error('Error reconciling stock:', err));
+  }, minutes * 60 * 1000);
+
+  // Don't keep the process alive just for this job
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  reconcileStock,
+  startStockReconciliationJob
+};
@@ -78,7 +78,8 @@ const protect = async (req, res, next) => {
       name: user.name,
       email: user.email,
       phone: user.phone,
-      permissions: user.permissions
+      permissions: user.permissions,
+      priceList: user.priceList
     };
 
     // Update last login
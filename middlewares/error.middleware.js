@@ -27,6 +27,12 @@ const errorHandler = (err, req, res, next) => {
     error = { message, statusCode: 400 };
   }
 
+  // Conditional save matched nothing (document changed concurrently)
+  if (err.name === 'DocumentNotFoundError') {
+    const message = 'This record was changed by someone else. Please reload and try again.';
+    error = { message, statusCode: 409 };
+  }
+
   // JWT errors
   if (err.name === 'JsonWebTokenError') {
     const message = 'Invalid token';
@@ -41,18 +47,21 @@ const errorHandler = (err, req, res, next) => {
   res.status(error.statusCode || err.statusCode || 500).json({
     success: false,
     message: error.message || err.message || 'Server Error',
+    ...(err.isOperational && err.errors && { errors: err.errors }),
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
   });
 };
 
 /**
  * Custom error class
+ * Optional `errors` carries per-item details (e.g. failed order lines) to the client
  */
 class AppError extends Error {
-  constructor(message, statusCode) {
+  constructor(message, statusCode, errors) {
     super(message);
     this.statusCode = statusCode;
     this.isOperational = true;
+    if (errors) this.errors = errors;
 
     Error.captureStackTrace(this, this.constructor);
   }
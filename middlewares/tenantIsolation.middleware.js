@@ -1,4 +1,5 @@
 const { AppError } = require('./error.middleware');
+const Shop = require('../models/Shop.model');
 
 /**
  * CRITICAL: Tenant Isolation Middleware
@@ -40,6 +41,35 @@ const tenantIsolation = (req, res, next) => {
   next();
 };
 
+/**
+ * Shop context for public storefront routes (apply after optionalAuth)
+ * Signed-in users get their own shop; anonymous visitors name the shop
+ * with ?shopSlug= and only active shops are served.
+ */
+const publicShopContext = async (req, res, next) => {
+  try {
+    if (req.user && req.user.shopId) {
+      req.shopId = req.user.shopId._id || req.user.shopId;
+    } else if (req.query.shopSlug) {
+      const shop = await Shop.findOne({ slug: req.query.shopSlug, isActive: true }).select('_id');
+      if (!shop) {
+        return next(new AppError('Shop not found or inactive', 404));
+      }
+      req.shopId = shop._id;
+    } else {
+      return next(new AppError('Authentication or shop slug is required', 400));
+    }
+
+    req.shop = {
+      _id: req.shopId
+    };
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Validate that shopId exists in request
  * Use this in controller functions as a safety check
@@ -68,6 +98,7 @@ const shopQuery = (req, additionalFilters = {}) => {
 
 module.exports = {
   tenantIsolation,
+  publicShopContext,
   requireShopId,
   shopQuery
 };
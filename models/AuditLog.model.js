@@ -21,7 +21,13 @@ const auditLogSchema = new mongoose.Schema({
       'DELETE_PRODUCT',
       'ACTIVATE_PRODUCT',
       'DEACTIVATE_PRODUCT',
+      'ADJUST_STOCK',
+      'IMPORT_PRODUCTS',
+      'CREATE_ORDER',
       'UPDATE_ORDER_STATUS',
+      'RECORD_PAYMENT',
+      'CREATE_REFUND',
+      'UPDATE_RETURN_STATUS',
       'CREATE_USER',
       'UPDATE_USER',
       'DELETE_USER',
@@ -35,7 +41,7 @@ const auditLogSchema = new mongoose.Schema({
   entity: {
     type: String,
     required: true,
-    enum: ['USER', 'PRODUCT', 'ORDER', 'SYSTEM']
+    enum: ['USER', 'PRODUCT', 'ORDER', 'RETURN', 'SYSTEM']
   },
   entityId: {
     type: mongoose.Schema.Types.ObjectId
@@ -1,4 +1,17 @@
 const mongoose = require('mongoose');
+const Promotion = require('./Promotion.model');
+const { applyPromotions } = require('../utils/promotion.util');
+
+// Automatic promotion applied to a line, with a customer-facing explanation
+const appliedPromotionSchema = new mongoose.Schema({
+  promotion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promotion'
+  },
+  name: String,
+  type: String,
+  explanation: String
+}, { _id: false });
 
 const cartItemSchema = new mongoose.Schema({
   product: {
@@ -6,6 +19,10 @@ const cartItemSchema = new mongoose.Schema({
     ref: 'Product',
     required: true
   },
+  // Product variant (Product.variants._id) for products with options
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
   quantity: {
     type: Number,
     required: true,
@@ -23,6 +40,18 @@ const cartItemSchema = new mongoose.Schema({
   finalPrice: {
     type: Number,
     required: true
+  },
+  // Where finalPrice came from: PRODUCT discount, quantity TIER or PRICE_LIST
+  priceSource: {
+    type: String,
+    enum: ['PRODUCT', 'TIER', 'PRICE_LIST'],
+    default: 'PRODUCT'
+  },
+  // Off the line total (finalPrice x quantity) - see utils/promotion.util.js
+  promotion: appliedPromotionSchema,
+  promotionDiscount: {
+    type: Number,
+    default: 0
   }
 }, { _id: false });
 
@@ -52,6 +81,22 @@ const cartSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  promotionDiscount: {
+    type: Number,
+    default: 0
+  },
+  // Applied coupon - couponDiscount is kept current by services/coupon.service.js
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon'
+  },
+  couponCode: String,
+  couponDiscount: {
+    type: Number,
+    default: 0
+  },
+  // Why the applied coupon gives no discount right now
+  couponMessage: String,
   finalAmount: {
     type: Number,
     default: 0
@@ -60,12 +105,26 @@ const cartSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Calculate totals before saving
-cartSchema.pre('save', function(next) {
+/**
+ * Re-evaluate the shop's running promotions on every line
+ * @param {ClientSession} session
+ * @param {Array} items - only these lines (e.g. the ones in stock) - defaults to all
+ */
+cartSchema.methods.applyPromotions = async function(session, items = this.items) {
+  const promotions = items.length > 0 ? await Promotion.findActive(this.shopId, session) : [];
+  applyPromotions(items, promotions);
+};
+
+// Apply promotions and calculate totals before saving
+cartSchema.pre('save', async function(next) {
+  await this.applyPromotions(this.$session());
+
   this.totalItems = this.items.reduce((sum, item) => sum + item.quantity, 0);
   this.totalAmount = this.items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
   this.discount = this.items.reduce((sum, item) => sum + ((item.price - item.finalPrice) * item.quantity), 0);
-  this.finalAmount = this.items.reduce((sum, item) => sum + (item.finalPrice * item.quantity), 0);
+  this.promotionDiscount = this.items.reduce((sum, item) => sum + (item.promotionDiscount || 0), 0);
+  this.finalAmount = this.items.reduce((sum, item) => sum + (item.finalPrice * item.quantity), 0) -
+    this.promotionDiscount - (this.couponDiscount || 0);
   next();
 });
 
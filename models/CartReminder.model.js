@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+/**
+ * Reminder sent for an abandoned cart (see services/cartReminder.service.js)
+ * One per abandonment - a cart changed after its reminder can be reminded again.
+ * recoveredOrder is set when the customer checks out after the reminder.
+ */
+const cartReminderSchema = new mongoose.Schema({
+  // CRITICAL: Multi-tenancy - every reminder belongs to a shop
+  shopId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shop',
+    required: [true, 'Shop ID is required'],
+    index: true
+  },
+  cart: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Cart',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Cart as it was left - updatedAt identifies the abandonment
+  cartUpdatedAt: {
+    type: Date,
+    required: true
+  },
+  cartValue: {
+    type: Number,
+    required: true
+  },
+  totalItems: {
+    type: Number,
+    default: 0
+  },
+  // Channels the reminder went out on (empty when every channel failed)
+  channels: [{
+    type: String,
+    enum: ['EMAIL', 'WHATSAPP']
+  }],
+  sentAt: {
+    type: Date,
+    default: Date.now
+  },
+  recoveredOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  recoveredAmount: Number,
+  recoveredAt: Date
+}, {
+  timestamps: true
+});
+
+// CRITICAL: Multi-tenancy indexes
+cartReminderSchema.index({ shopId: 1, cart: 1, cartUpdatedAt: 1 }, { unique: true });
+cartReminderSchema.index({ shopId: 1, sentAt: -1 });
+
+const CartReminder = mongoose.model('CartReminder', cartReminderSchema);
+
+module.exports = CartReminder;
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+const MAX_CATEGORY_DEPTH = 5;
+
+/**
+ * Shop-defined product category - categories nest through `parent`
+ * `ancestors` (root first) is kept in step by services/category.service.js
+ * so a category's whole subtree is one query on { ancestors: id }.
+ */
+const categorySchema = new mongoose.Schema({
+  // CRITICAL: Multi-tenancy - every category belongs to a shop
+  shopId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shop',
+    required: [true, 'Shop ID is required'],
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Category name is required'],
+    trim: true,
+    maxlength: [100, 'Category name cannot exceed 100 characters']
+  },
+  // Unique per shop, defaults from the name
+  slug: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9]+(-[a-z0-9]+)*$/, 'Slug can only contain lowercase letters, numbers and hyphens']
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  image: String,
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  // Lower numbers are listed first among siblings
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Slug from name when not given
+categorySchema.pre('validate', function(next) {
+  if (!this.slug && this.name) {
+    this.slug = this.name
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-|-$/g, '');
+  }
+
+  if (this.ancestors.length >= MAX_CATEGORY_DEPTH) {
+    this.invalidate('parent', `Categories can be nested at most ${MAX_CATEGORY_DEPTH} levels deep`);
+  }
+  next();
+});
+
+// CRITICAL: Multi-tenancy indexes
+categorySchema.index({ shopId: 1, slug: 1 }, { unique: true });
+categorySchema.index({ shopId: 1, parent: 1, sortOrder: 1 });
+categorySchema.index({ shopId: 1, ancestors: 1 });
+
+const Category = mongoose.model('Category', categorySchema);
+
+Category.MAX_DEPTH = MAX_CATEGORY_DEPTH;
+
+module.exports = Category;
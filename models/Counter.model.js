@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+const counterSchema = new mongoose.Schema({
+  // CRITICAL: Multi-tenancy - every sequence belongs to a shop
+  shopId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shop',
+    required: [true, 'Shop ID is required']
+  },
+  // Sequence name, e.g. 'order' or 'invoice'
+  key: {
+    type: String,
+    required: true
+  },
+  // Reset bucket, e.g. '20250114' for daily, '2025' for yearly, 'ALL' for never
+  period: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// One counter per shop, sequence and period
+counterSchema.index({ shopId: 1, key: 1, period: 1 }, { unique: true });
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+module.exports = Counter;
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+/**
+ * Discount code customers apply to their cart - see services/coupon.service.js
+ * Restricted to `products` and/or `categories` (including subcategories) when
+ * either is set, otherwise it applies to the whole cart.
+ */
+const couponSchema = new mongoose.Schema({
+  // CRITICAL: Multi-tenancy - every coupon belongs to a shop
+  shopId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shop',
+    required: [true, 'Shop ID is required'],
+    index: true
+  },
+  code: {
+    type: String,
+    required: [true, 'Coupon code is required'],
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z0-9_-]{3,30}$/, 'Coupon code must be 3-30 letters, digits, - or _']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  type: {
+    type: String,
+    enum: ['PERCENTAGE', 'FIXED'],
+    required: [true, 'Coupon type is required']
+  },
+  // Percent off for PERCENTAGE, amount off for FIXED
+  value: {
+    type: Number,
+    required: [true, 'Coupon value is required'],
+    min: [0, 'Coupon value cannot be negative']
+  },
+  // Cap on a PERCENTAGE discount
+  maxDiscount: {
+    type: Number,
+    min: [0, 'Maximum discount cannot be negative']
+  },
+  // Cart value (after product discounts) needed to use the coupon
+  minCartValue: {
+    type: Number,
+    default: 0,
+    min: [0, 'Minimum cart value cannot be negative']
+  },
+  startsAt: Date,
+  expiresAt: Date,
+  // Total redemptions allowed (unlimited when not set)
+  usageLimit: {
+    type: Number,
+    min: [1, 'Usage limit must be at least 1']
+  },
+  // Redemptions allowed per customer - one each unless set; send null for unlimited
+  perCustomerLimit: {
+    type: Number,
+    default: 1,
+    min: [1, 'Per customer limit must be at least 1']
+  },
+  // Redemptions on orders that were not cancelled
+  usedCount: {
+    type: Number,
+    default: 0
+  },
+  products: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  categories: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+couponSchema.pre('validate', function(next) {
+  if (this.type === 'PERCENTAGE' && this.value > 100) {
+    this.invalidate('value', 'Percentage discount cannot exceed 100%');
+  }
+  if (this.startsAt && this.expiresAt && this.expiresAt <= this.startsAt) {
+    this.invalidate('expiresAt', 'Expiry must be after the start date');
+  }
+  next();
+});
+
+// CRITICAL: Multi-tenancy indexes
+couponSchema.index({ shopId: 1, code: 1 }, { unique: true });
+couponSchema.index({ shopId: 1, createdAt: -1 });
+
+const Coupon = mongoose.model('Coupon', couponSchema);
+
+module.exports = Coupon;
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+/**
+ * One use of a coupon on an order - counts towards the coupon's per-customer
+ * limit until the order is cancelled (releasedAt set)
+ */
+const couponRedemptionSchema = new mongoose.Schema({
+  // CRITICAL: Multi-tenancy - every redemption belongs to a shop
+  shopId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shop',
+    required: [true, 'Shop ID is required'],
+    index: true
+  },
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  discount: {
+    type: Number,
+    required: true
+  },
+  releasedAt: Date
+}, {
+  timestamps: true
+});
+
+// CRITICAL: Multi-tenancy indexes
+couponRedemptionSchema.index({ shopId: 1, coupon: 1, user: 1 });
+couponRedemptionSchema.index({ shopId: 1, order: 1 }, { unique: true });
+
+const CouponRedemption = mongoose.model('CouponRedemption', couponRedemptionSchema);
+
+module.exports = CouponRedemption;
@@ -37,6 +37,11 @@ const customerSchema = new mongoose.Schema({
     }
   },
   notes: String,
+  // Wholesale price list applied to this customer's orders
+  priceList: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PriceList'
+  },
   totalOrders: {
     type: Number,
     default: 0
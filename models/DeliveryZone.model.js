@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+const pincodeRangeSchema = new mongoose.Schema({
+  from: {
+    type: Number,
+    required: true,
+    min: [100000, 'Pincode must be 6 digits'],
+    max: [999999, 'Pincode must be 6 digits']
+  },
+  to: {
+    type: Number,
+    required: true,
+    min: [100000, 'Pincode must be 6 digits'],
+    max: [999999, 'Pincode must be 6 digits']
+  }
+}, { _id: false });
+
+/**
+ * Area a shop delivers to
+ * A shop with no active zones delivers everywhere; once it has zones, only
+ * pincodes listed in (or inside a range of) an active zone are serviceable.
+ */
+const deliveryZoneSchema = new mongoose.Schema({
+  // CRITICAL: Multi-tenancy - every zone belongs to a shop
+  shopId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shop',
+    required: [true, 'Shop ID is required'],
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Zone name is required'],
+    trim: true,
+    maxlength: [100, 'Zone name cannot exceed 100 characters']
+  },
+  pincodes: [{
+    type: String,
+    match: [/^[1-9][0-9]{5}$/, 'Pincode must be 6 digits']
+  }],
+  pincodeRanges: [pincodeRangeSchema],
+  codAvailable: {
+    type: Boolean,
+    default: true
+  },
+  estimatedDays: {
+    min: {
+      type: Number,
+      min: [0, 'Delivery days cannot be negative']
+    },
+    max: {
+      type: Number,
+      min: [0, 'Delivery days cannot be negative']
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Ranges must run low to high
+deliveryZoneSchema.pre('validate', function(next) {
+  this.pincodeRanges.forEach((range, index) => {
+    if (range.from > range.to) {
+      this.invalidate(`pincodeRanges.${index}`, `Pincode range ${range.from}-${range.to} is reversed`);
+    }
+  });
+  next();
+});
+
+// CRITICAL: Multi-tenancy indexes
+deliveryZoneSchema.index({ shopId: 1, name: 1 }, { unique: true });
+deliveryZoneSchema.index({ shopId: 1, isActive: 1, pincodes: 1 });
+deliveryZoneSchema.index({ shopId: 1, isActive: 1, 'pincodeRanges.from': 1, 'pincodeRanges.to': 1 });
+
+const DeliveryZone = mongoose.model('DeliveryZone', deliveryZoneSchema);
+
+module.exports = DeliveryZone;
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+/**
+ * Image in a shop's media library (a file in services/storage.service.js)
+ * `products` lists the products whose images (or variant images) use it -
+ * kept in step by services/media.service.js. Assets no product has used
+ * for a while are removed by jobs/mediaCleanup.job.js.
+ */
+const mediaSchema = new mongoose.Schema({
+  // CRITICAL: Multi-tenancy - every image belongs to a shop
+  shopId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shop',
+    required: [true, 'Shop ID is required'],
+    index: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  // Storage driver holding the file - images from before the drivers are on Cloudinary
+  storage: {
+    type: String,
+    default: 'cloudinary'
+  },
+  // Storage key (the Cloudinary public ID for older images)
+  publicId: {
+    type: String,
+    required: true
+  },
+  width: Number,
+  height: Number,
+  format: String,
+  bytes: Number,
+  // Resized WebP copies (see services/image.service.js), in the same storage
+  renditions: [{
+    _id: false,
+    name: {
+      type: String,
+      enum: ['thumbnail', 'medium', 'large']
+    },
+    key: String,
+    url: String,
+    width: Number,
+    height: Number
+  }],
+  // Default alt text for products that use the image
+  altText: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Alt text cannot exceed 200 characters']
+  },
+  products: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  // When a product last stopped using the image (or when it was uploaded) -
+  // the cleanup grace period for unused images runs from here
+  releasedAt: {
+    type: Date,
+    default: Date.now
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// CRITICAL: Multi-tenancy indexes
+mediaSchema.index({ shopId: 1, publicId: 1 }, { unique: true });
+mediaSchema.index({ shopId: 1, url: 1 });
+mediaSchema.index({ shopId: 1, createdAt: -1 });
+mediaSchema.index({ shopId: 1, products: 1 });
+// Orphan cleanup
+mediaSchema.index({ 'products.0': 1, releasedAt: 1 });
+
+const Media = mongoose.model('Media', mediaSchema);
+
+module.exports = Media;
@@ -1,5 +1,16 @@
 const mongoose = require('mongoose');
 
+// Automatic promotion applied to a line (snapshot of the cart line's)
+const appliedPromotionSchema = new mongoose.Schema({
+  promotion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promotion'
+  },
+  name: String,
+  type: String,
+  explanation: String
+}, { _id: false });
+
 const orderItemSchema = new mongoose.Schema({
   product: {
     type: mongoose.Schema.Types.ObjectId,
@@ -10,12 +21,27 @@ const orderItemSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Variant snapshot (label like "M / Black") - the variant may change later
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  variantName: String,
+  sku: String,
   image: String,
   quantity: {
     type: Number,
     required: true,
     min: 1
   },
+  // Unit snapshot - quantity and price are per this unit
+  unit: {
+    type: String,
+    default: 'DOZEN'
+  },
+  conversionFactor: {
+    type: Number,
+    default: 12
+  },
   price: {
     type: Number,
     required: true
@@ -31,6 +57,39 @@ const orderItemSchema = new mongoose.Schema({
   subtotal: {
     type: Number,
     required: true
+  },
+  promotion: appliedPromotionSchema,
+  promotionDiscount: {
+    type: Number,
+    default: 0
+  },
+  // Share of the order's coupon discount - GST is on subtotal less promotion and coupon discounts
+  couponDiscount: {
+    type: Number,
+    default: 0
+  },
+  // GST for this line (see services/tax.service.js)
+  hsnCode: String,
+  gstRate: {
+    type: Number,
+    default: 0
+  },
+  taxableValue: Number,
+  taxAmount: {
+    type: Number,
+    default: 0
+  },
+  cgst: {
+    type: Number,
+    default: 0
+  },
+  sgst: {
+    type: Number,
+    default: 0
+  },
+  igst: {
+    type: Number,
+    default: 0
   }
 }, { _id: false });
 
@@ -84,10 +143,16 @@ const orderSchema = new mongoose.Schema({
     required: true
   },
   // Customer reference (for Phase 1: orders created by shop staff)
+  // On staff-created orders `user` is the staff member who created it
   customer: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Customer'
   },
+  source: {
+    type: String,
+    enum: ['STOREFRONT', 'STAFF'],
+    default: 'STOREFRONT'
+  },
   items: [orderItemSchema],
   shippingAddress: {
     type: shippingAddressSchema,
@@ -105,6 +170,20 @@ const orderSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  promotionDiscount: {
+    type: Number,
+    default: 0
+  },
+  // Coupon redeemed on the order (see services/coupon.service.js)
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon'
+  },
+  couponCode: String,
+  couponDiscount: {
+    type: Number,
+    default: 0
+  },
   shippingCharges: {
     type: Number,
     default: 0
@@ -113,13 +192,25 @@ const orderSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // GST snapshot at the time of sale - the invoice is rendered from this
+  taxBreakup: {
+    gstin: String,
+    placeOfSupply: String,
+    interState: Boolean,
+    pricesIncludeTax: Boolean,
+    taxableAmount: Number,
+    cgst: Number,
+    sgst: Number,
+    igst: Number
+  },
   totalAmount: {
     type: Number,
     required: true
   },
+  // CASH / UPI / CARD are collected at the counter on staff-created orders
   paymentMethod: {
     type: String,
-    enum: ['COD', 'ONLINE'],
+    enum: ['COD', 'ONLINE', 'CASH', 'UPI', 'CARD'],
     default: 'COD',
     required: true
   },
@@ -132,6 +223,11 @@ const orderSchema = new mongoose.Schema({
     transactionId: String,
     paidAt: Date
   },
+  // Sum of all refunds issued against this order (see Refund model)
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
   orderStatus: {
     type: String,
     enum: ['PLACED', 'CONFIRMED', 'PACKED', 'SHIPPED', 'DELIVERED', 'CANCELLED'],
@@ -143,31 +239,39 @@ const orderSchema = new mongoose.Schema({
       type: Date,
       default: Date.now
     },
-    note: String
+    note: String,
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
   }],
   invoiceUrl: String,
+  // Stored invoice PDF (private file, see storage.service)
+  invoiceFile: {
+    storage: String,
+    key: String
+  },
   invoiceNumber: String,
   notes: String,
   cancelReason: String,
-  deliveredAt: Date
+  deliveredAt: Date,
+  // Touched by every new return request - serializes concurrent requests
+  // for the same order (see controllers/return.controller.js)
+  lastReturnRequestedAt: Date
 }, {
   timestamps: true
 });
 
-// Generate order number before saving
-orderSchema.pre('save', function(next) {
-  if (!this.orderNumber) {
-    this.orderNumber = 'ORD' + Date.now() + Math.floor(Math.random() * 1000);
-  }
-  next();
-});
-
 // Add status to history when order status changes
+// Status changes go through services/orderStatus.service.js, which sets
+// `$locals.statusNote` / `$locals.updatedBy` for the entry
 orderSchema.pre('save', function(next) {
   if (this.isModified('orderStatus')) {
     this.statusHistory.push({
       status: this.orderStatus,
-      timestamp: new Date()
+      timestamp: new Date(),
+      note: this.$locals.statusNote,
+      updatedBy: this.$locals.updatedBy
     });
   }
   next();
@@ -176,11 +280,18 @@ orderSchema.pre('save', function(next) {
 // CRITICAL: Multi-tenancy indexes
 // Order number is unique per shop, not globally
 orderSchema.index({ shopId: 1, orderNumber: 1 }, { unique: true });
+// Invoice number is unique per shop once assigned
+orderSchema.index(
+  { shopId: 1, invoiceNumber: 1 },
+  { unique: true, partialFilterExpression: { invoiceNumber: { $type: 'string' } } }
+);
 orderSchema.index({ shopId: 1, user: 1, createdAt: -1 });
 orderSchema.index({ shopId: 1, customer: 1 }, { sparse: true });
 orderSchema.index({ shopId: 1, orderStatus: 1 });
 orderSchema.index({ shopId: 1, createdAt: -1 });
 orderSchema.index({ shopId: 1, paymentStatus: 1 });
+// Media cleanup keeps images past orders still show
+orderSchema.index({ shopId: 1, 'items.image': 1 });
 
 const Order = mongoose.model('Order', orderSchema);
 
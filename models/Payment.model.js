@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+const paymentSchema = new mongoose.Schema({
+  // CRITICAL: Multi-tenancy - every payment belongs to a shop
+  shopId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shop',
+    required: [true, 'Shop ID is required'],
+    index: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Gateway name as registered in services/payment.service.js
+  provider: {
+    type: String,
+    required: true
+  },
+  // Gateway-side order / intent id
+  intentId: {
+    type: String,
+    required: true
+  },
+  providerPaymentId: String,
+  amount: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  status: {
+    type: String,
+    // REFUND_REQUIRED - captured but the order could not take it (cancelled or
+    // already paid by another intent); the money has to go back to the customer
+    enum: ['CREATED', 'COMPLETED', 'FAILED', 'REFUND_REQUIRED'],
+    default: 'CREATED'
+  },
+  failureReason: String,
+  // Why a captured payment needs refunding
+  refundReason: String,
+  // Gateway checkout details - handed out again when the open intent is reused
+  checkout: mongoose.Schema.Types.Mixed,
+  paidAt: Date,
+  // Webhook event ids already applied (idempotency)
+  processedEvents: [{
+    type: String
+  }]
+}, {
+  timestamps: true
+});
+
+// Webhooks look payments up by gateway intent id
+paymentSchema.index({ provider: 1, intentId: 1 }, { unique: true });
+paymentSchema.index({ shopId: 1, order: 1, createdAt: -1 });
+// One open intent per order - a second one could be paid as well
+paymentSchema.index({ order: 1 }, { unique: true, partialFilterExpression: { status: 'CREATED' } });
+paymentSchema.index({ shopId: 1, status: 1 });
+
+const Payment = mongoose.model('Payment', paymentSchema);
+
+module.exports = Payment;
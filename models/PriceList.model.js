@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+// Per-product price on a list (optionally for one variant)
+const priceListItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  // Either a fixed unit price or a discount % off the product price
+  price: {
+    type: Number,
+    min: [0, 'Price cannot be negative']
+  },
+  discount: {
+    type: Number,
+    min: [0, 'Discount cannot be negative'],
+    max: [100, 'Discount cannot exceed 100%']
+  }
+}, { _id: false });
+
+/**
+ * Named price list (e.g. "Retailer", "Distributor") assigned to Customers
+ * or CUSTOMER users - see services/pricing.service.js
+ */
+const priceListSchema = new mongoose.Schema({
+  // CRITICAL: Multi-tenancy - every price list belongs to a shop
+  shopId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shop',
+    required: [true, 'Shop ID is required'],
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Price list name is required'],
+    trim: true,
+    maxlength: [100, 'Price list name cannot exceed 100 characters']
+  },
+  description: String,
+  // Discount % on every product not listed in items
+  discount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount cannot be negative'],
+    max: [100, 'Discount cannot exceed 100%']
+  },
+  items: [priceListItemSchema],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Each item needs a price or a discount
+priceListSchema.pre('validate', function(next) {
+  this.items.forEach((item, index) => {
+    if ((item.price === undefined || item.price === null) && (item.discount === undefined || item.discount === null)) {
+      this.invalidate(`items.${index}`, 'Price list item needs a price or a discount');
+    }
+  });
+  next();
+});
+
+// CRITICAL: Multi-tenancy indexes
+priceListSchema.index({ shopId: 1, name: 1 }, { unique: true });
+
+const PriceList = mongoose.model('PriceList', priceListSchema);
+
+module.exports = PriceList;
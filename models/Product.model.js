@@ -1,4 +1,96 @@
 const mongoose = require('mongoose');
+const { UNITS } = require('../utils/units.util');
+const { isValidGtin } = require('../utils/barcode.util');
+
+// GST slabs (percent) a product can be taxed at
+const GST_RATES = [0, 0.25, 3, 5, 12, 18, 28];
+
+// EAN-13 / UPC-A / EAN-8 printed on the packaging (blank clears it)
+// Blank codes are left unset - '' would count as a value in the partial unique indexes
+const blankToUndefined = value => (value === null || value === undefined ? undefined : String(value).trim() || undefined);
+
+const barcodeField = {
+  type: String,
+  set: value => (value ? String(value).trim() : undefined),
+  validate: {
+    validator: isValidGtin,
+    message: 'Barcode must be a valid EAN-13, UPC-A or EAN-8 code'
+  }
+};
+
+// Catalog image, in display order - `media` links it to the shop's media library
+// (external URLs have none)
+const imageSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: [true, 'Image URL is required']
+  },
+  media: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Media'
+  },
+  altText: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Alt text cannot exceed 200 characters']
+  },
+  // WebP rendition URLs copied from the media library (none for external images)
+  renditions: {
+    thumbnail: String,
+    medium: String,
+    large: String
+  },
+  // Shown on listings, carts and orders
+  isPrimary: {
+    type: Boolean,
+    default: false
+  }
+});
+
+// Option axis, e.g. { name: 'Size', values: ['S', 'M', 'L'] }
+const optionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Option name is required'],
+    trim: true
+  },
+  values: [{
+    type: String,
+    trim: true
+  }]
+}, { _id: false });
+
+// One sellable combination of option values, e.g. { Size: 'M', Colour: 'Black' }
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    set: blankToUndefined,
+    trim: true,
+    uppercase: true
+  },
+  barcode: barcodeField,
+  attributes: {
+    type: Map,
+    of: String
+  },
+  // Overrides the product price when set (product discount still applies)
+  price: {
+    type: Number,
+    min: [0, 'Price cannot be negative']
+  },
+  stock: {
+    type: Number,
+    default: 0,
+    min: [0, 'Stock cannot be negative']
+  },
+  images: [{
+    type: String
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+});
 
 const productSchema = new mongoose.Schema({
   // CRITICAL: Multi-tenancy - every product belongs to a shop
@@ -18,6 +110,15 @@ const productSchema = new mongoose.Schema({
     type: String,
     lowercase: true
   },
+  // Stock keeping unit - unique per shop, matches rows on bulk import
+  sku: {
+    type: String,
+    set: blankToUndefined,
+    trim: true,
+    uppercase: true,
+    maxlength: [64, 'SKU cannot exceed 64 characters']
+  },
+  barcode: barcodeField,
   description: {
     type: String,
     required: [true, 'Product description is required'],
@@ -27,7 +128,7 @@ const productSchema = new mongoose.Schema({
     type: Number,
     required: [true, 'Product price is required'],
     min: [0, 'Price cannot be negative']
-    // Price is per dozen (12 pieces)
+    // Price is per sellable unit (see `unit`)
   },
   discount: {
     type: Number,
@@ -38,25 +139,77 @@ const productSchema = new mongoose.Schema({
   finalPrice: {
     type: Number
   },
+  // Quantity breaks for wholesale buyers - discount % once quantity >= minQuantity
+  priceTiers: [{
+    _id: false,
+    minQuantity: {
+      type: Number,
+      required: [true, 'Tier minimum quantity is required'],
+      min: [2, 'Tier minimum quantity must be at least 2']
+    },
+    discount: {
+      type: Number,
+      required: [true, 'Tier discount is required'],
+      min: [0, 'Discount cannot be negative'],
+      max: [100, 'Discount cannot exceed 100%']
+    }
+  }],
   stock: {
     type: Number,
     required: [true, 'Stock quantity is required'],
     default: 0,
     min: [0, 'Stock cannot be negative']
-    // Stock is tracked in dozens
+    // Stock is tracked in sellable units (see `unit`)
+    // For products with variants this is the sum of variant stock
   },
-  images: [{
-    type: String
-  }],
-  category: {
+  // Sellable unit - existing catalog was priced and stocked per dozen
+  unit: {
     type: String,
-    required: [true, 'Category is required'],
-    enum: ['Belts', 'Wallets', 'Bags', 'Glasses', 'Accessories', 'Electronics', 'Clothing', 'Home & Kitchen', 'Books', 'Sports', 'Beauty', 'Toys', 'Other']
+    enum: Object.keys(UNITS),
+    default: 'DOZEN'
+  },
+  // Pieces (or kg) in one unit, e.g. 12 for a dozen, 24 for a box of 24
+  conversionFactor: {
+    type: Number,
+    min: [0.001, 'Conversion factor must be greater than 0']
+  },
+  // Minimum order quantity, in units
+  minOrderQuantity: {
+    type: Number,
+    default: 1,
+    min: [1, 'Minimum order quantity must be at least 1']
+  },
+  options: [optionSchema],
+  variants: [variantSchema],
+  images: [imageSchema],
+  // Shipping weight in kg per unit (used by weight-based shipping slabs)
+  weight: {
+    type: Number,
+    min: [0, 'Weight cannot be negative']
+  },
+  // Shop-defined category (see models/Category.model.js)
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    required: [true, 'Category is required']
   },
   brand: {
     type: String,
     trim: true
   },
+  // GST classification - falls back to the shop's tax defaults when unset
+  hsnCode: {
+    type: String,
+    trim: true,
+    match: [/^[0-9]{4}([0-9]{2}){0,2}$/, 'HSN code must be 4, 6 or 8 digits']
+  },
+  gstRate: {
+    type: Number,
+    enum: {
+      values: GST_RATES,
+      message: 'GST rate must be one of ' + GST_RATES.join(', ')
+    }
+  },
   specifications: {
     type: Map,
     of: String
@@ -65,6 +218,19 @@ const productSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Set by the stock reconciliation job when stock doesn't match the ledger sum
+  stockDiscrepancy: {
+    detectedAt: Date,
+    lines: {
+      type: [{
+        _id: false,
+        variant: mongoose.Schema.Types.ObjectId,
+        stock: Number,
+        ledgerStock: Number
+      }],
+      default: undefined
+    }
+  },
   isDeleted: {
     type: Boolean,
     default: false
@@ -101,6 +267,123 @@ productSchema.pre('save', function(next) {
   next();
 });
 
+// Default the conversion factor from the unit (a dozen is always 12)
+productSchema.pre('validate', function(next) {
+  if (this.unit === 'DOZEN' || !this.conversionFactor) {
+    this.conversionFactor = UNITS[this.unit].defaultFactor;
+  }
+  next();
+});
+
+// One tier per quantity break
+productSchema.pre('validate', function(next) {
+  const breaks = this.priceTiers.map(tier => tier.minQuantity);
+  if (new Set(breaks).size !== breaks.length) {
+    this.invalidate('priceTiers', 'Each price tier needs a different minimum quantity');
+  }
+  next();
+});
+
+// Exactly one primary image - the first one unless another is picked
+productSchema.pre('validate', function(next) {
+  const primaries = this.images.filter(image => image.isPrimary);
+  if (primaries.length > 1) {
+    this.invalidate('images', 'Only one image can be the primary image');
+  } else if (primaries.length === 0 && this.images.length > 0) {
+    this.images[0].isPrimary = true;
+  }
+  next();
+});
+
+// Variants must use the product's option axes, be unique, and keep product stock in step
+productSchema.pre('validate', function(next) {
+  if (this.variants.length === 0) return next();
+
+  const axes = new Map(this.options.map(option => [option.name, option.values]));
+  const combinations = new Set();
+  // A variant can't reuse the product's own codes either
+  const skus = new Set([this.sku].filter(Boolean));
+  const barcodes = new Set([this.barcode].filter(Boolean));
+
+  this.variants.forEach((variant, index) => {
+    const attributes = variant.attributes || new Map();
+
+    for (const [name, values] of axes) {
+      const value = attributes.get(name);
+      if (!value || !values.includes(value)) {
+        this.invalidate(`variants.${index}.attributes`, `Variant needs a ${name} from: ${values.join(', ')}`);
+      }
+    }
+    for (const name of attributes.keys()) {
+      if (!axes.has(name)) {
+        this.invalidate(`variants.${index}.attributes`, `Unknown option "${name}"`);
+      }
+    }
+
+    const combination = this.options.map(option => attributes.get(option.name)).join('/');
+    if (combinations.has(combination)) {
+      this.invalidate(`variants.${index}.attributes`, `Duplicate variant ${combination}`);
+    }
+    combinations.add(combination);
+
+    if (variant.sku) {
+      if (skus.has(variant.sku)) {
+        this.invalidate(`variants.${index}.sku`, `Duplicate SKU ${variant.sku}`);
+      }
+      skus.add(variant.sku);
+    }
+    if (variant.barcode) {
+      if (barcodes.has(variant.barcode)) {
+        this.invalidate(`variants.${index}.barcode`, `Duplicate barcode ${variant.barcode}`);
+      }
+      barcodes.add(variant.barcode);
+    }
+  });
+
+  this.stock = this.variants.reduce((sum, variant) => sum + (variant.stock || 0), 0);
+  next();
+});
+
+/**
+ * URL of the primary image (or '' when the product has no images)
+ */
+productSchema.virtual('primaryImage').get(function() {
+  if (!this.images || this.images.length === 0) return '';
+  const primary = this.images.find(image => image.isPrimary) || this.images[0];
+  return primary.url;
+});
+
+/**
+ * Small version of the primary image for listings - falls back to the full image
+ */
+productSchema.virtual('thumbnail').get(function() {
+  if (!this.images || this.images.length === 0) return '';
+  const primary = this.images.find(image => image.isPrimary) || this.images[0];
+  return (primary.renditions && primary.renditions.thumbnail) || primary.url;
+});
+
+/**
+ * Display label for a variant, in option order (e.g. "M / Black")
+ */
+productSchema.methods.getVariantLabel = function(variant) {
+  return this.options
+    .map(option => variant.attributes && variant.attributes.get(option.name))
+    .filter(Boolean)
+    .join(' / ');
+};
+
+/**
+ * Unit pricing for the product or one of its variants
+ */
+productSchema.methods.getPricing = function(variant) {
+  const price = variant && variant.price !== undefined && variant.price !== null ? variant.price : this.price;
+  return {
+    price,
+    discount: this.discount,
+    finalPrice: price - (price * this.discount / 100)
+  };
+};
+
 // Soft delete - don't return deleted products by default
 productSchema.pre(/^find/, function(next) {
   this.where({ isDeleted: false });
@@ -112,10 +395,36 @@ productSchema.pre(/^find/, function(next) {
 productSchema.index({ shopId: 1, slug: 1 }, { unique: true });
 productSchema.index({ shopId: 1, category: 1 });
 productSchema.index({ shopId: 1, isActive: 1 });
+productSchema.index({ shopId: 1, 'stockDiscrepancy.detectedAt': 1 }, { sparse: true });
 productSchema.index({ shopId: 1, createdAt: -1 });
-productSchema.index({ shopId: 1, name: 'text', description: 'text' });
+// Catalog search relevance: name matches count most, then brand, then description
+// (replaces the old name/description text index - see scripts/dropOldIndexes.js)
+productSchema.index(
+  { shopId: 1, name: 'text', brand: 'text', description: 'text' },
+  { name: 'product_search', weights: { name: 10, brand: 5, description: 1 } }
+);
 productSchema.index({ category: 1, isActive: 1 });
+// Product and variant SKUs are unique per shop
+productSchema.index(
+  { shopId: 1, sku: 1 },
+  { unique: true, partialFilterExpression: { sku: { $type: 'string' } } }
+);
+productSchema.index(
+  { shopId: 1, 'variants.sku': 1 },
+  { unique: true, partialFilterExpression: { 'variants.sku': { $type: 'string' } } }
+);
+// Barcodes likewise (codes shared between products are caught in productCode.service)
+productSchema.index(
+  { shopId: 1, barcode: 1 },
+  { unique: true, partialFilterExpression: { barcode: { $type: 'string' } } }
+);
+productSchema.index(
+  { shopId: 1, 'variants.barcode': 1 },
+  { unique: true, partialFilterExpression: { 'variants.barcode': { $type: 'string' } } }
+);
 
 const Product = mongoose.model('Product', productSchema);
 
+Product.GST_RATES = GST_RATES;
+
 module.exports = Product;
@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+
+// Product (optionally one variant) and quantity making up a bundle
+const bundleItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  quantity: {
+    type: Number,
+    default: 1,
+    min: [1, 'Bundle quantity must be at least 1']
+  }
+}, { _id: false });
+
+/**
+ * Automatic promotion - applied to carts and orders without a code
+ * (see utils/promotion.util.js for how rules are evaluated)
+ *
+ *   BUY_X_GET_Y  every buyQuantity + freeQuantity units of a listed product, freeQuantity are free
+ *   BUNDLE       bundleItems bought together cost bundlePrice per combo
+ *   FLASH_SALE   discount % off listed products until endsAt
+ */
+const promotionSchema = new mongoose.Schema({
+  // CRITICAL: Multi-tenancy - every promotion belongs to a shop
+  shopId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shop',
+    required: [true, 'Shop ID is required'],
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Promotion name is required'],
+    trim: true,
+    maxlength: [100, 'Promotion name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  type: {
+    type: String,
+    enum: ['BUY_X_GET_Y', 'BUNDLE', 'FLASH_SALE'],
+    required: [true, 'Promotion type is required']
+  },
+  // BUY_X_GET_Y and FLASH_SALE
+  products: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  // BUY_X_GET_Y - quantities in the product's sellable unit
+  buyQuantity: {
+    type: Number,
+    min: [1, 'Buy quantity must be at least 1']
+  },
+  freeQuantity: {
+    type: Number,
+    min: [1, 'Free quantity must be at least 1']
+  },
+  // FLASH_SALE
+  discount: {
+    type: Number,
+    min: [0, 'Discount cannot be negative'],
+    max: [100, 'Discount cannot exceed 100%']
+  },
+  // BUNDLE
+  bundleItems: [bundleItemSchema],
+  bundlePrice: {
+    type: Number,
+    min: [0, 'Bundle price cannot be negative']
+  },
+  startsAt: Date,
+  endsAt: Date,
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Each type needs its own rule fields
+promotionSchema.pre('validate', function(next) {
+  if (this.type === 'BUY_X_GET_Y') {
+    if (this.products.length === 0) this.invalidate('products', 'Select the products the offer applies to');
+    if (!this.buyQuantity) this.invalidate('buyQuantity', 'Buy quantity is required');
+    if (!this.freeQuantity) this.invalidate('freeQuantity', 'Free quantity is required');
+  }
+
+  if (this.type === 'FLASH_SALE') {
+    if (this.products.length === 0) this.invalidate('products', 'Select the products on sale');
+    if (!this.discount) this.invalidate('discount', 'Sale discount is required');
+    if (!this.endsAt) this.invalidate('endsAt', 'Flash sales need an end time');
+  }
+
+  if (this.type === 'BUNDLE') {
+    const distinct = new Set(this.bundleItems.map(item => `${item.product}:${item.variant || ''}`));
+    if (this.bundleItems.length < 2) this.invalidate('bundleItems', 'A bundle needs at least two products');
+    else if (distinct.size !== this.bundleItems.length) this.invalidate('bundleItems', 'Each bundle product can only be listed once');
+    if (this.bundlePrice === undefined || this.bundlePrice === null) this.invalidate('bundlePrice', 'Bundle price is required');
+  }
+
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate('endsAt', 'End time must be after the start time');
+  }
+  next();
+});
+
+/**
+ * Promotions of a shop running right now
+ */
+promotionSchema.statics.findActive = function(shopId, session) {
+  const now = new Date();
+  return this.find({
+    shopId,
+    isActive: true,
+    $and: [
+      { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+      { $or: [{ endsAt: null }, { endsAt: { $gt: now } }] }
+    ]
+  }).sort('createdAt').session(session || null);
+};
+
+// CRITICAL: Multi-tenancy indexes
+promotionSchema.index({ shopId: 1, isActive: 1, endsAt: 1 });
+promotionSchema.index({ shopId: 1, createdAt: -1 });
+
+const Promotion = mongoose.model('Promotion', promotionSchema);
+
+module.exports = Promotion;
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+const refundItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  name: String,
+  quantity: {
+    type: Number,
+    min: 1
+  },
+  amount: {
+    type: Number,
+    min: 0
+  }
+}, { _id: false });
+
+const refundSchema = new mongoose.Schema({
+  // CRITICAL: Multi-tenancy - every refund belongs to a shop
+  shopId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shop',
+    required: [true, 'Shop ID is required'],
+    index: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  // Credit note number from the shop's creditNote sequence
+  creditNoteNumber: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['FULL', 'PARTIAL'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Refund amount is required'],
+    min: [0.01, 'Refund amount must be greater than 0']
+  },
+  reasonCode: {
+    type: String,
+    enum: ['ORDER_CANCELLED', 'RETURNED', 'DAMAGED', 'WRONG_ITEM', 'NOT_DELIVERED', 'PRICE_ADJUSTMENT', 'OTHER'],
+    required: [true, 'Reason code is required']
+  },
+  note: {
+    type: String,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+  method: {
+    type: String,
+    enum: ['ORIGINAL_PAYMENT', 'CASH', 'BANK_TRANSFER', 'UPI', 'STORE_CREDIT'],
+    default: 'ORIGINAL_PAYMENT'
+  },
+  // Optional line-level breakdown for partial refunds
+  items: [refundItemSchema],
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  creditNoteUrl: String,
+  // Stored credit note PDF (private file, see storage.service)
+  creditNoteFile: {
+    storage: String,
+    key: String
+  }
+}, {
+  timestamps: true
+});
+
+// CRITICAL: Multi-tenancy indexes
+refundSchema.index({ shopId: 1, creditNoteNumber: 1 }, { unique: true });
+refundSchema.index({ shopId: 1, order: 1, createdAt: -1 });
+refundSchema.index({ shopId: 1, createdAt: -1 });
+
+const Refund = mongoose.model('Refund', refundSchema);
+
+module.exports = Refund;
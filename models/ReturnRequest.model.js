@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+
+const returnItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  variantName: String,
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1']
+  },
+  reason: String
+}, { _id: false });
+
+const returnRequestSchema = new mongoose.Schema({
+  // CRITICAL: Multi-tenancy - every return belongs to a shop
+  shopId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shop',
+    required: [true, 'Shop ID is required'],
+    index: true
+  },
+  returnNumber: {
+    type: String,
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  items: {
+    type: [returnItemSchema],
+    validate: [items => items.length > 0, 'At least one item is required']
+  },
+  reason: {
+    type: String,
+    required: [true, 'Return reason is required'],
+    maxlength: [1000, 'Reason cannot exceed 1000 characters']
+  },
+  // Private files - publicId is the storage key; url only on photos stored before storage drivers
+  photos: [{
+    url: String,
+    publicId: String,
+    storage: String
+  }],
+  status: {
+    type: String,
+    enum: ['REQUESTED', 'APPROVED', 'REJECTED', 'RECEIVED'],
+    default: 'REQUESTED'
+  },
+  statusHistory: [{
+    status: String,
+    timestamp: {
+      type: Date,
+      default: Date.now
+    },
+    note: String,
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
+  rejectionReason: String,
+  // Whether received goods went back into sellable stock
+  restocked: {
+    type: Boolean,
+    default: false
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  receivedAt: Date
+}, {
+  timestamps: true
+});
+
+// Add status to history when return status changes
+// Controllers set `$locals.statusNote` / `$locals.updatedBy` for the entry
+returnRequestSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('status')) {
+    this.statusHistory.push({
+      status: this.status,
+      timestamp: new Date(),
+      note: this.$locals.statusNote,
+      updatedBy: this.$locals.updatedBy
+    });
+  }
+  next();
+});
+
+// CRITICAL: Multi-tenancy indexes
+returnRequestSchema.index({ shopId: 1, returnNumber: 1 }, { unique: true });
+returnRequestSchema.index({ shopId: 1, order: 1 });
+returnRequestSchema.index({ shopId: 1, user: 1, createdAt: -1 });
+returnRequestSchema.index({ shopId: 1, status: 1, createdAt: -1 });
+
+const ReturnRequest = mongoose.model('ReturnRequest', returnRequestSchema);
+
+module.exports = ReturnRequest;
@@ -1,4 +1,49 @@
 const mongoose = require('mongoose');
+const { GST_RATES } = require('./Product.model');
+
+/**
+ * Document number format (used by services/sequence.service.js)
+ * Number = prefix + date (datePattern) + zero-padded sequence
+ */
+const NUMBERED_DOCUMENTS = ['order', 'invoice', 'creditNote', 'returnRequest', 'sku'];
+
+/**
+ * Whether Intl knows an IANA time zone name (e.g. Asia/Kolkata)
+ */
+const isTimeZone = (value) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const numberingFormat = (defaults) => ({
+  prefix: {
+    type: String,
+    trim: true,
+    default: defaults.prefix,
+    maxlength: [10, 'Prefix cannot exceed 10 characters'],
+    match: [/^[A-Za-z0-9/-]*$/, 'Prefix can only contain letters, numbers, "-" and "/"']
+  },
+  datePattern: {
+    type: String,
+    enum: ['', 'YYYY', 'YY', 'YYMM', 'YYYYMM', 'YYMMDD', 'YYYYMMDD'],
+    default: defaults.datePattern
+  },
+  padding: {
+    type: Number,
+    min: [1, 'Padding must be at least 1'],
+    max: [10, 'Padding cannot exceed 10'],
+    default: defaults.padding
+  },
+  reset: {
+    type: String,
+    enum: ['DAILY', 'MONTHLY', 'YEARLY', 'NEVER'],
+    default: defaults.reset
+  }
+});
 
 const shopSchema = new mongoose.Schema({
   name: {
@@ -57,6 +102,17 @@ const shopSchema = new mongoose.Schema({
     email: String,
     whatsapp: String
   },
+  // IANA time zone the shop trades in - dates in document numbers and their
+  // daily / monthly / yearly resets follow it, not the server's clock
+  timezone: {
+    type: String,
+    trim: true,
+    default: 'Asia/Kolkata',
+    validate: {
+      validator: isTimeZone,
+      message: 'Time zone must be a valid IANA time zone (e.g. Asia/Kolkata)'
+    }
+  },
   gst: {
     number: String,
     registered: {
@@ -64,6 +120,127 @@ const shopSchema = new mongoose.Schema({
       default: false
     }
   },
+  // GST is only charged when the shop is registered (gst.registered + gst.number)
+  tax: {
+    // true: product prices already include GST, false: GST is added on top
+    pricesIncludeTax: {
+      type: Boolean,
+      default: false
+    },
+    defaultGstRate: {
+      type: Number,
+      enum: {
+        values: GST_RATES,
+        message: 'GST rate must be one of ' + GST_RATES.join(', ')
+      },
+      default: 0
+    },
+    defaultHsnCode: {
+      type: String,
+      trim: true,
+      match: [/^[0-9]{4}([0-9]{2}){0,2}$/, 'HSN code must be 4, 6 or 8 digits']
+    }
+  },
+  // Shipping profile used at checkout (see services/shipping.service.js)
+  shipping: {
+    // FLAT: flatRate | ZONE: rate of the matching zone | SLAB: rate by quantity/weight band
+    method: {
+      type: String,
+      enum: ['FLAT', 'ZONE', 'SLAB'],
+      default: 'FLAT'
+    },
+    flatRate: {
+      type: Number,
+      min: [0, 'Shipping rate cannot be negative'],
+      default: 50
+    },
+    // Orders with a subtotal above this ship free (0 = never free)
+    freeAbove: {
+      type: Number,
+      min: [0, 'Free shipping threshold cannot be negative'],
+      default: 500
+    },
+    // Pincode prefixes are matched before states; no match falls back to flatRate
+    zones: [{
+      _id: false,
+      name: {
+        type: String,
+        required: [true, 'Zone name is required'],
+        trim: true
+      },
+      states: [String],
+      pincodePrefixes: [String],
+      rate: {
+        type: Number,
+        required: [true, 'Zone rate is required'],
+        min: [0, 'Shipping rate cannot be negative']
+      }
+    }],
+    // QUANTITY bands count order quantity (units), WEIGHT bands use Product.weight (kg per unit)
+    slabBasis: {
+      type: String,
+      enum: ['QUANTITY', 'WEIGHT'],
+      default: 'QUANTITY'
+    },
+    slabs: [{
+      _id: false,
+      upTo: {
+        type: Number,
+        required: [true, 'Slab upper limit is required'],
+        min: [0, 'Slab upper limit cannot be negative']
+      },
+      rate: {
+        type: Number,
+        required: [true, 'Slab rate is required'],
+        min: [0, 'Shipping rate cannot be negative']
+      }
+    }]
+  },
+  // Soft cart holds - adding to cart reserves stock for holdMinutes
+  // (see services/reservation.service.js)
+  cartReservations: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    holdMinutes: {
+      type: Number,
+      min: [1, 'Hold period must be at least 1 minute'],
+      max: [1440, 'Hold period cannot exceed 24 hours'],
+      default: 15
+    }
+  },
+  // Abandoned cart reminders - carts untouched for afterHours get one email /
+  // WhatsApp nudge (see services/cartReminder.service.js)
+  cartReminders: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    afterHours: {
+      type: Number,
+      min: [1, 'Reminder delay must be at least 1 hour'],
+      max: [168, 'Reminder delay cannot exceed 7 days'],
+      default: 24
+    }
+  },
+  // Catalog defaults
+  catalog: {
+    // New products without a SKU get the next one from numbering.sku, and
+    // variants without one get the product SKU plus a suffix (e.g. SKU-000042-1)
+    autoSku: {
+      type: Boolean,
+      default: false
+    }
+  },
+  // Order / invoice / SKU number formats (sequences are per shop)
+  numbering: {
+    order: numberingFormat({ prefix: 'ORD', datePattern: 'YYMMDD', padding: 4, reset: 'DAILY' }),
+    invoice: numberingFormat({ prefix: 'INV-', datePattern: 'YYYY', padding: 5, reset: 'YEARLY' }),
+    creditNote: numberingFormat({ prefix: 'CN-', datePattern: 'YYYY', padding: 5, reset: 'YEARLY' }),
+    returnRequest: numberingFormat({ prefix: 'RMA-', datePattern: 'YYYY', padding: 5, reset: 'YEARLY' }),
+    sku: numberingFormat({ prefix: 'SKU-', datePattern: '', padding: 6, reset: 'NEVER' })
+  },
   // Legal compliance
   agreedToTerms: {
     type: Boolean,
@@ -113,6 +290,24 @@ shopSchema.pre('save', function(next) {
   next();
 });
 
+// A sequence that resets must carry its period in the number, otherwise
+// numbers repeat (e.g. daily reset with a yearly date pattern)
+shopSchema.pre('validate', function(next) {
+  const requiredTokens = { DAILY: 'DD', MONTHLY: 'MM', YEARLY: 'YY' };
+
+  for (const key of NUMBERED_DOCUMENTS) {
+    const format = this.numbering && this.numbering[key];
+    const token = format && requiredTokens[format.reset];
+    if (token && !(format.datePattern || '').includes(token)) {
+      this.invalidate(
+        `numbering.${key}.datePattern`,
+        `Date pattern for ${key} numbers must include ${token} when resetting ${format.reset.toLowerCase()}`
+      );
+    }
+  }
+  next();
+});
+
 // Record agreement timestamp
 shopSchema.pre('save', function(next) {
   if (this.isModified('agreedToTerms') || this.isModified('agreedToSellerAgreement') || this.isModified('agreedToProhibitedItems')) {
@@ -125,4 +320,7 @@ shopSchema.pre('save', function(next) {
 
 const Shop = mongoose.model('Shop', shopSchema);
 
+// Keys of Shop.numbering, each backed by its own counter
+Shop.NUMBERED_DOCUMENTS = NUMBERED_DOCUMENTS;
+
 module.exports = Shop;
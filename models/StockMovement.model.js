@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+const STOCK_MOVEMENT_REASONS = [
+  'OPENING_BALANCE',
+  'SALE',
+  'CANCEL',
+  'RETURN',
+  'ADJUSTMENT',
+  'STOCK_TAKE',
+  'PURCHASE'
+];
+
+/**
+ * Append-only stock ledger - one entry per stock change
+ * For every product (or variant) the sum of `delta` equals its current stock;
+ * jobs/stockReconciliation.job.js flags products where it doesn't.
+ * Written only through services/stock.service.js.
+ */
+const stockMovementSchema = new mongoose.Schema({
+  // CRITICAL: Multi-tenancy - every movement belongs to a shop
+  shopId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shop',
+    required: [true, 'Shop ID is required'],
+    index: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  delta: {
+    type: Number,
+    required: true
+  },
+  // Stock of the product (or variant) right after this movement
+  balance: {
+    type: Number,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: STOCK_MOVEMENT_REASONS,
+    required: true
+  },
+  // Document that caused the movement (order, return request, ...)
+  reference: {
+    kind: {
+      type: String,
+      enum: ['Order', 'ReturnRequest']
+    },
+    id: mongoose.Schema.Types.ObjectId,
+    number: String
+  },
+  note: String,
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Ledger entries are never changed or removed
+const rejectChange = function(next) {
+  next(new Error('Stock movements are append-only'));
+};
+stockMovementSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], rejectChange);
+stockMovementSchema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete'], rejectChange);
+stockMovementSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+
+// CRITICAL: Multi-tenancy indexes
+stockMovementSchema.index({ shopId: 1, product: 1, variant: 1, createdAt: -1 });
+stockMovementSchema.index({ shopId: 1, reason: 1, createdAt: -1 });
+stockMovementSchema.index({ shopId: 1, 'reference.id': 1 });
+
+const StockMovement = mongoose.model('StockMovement', stockMovementSchema);
+
+StockMovement.REASONS = STOCK_MOVEMENT_REASONS;
+
+module.exports = StockMovement;
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+/**
+ * Soft hold on stock for a cart line while the customer shops
+ * Holds don't change Product.stock - available stock is stock minus active
+ * holds (see services/reservation.service.js). Expired holds are ignored
+ * and removed by jobs/reservationSweeper.job.js.
+ */
+const stockReservationSchema = new mongoose.Schema({
+  // CRITICAL: Multi-tenancy - every reservation belongs to a shop
+  shopId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shop',
+    required: [true, 'Shop ID is required'],
+    index: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1']
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// CRITICAL: Multi-tenancy indexes
+// One hold per cart line
+stockReservationSchema.index({ shopId: 1, user: 1, product: 1, variant: 1 }, { unique: true });
+stockReservationSchema.index({ shopId: 1, product: 1, expiresAt: 1 });
+stockReservationSchema.index({ expiresAt: 1 });
+
+const StockReservation = mongoose.model('StockReservation', stockReservationSchema);
+
+module.exports = StockReservation;
@@ -96,6 +96,11 @@ const userSchema = new mongoose.Schema({
       default: false
     }
   },
+  // Wholesale price list (only applicable for CUSTOMER role)
+  priceList: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PriceList'
+  },
   isActive: {
     type: Boolean,
     default: true
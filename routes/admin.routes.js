@@ -2,8 +2,11 @@ const express = require('express');
 const { body } = require('express-validator');
 const {
   getDashboardStats,
+  getAbandonedCartReport,
   getAllOrders,
+  createStaffOrder,
   updateOrderStatus,
+  recordOrderPayment,
   getAllUsers,
   updateUser,
   toggleUserBlock,
@@ -12,6 +15,30 @@ const {
   deleteUser,
   getAuditLogs
 } = require('../controllers/admin.controller');
+const { createRefund, getRefunds } = require('../controllers/refund.controller');
+const { getAllReturns, approveReturn, rejectReturn, receiveReturn } = require('../controllers/return.controller');
+const {
+  getPriceLists,
+  getPriceList,
+  createPriceList,
+  updatePriceList,
+  deletePriceList
+} = require('../controllers/priceList.controller');
+const {
+  getCoupons,
+  getCoupon,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon
+} = require('../controllers/coupon.controller');
+const {
+  getPromotions,
+  getPromotion,
+  createPromotion,
+  updatePromotion,
+  deletePromotion
+} = require('../controllers/promotion.controller');
+const { getStockDiscrepancies, runStockReconciliation } = require('../controllers/stock.controller');
 const { protect } = require('../middlewares/auth.middleware');
 const { tenantIsolation } = require('../middlewares/tenantIsolation.middleware');
 const { requireOwner, requirePermission, PERMISSIONS } = require('../middlewares/roleAuth.middleware');
@@ -25,9 +52,57 @@ router.use(protect, tenantIsolation);
 
 // Dashboard (accessible by OWNER and STAFF with VIEW_REPORTS permission)
 router.get('/dashboard/stats', requirePermission(PERMISSIONS.VIEW_REPORTS), getDashboardStats);
+router.get('/reports/abandoned-carts', requirePermission(PERMISSIONS.VIEW_REPORTS), getAbandonedCartReport);
 
 // Orders management (accessible by OWNER and STAFF with MANAGE_ORDERS permission)
 router.get('/orders', requirePermission(PERMISSIONS.MANAGE_ORDERS), getAllOrders);
+
+const staffOrderValidation = [
+  body('customerId')
+    .optional()
+    .isMongoId().withMessage('Invalid customer ID'),
+  body('customer.name')
+    .if(body('customerId').not().exists())
+    .trim()
+    .notEmpty().withMessage('Customer name or customerId is required'),
+  body('customer.phone')
+    .if(body('customerId').not().exists())
+    .trim()
+    .matches(/^[0-9]{10}$/).withMessage('Please provide a valid 10-digit phone number'),
+  body('items')
+    .isArray({ min: 1 }).withMessage('At least one item is required'),
+  body('items.*.productId')
+    .isMongoId().withMessage('Invalid product ID'),
+  body('items.*.variantId')
+    .optional()
+    .isMongoId().withMessage('Invalid variant ID'),
+  body('items.*.quantity')
+    .isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('items.*.price')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Price must be a positive number'),
+  body('items.*.discount')
+    .optional()
+    .isFloat({ min: 0, max: 100 }).withMessage('Discount must be between 0 and 100'),
+  body('shippingCharges')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Shipping charges must be a positive number'),
+  body('paymentMethod')
+    .optional()
+    .isIn(['COD', 'ONLINE', 'CASH', 'UPI', 'CARD']).withMessage('Invalid payment method'),
+  body('paymentCollected')
+    .optional()
+    .isBoolean().withMessage('paymentCollected must be true or false')
+];
+
+router.post(
+  '/orders',
+  requirePermission(PERMISSIONS.MANAGE_ORDERS),
+  staffOrderValidation,
+  validate,
+  logAdminAction('CREATE_ORDER', 'ORDER'),
+  createStaffOrder
+);
 router.patch(
   '/orders/:id/status',
   requirePermission(PERMISSIONS.MANAGE_ORDERS),
@@ -36,6 +111,67 @@ router.patch(
   logAdminAction('UPDATE_ORDER_STATUS', 'ORDER'),
   updateOrderStatus
 );
+router.patch(
+  '/orders/:id/payment',
+  requirePermission(PERMISSIONS.MANAGE_ORDERS),
+  body('transactionId')
+    .optional()
+    .trim()
+    .isLength({ max: 100 }).withMessage('Transaction ID cannot exceed 100 characters'),
+  validate,
+  logAdminAction('RECORD_PAYMENT', 'ORDER'),
+  recordOrderPayment
+);
+
+// Refunds (accessible by OWNER and STAFF with MANAGE_ORDERS permission)
+const refundValidation = [
+  body('type')
+    .isIn(['FULL', 'PARTIAL']).withMessage('Refund type must be FULL or PARTIAL'),
+  body('amount')
+    .if(body('type').equals('PARTIAL'))
+    .isFloat({ gt: 0 }).withMessage('Amount must be greater than 0'),
+  body('reasonCode')
+    .isIn(['ORDER_CANCELLED', 'RETURNED', 'DAMAGED', 'WRONG_ITEM', 'NOT_DELIVERED', 'PRICE_ADJUSTMENT', 'OTHER'])
+    .withMessage('Invalid reason code'),
+  body('method')
+    .optional()
+    .isIn(['ORIGINAL_PAYMENT', 'CASH', 'BANK_TRANSFER', 'UPI', 'STORE_CREDIT']).withMessage('Invalid refund method')
+];
+
+router.get('/refunds', requirePermission(PERMISSIONS.MANAGE_ORDERS), getRefunds);
+router.post(
+  '/orders/:id/refunds',
+  requirePermission(PERMISSIONS.MANAGE_ORDERS),
+  refundValidation,
+  validate,
+  logAdminAction('CREATE_REFUND', 'ORDER'),
+  createRefund
+);
+
+// Returns / RMA (accessible by OWNER and STAFF with MANAGE_ORDERS permission)
+router.get('/returns', requirePermission(PERMISSIONS.MANAGE_ORDERS), getAllReturns);
+router.patch(
+  '/returns/:id/approve',
+  requirePermission(PERMISSIONS.MANAGE_ORDERS),
+  logAdminAction('UPDATE_RETURN_STATUS', 'RETURN'),
+  approveReturn
+);
+router.patch(
+  '/returns/:id/reject',
+  requirePermission(PERMISSIONS.MANAGE_ORDERS),
+  body('reason').trim().notEmpty().withMessage('Rejection reason is required'),
+  validate,
+  logAdminAction('UPDATE_RETURN_STATUS', 'RETURN'),
+  rejectReturn
+);
+router.patch(
+  '/returns/:id/receive',
+  requirePermission(PERMISSIONS.MANAGE_ORDERS),
+  body('restock').optional().isBoolean().withMessage('Restock must be true or false'),
+  validate,
+  logAdminAction('UPDATE_RETURN_STATUS', 'RETURN'),
+  receiveReturn
+);
 
 // User management (OWNER only)
 router.get('/users', requireOwner(), getAllUsers);
@@ -74,6 +210,135 @@ router.delete(
   deleteUser
 );
 
+// Wholesale price lists (accessible by OWNER and STAFF with MANAGE_PRODUCTS permission)
+const priceListValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty().withMessage('Price list name is required'),
+  body('discount')
+    .optional()
+    .isFloat({ min: 0, max: 100 }).withMessage('Discount must be between 0 and 100'),
+  body('items')
+    .optional()
+    .isArray().withMessage('Items must be an array'),
+  body('items.*.product')
+    .isMongoId().withMessage('Invalid product ID'),
+  body('items.*.price')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Price must be a positive number'),
+  body('items.*.discount')
+    .optional()
+    .isFloat({ min: 0, max: 100 }).withMessage('Discount must be between 0 and 100')
+];
+
+router.get('/price-lists', requirePermission(PERMISSIONS.MANAGE_PRODUCTS), getPriceLists);
+router.get('/price-lists/:id', requirePermission(PERMISSIONS.MANAGE_PRODUCTS), getPriceList);
+router.post('/price-lists', requirePermission(PERMISSIONS.MANAGE_PRODUCTS), priceListValidation, validate, createPriceList);
+router.put('/price-lists/:id', requirePermission(PERMISSIONS.MANAGE_PRODUCTS), priceListValidation, validate, updatePriceList);
+router.delete('/price-lists/:id', requirePermission(PERMISSIONS.MANAGE_PRODUCTS), deletePriceList);
+
+// Coupons (accessible by OWNER and STAFF with MANAGE_PRODUCTS permission)
+const couponValidation = [
+  body('code')
+    .optional()
+    .trim()
+    .matches(/^[A-Za-z0-9_-]{3,30}$/).withMessage('Coupon code must be 3-30 letters, digits, - or _'),
+  body('type')
+    .optional()
+    .isIn(['PERCENTAGE', 'FIXED']).withMessage('Coupon type must be PERCENTAGE or FIXED'),
+  body('value')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Coupon value must be a positive number'),
+  body(['maxDiscount', 'minCartValue'])
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 }).withMessage('Amount must be a positive number'),
+  body(['usageLimit', 'perCustomerLimit'])
+    .optional({ values: 'null' })
+    .isInt({ min: 1 }).withMessage('Limit must be at least 1'),
+  body(['startsAt', 'expiresAt'])
+    .optional({ values: 'null' })
+    .isISO8601().withMessage('Invalid date'),
+  body(['products', 'categories'])
+    .optional()
+    .isArray().withMessage('Must be an array'),
+  body(['products.*', 'categories.*'])
+    .isMongoId().withMessage('Invalid ID'),
+  body('isActive')
+    .optional()
+    .isBoolean().withMessage('isActive must be true or false')
+];
+
+const createCouponValidation = [
+  body('code').notEmpty().withMessage('Coupon code is required'),
+  body('type').notEmpty().withMessage('Coupon type is required'),
+  body('value').notEmpty().withMessage('Coupon value is required'),
+  ...couponValidation
+];
+
+router.get('/coupons', requirePermission(PERMISSIONS.MANAGE_PRODUCTS), getCoupons);
+router.get('/coupons/:id', requirePermission(PERMISSIONS.MANAGE_PRODUCTS), getCoupon);
+router.post('/coupons', requirePermission(PERMISSIONS.MANAGE_PRODUCTS), createCouponValidation, validate, createCoupon);
+router.put('/coupons/:id', requirePermission(PERMISSIONS.MANAGE_PRODUCTS), couponValidation, validate, updateCoupon);
+router.delete('/coupons/:id', requirePermission(PERMISSIONS.MANAGE_PRODUCTS), deleteCoupon);
+
+// Automatic promotions (accessible by OWNER and STAFF with MANAGE_PRODUCTS permission)
+const promotionValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty().withMessage('Promotion name is required'),
+  body('type')
+    .optional()
+    .isIn(['BUY_X_GET_Y', 'BUNDLE', 'FLASH_SALE']).withMessage('Type must be BUY_X_GET_Y, BUNDLE or FLASH_SALE'),
+  body('products')
+    .optional()
+    .isArray().withMessage('Products must be an array'),
+  body('products.*')
+    .isMongoId().withMessage('Invalid product ID'),
+  body(['buyQuantity', 'freeQuantity'])
+    .optional({ values: 'null' })
+    .isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('discount')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0, max: 100 }).withMessage('Discount must be between 0 and 100'),
+  body('bundleItems')
+    .optional()
+    .isArray().withMessage('Bundle items must be an array'),
+  body('bundleItems.*.product')
+    .isMongoId().withMessage('Invalid product ID'),
+  body('bundleItems.*.variant')
+    .optional()
+    .isMongoId().withMessage('Invalid variant ID'),
+  body('bundleItems.*.quantity')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('bundlePrice')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 }).withMessage('Bundle price must be a positive number'),
+  body(['startsAt', 'endsAt'])
+    .optional({ values: 'null' })
+    .isISO8601().withMessage('Invalid date'),
+  body('isActive')
+    .optional()
+    .isBoolean().withMessage('isActive must be true or false')
+];
+
+const createPromotionValidation = [
+  body('name').notEmpty().withMessage('Promotion name is required'),
+  body('type').notEmpty().withMessage('Promotion type is required'),
+  ...promotionValidation
+];
+
+router.get('/promotions', requirePermission(PERMISSIONS.MANAGE_PRODUCTS), getPromotions);
+router.get('/promotions/:id', requirePermission(PERMISSIONS.MANAGE_PRODUCTS), getPromotion);
+router.post('/promotions', requirePermission(PERMISSIONS.MANAGE_PRODUCTS), createPromotionValidation, validate, createPromotion);
+router.put('/promotions/:id', requirePermission(PERMISSIONS.MANAGE_PRODUCTS), promotionValidation, validate, updatePromotion);
+router.delete('/promotions/:id', requirePermission(PERMISSIONS.MANAGE_PRODUCTS), deletePromotion);
+
+router.get('/stock/discrepancies', requirePermission(PERMISSIONS.MANAGE_PRODUCTS), getStockDiscrepancies);
+router.post('/stock/reconcile', requirePermission(PERMISSIONS.MANAGE_PRODUCTS), runStockReconciliation);
+
 // Audit logs (accessible by OWNER and STAFF with VIEW_REPORTS permission)
 router.get('/audit-logs', requirePermission(PERMISSIONS.VIEW_REPORTS), getAuditLogs);
 
@@ -5,7 +5,9 @@ const {
   addToCart,
   updateCartItem,
   removeFromCart,
-  clearCart
+  clearCart,
+  applyCoupon,
+  removeCoupon
 } = require('../controllers/cart.controller');
 const { protect } = require('../middlewares/auth.middleware');
 const { tenantIsolation } = require('../middlewares/tenantIsolation.middleware');
@@ -21,6 +23,9 @@ const addToCartValidation = [
   body('productId')
     .notEmpty().withMessage('Product ID is required')
     .isMongoId().withMessage('Invalid product ID'),
+  body('variantId')
+    .optional()
+    .isMongoId().withMessage('Invalid variant ID'),
   body('quantity')
     .optional()
     .isInt({ min: 1 }).withMessage('Quantity must be at least 1')
@@ -31,11 +36,19 @@ const updateCartValidation = [
     .isInt({ min: 1 }).withMessage('Quantity must be at least 1')
 ];
 
+const couponValidation = [
+  body('code')
+    .trim()
+    .notEmpty().withMessage('Coupon code is required')
+];
+
 // Routes
 router.get('/', getCart);
 router.post('/items', addToCartValidation, validate, addToCart);
 router.put('/items/:productId', updateCartValidation, validate, updateCartItem);
 router.delete('/items/:productId', removeFromCart);
 router.delete('/', clearCart);
+router.post('/coupon', couponValidation, validate, applyCoupon);
+router.delete('/coupon', removeCoupon);
 
 module.exports = router;
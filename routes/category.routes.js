@@ -0,0 +1,54 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  getCategories,
+  getCategory,
+  createCategory,
+  updateCategory,
+  deleteCategory
+} = require('../controllers/category.controller');
+const { protect } = require('../middlewares/auth.middleware');
+const { tenantIsolation, publicShopContext } = require('../middlewares/tenantIsolation.middleware');
+const { requirePermission, PERMISSIONS } = require('../middlewares/roleAuth.middleware');
+const { optionalAuth } = require('../middlewares/optionalAuth.middleware');
+const validate = require('../middlewares/validate.middleware');
+const upload = require('../utils/upload.util');
+
+const router = express.Router();
+
+// Public routes with optional authentication
+// If authenticated, uses JWT shopId. If not, requires shopSlug query parameter
+router.get('/', optionalAuth, publicShopContext, getCategories);
+router.get('/:id', optionalAuth, publicShopContext, getCategory);
+
+// Protected routes - require authentication, tenant isolation and product management permission
+router.use(protect, tenantIsolation, requirePermission(PERMISSIONS.MANAGE_PRODUCTS));
+
+// Validation rules
+const categoryValidation = (isUpdate) => [
+  body('name')
+    .if((value) => !isUpdate || value !== undefined)
+    .trim()
+    .notEmpty().withMessage('Category name is required')
+    .isLength({ max: 100 }).withMessage('Category name cannot exceed 100 characters'),
+  body('slug')
+    .optional({ values: 'falsy' })
+    .trim()
+    .matches(/^[a-z0-9]+(-[a-z0-9]+)*$/).withMessage('Slug can only contain lowercase letters, numbers and hyphens'),
+  body('parent')
+    .optional({ values: 'falsy' })
+    .isMongoId().withMessage('Invalid parent category ID'),
+  body('sortOrder')
+    .optional()
+    .isInt().withMessage('Sort order must be a whole number'),
+  body('isActive')
+    .optional()
+    .isBoolean().withMessage('isActive must be true or false')
+];
+
+// Routes
+router.post('/', upload.single('image'), categoryValidation(false), validate, createCategory);
+router.put('/:id', upload.single('image'), categoryValidation(true), validate, updateCategory);
+router.delete('/:id', deleteCategory);
+
+module.exports = router;
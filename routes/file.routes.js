@@ -0,0 +1,9 @@
+const express = require('express');
+const { serveFile } = require('../controllers/file.controller');
+
+const router = express.Router();
+
+// Files of the local storage driver - other drivers serve their own URLs
+router.get('/*', serveFile);
+
+module.exports = router;
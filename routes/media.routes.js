@@ -0,0 +1,27 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { getMediaLibrary, updateMedia, deleteMedia } = require('../controllers/media.controller');
+const { protect } = require('../middlewares/auth.middleware');
+const { tenantIsolation } = require('../middlewares/tenantIsolation.middleware');
+const { requirePermission, PERMISSIONS } = require('../middlewares/roleAuth.middleware');
+const validate = require('../middlewares/validate.middleware');
+
+const router = express.Router();
+
+// All routes require authentication, tenant isolation and product management permission
+// (images are added to the library through /api/upload)
+router.use(protect, tenantIsolation, requirePermission(PERMISSIONS.MANAGE_PRODUCTS));
+
+router.get('/', getMediaLibrary);
+router.patch(
+  '/:id',
+  body('altText')
+    .optional()
+    .trim()
+    .isLength({ max: 200 }).withMessage('Alt text cannot exceed 200 characters'),
+  validate,
+  updateMedia
+);
+router.delete('/:id', deleteMedia);
+
+module.exports = router;
@@ -1,15 +1,20 @@
 const express = require('express');
 const { body } = require('express-validator');
 const {
+  quoteOrder,
   createOrder,
   getMyOrders,
   getOrder,
   cancelOrder,
   downloadInvoice
 } = require('../controllers/order.controller');
+const { payOrder, verifyOrderPayment } = require('../controllers/payment.controller');
+const { getOrderRefunds, downloadCreditNote } = require('../controllers/refund.controller');
+const { createReturnRequest, getOrderReturns } = require('../controllers/return.controller');
 const { protect } = require('../middlewares/auth.middleware');
 const { tenantIsolation } = require('../middlewares/tenantIsolation.middleware');
 const validate = require('../middlewares/validate.middleware');
+const upload = require('../utils/upload.util');
 
 const router = express.Router();
 
@@ -38,14 +43,48 @@ const createOrderValidation = [
     .notEmpty().withMessage('Pincode is required'),
   body('shippingAddress.country')
     .trim()
-    .notEmpty().withMessage('Country is required')
+    .notEmpty().withMessage('Country is required'),
+  body('paymentMethod')
+    .optional()
+    .isIn(['COD', 'ONLINE']).withMessage('Payment method must be COD or ONLINE')
+];
+
+const quoteValidation = [
+  body('shippingAddress.state')
+    .trim()
+    .notEmpty().withMessage('State is required'),
+  body('shippingAddress.pincode')
+    .trim()
+    .notEmpty().withMessage('Pincode is required')
+];
+
+const returnRequestValidation = [
+  body('reason')
+    .trim()
+    .notEmpty().withMessage('Return reason is required')
+    .isLength({ max: 1000 }).withMessage('Reason cannot exceed 1000 characters'),
+  body('items')
+    .notEmpty().withMessage('Select at least one item to return')
+];
+
+const verifyPaymentValidation = [
+  body('intentId').notEmpty().withMessage('Intent ID is required'),
+  body('paymentId').notEmpty().withMessage('Payment ID is required'),
+  body('signature').notEmpty().withMessage('Signature is required')
 ];
 
 // Routes
+router.post('/quote', quoteValidation, validate, quoteOrder);
 router.post('/', createOrderValidation, validate, createOrder);
 router.get('/', getMyOrders);
 router.get('/:id', getOrder);
 router.patch('/:id/cancel', cancelOrder);
 router.get('/:id/invoice', downloadInvoice);
+router.get('/:id/refunds', getOrderRefunds);
+router.get('/:id/refunds/:refundId/credit-note', downloadCreditNote);
+router.get('/:id/returns', getOrderReturns);
+router.post('/:id/returns', upload.array('photos', 5), returnRequestValidation, validate, createReturnRequest);
+router.post('/:id/pay', payOrder);
+router.post('/:id/pay/verify', verifyPaymentValidation, validate, verifyOrderPayment);
 
 module.exports = router;
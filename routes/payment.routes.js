@@ -0,0 +1,9 @@
+const express = require('express');
+const { handlePaymentWebhook } = require('../controllers/payment.controller');
+
+const router = express.Router();
+
+// Public - gateways authenticate with a signature, not a user token
+router.post('/webhook/:provider', handlePaymentWebhook);
+
+module.exports = router;
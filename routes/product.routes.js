@@ -8,22 +8,48 @@ const {
   updateProduct,
   deleteProduct,
   toggleProductStatus,
+  setProductVariants,
+  updateProductVariant,
+  setProductImages,
   getCategories
 } = require('../controllers/product.controller');
+const { getStockHistory, createStockAdjustment } = require('../controllers/stock.controller');
+const { importProducts, exportProducts } = require('../controllers/productImport.controller');
+const { searchCatalog, autocompleteCatalog } = require('../controllers/search.controller');
+const { lookupProductByCode, printBarcodeLabels, generateProductSkus } = require('../controllers/productCode.controller');
 const { protect } = require('../middlewares/auth.middleware');
-const { tenantIsolation } = require('../middlewares/tenantIsolation.middleware');
-const { requirePermission, PERMISSIONS } = require('../middlewares/roleAuth.middleware');
+const { tenantIsolation, publicShopContext } = require('../middlewares/tenantIsolation.middleware');
+const { requireStaff, requirePermission, PERMISSIONS } = require('../middlewares/roleAuth.middleware');
 const { logAdminAction } = require('../middlewares/auditLog.middleware');
 const validate = require('../middlewares/validate.middleware');
 const upload = require('../utils/upload.util');
+const spreadsheetUpload = require('../utils/spreadsheetUpload.util');
 const { optionalAuth } = require('../middlewares/optionalAuth.middleware');
+const Product = require('../models/Product.model');
+const { MANUAL_REASONS } = require('../services/stock.service');
+const { UNITS } = require('../utils/units.util');
+const { isValidGtin } = require('../utils/barcode.util');
 
 const router = express.Router();
 
+// Export and lookup are registered before /:id so they aren't read as product ids
+router.get(
+  '/export',
+  protect,
+  tenantIsolation,
+  requirePermission(PERMISSIONS.MANAGE_PRODUCTS),
+  exportProducts
+);
+
+// Scanner lookup - any staff member (billing counter, receiving stock)
+router.get('/lookup', protect, tenantIsolation, requireStaff(), lookupProductByCode);
+
 // Public routes with optional authentication
 // If authenticated, uses JWT shopId. If not, requires shopSlug query parameter
 router.get('/', optionalAuth, getProducts);
-router.get('/categories/list', optionalAuth, getCategories);
+router.get('/categories/list', optionalAuth, publicShopContext, getCategories);
+router.get('/search', optionalAuth, publicShopContext, searchCatalog);
+router.get('/search/autocomplete', optionalAuth, publicShopContext, autocompleteCatalog);
 router.get('/slug/:slug', optionalAuth, getProductBySlug);
 router.get('/:id', optionalAuth, getProduct);
 
@@ -36,6 +62,14 @@ const productValidation = [
     .trim()
     .notEmpty().withMessage('Product name is required')
     .isLength({ max: 200 }).withMessage('Product name cannot exceed 200 characters'),
+  body('sku')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ max: 64 }).withMessage('SKU cannot exceed 64 characters'),
+  body('barcode')
+    .optional({ values: 'falsy' })
+    .trim()
+    .custom(isValidGtin).withMessage('Barcode must be a valid EAN-13, UPC-A or EAN-8 code'),
   body('description')
     .trim()
     .notEmpty().withMessage('Product description is required'),
@@ -44,7 +78,22 @@ const productValidation = [
   body('stock')
     .isInt({ min: 0 }).withMessage('Stock must be a non-negative integer'),
   body('category')
-    .notEmpty().withMessage('Category is required')
+    .notEmpty().withMessage('Category is required'),
+  body('hsnCode')
+    .optional({ values: 'falsy' })
+    .matches(/^[0-9]{4}([0-9]{2}){0,2}$/).withMessage('HSN code must be 4, 6 or 8 digits'),
+  body('gstRate')
+    .optional({ values: 'falsy' })
+    .isIn(Product.GST_RATES).withMessage(`GST rate must be one of ${Product.GST_RATES.join(', ')}`),
+  body('unit')
+    .optional()
+    .isIn(Object.keys(UNITS)).withMessage(`Unit must be one of ${Object.keys(UNITS).join(', ')}`),
+  body('conversionFactor')
+    .optional({ values: 'falsy' })
+    .isFloat({ gt: 0 }).withMessage('Conversion factor must be greater than 0'),
+  body('minOrderQuantity')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Minimum order quantity must be at least 1')
 ];
 
 // Routes requiring product management permission
@@ -58,6 +107,48 @@ router.post(
   createProduct
 );
 
+router.post(
+  '/import',
+  requirePermission(PERMISSIONS.MANAGE_PRODUCTS),
+  spreadsheetUpload.single('file'),
+  logAdminAction('IMPORT_PRODUCTS', 'PRODUCT'),
+  importProducts
+);
+
+const labelValidation = [
+  body('items')
+    .isArray({ min: 1 }).withMessage('Choose at least one product to print'),
+  body('items.*.productId')
+    .isMongoId().withMessage('Invalid product ID'),
+  body('items.*.variantId')
+    .optional()
+    .isMongoId().withMessage('Invalid variant ID'),
+  body('items.*.copies')
+    .optional()
+    .isInt({ min: 1, max: 500 }).withMessage('Copies must be between 1 and 500'),
+  body('showPrice')
+    .optional()
+    .isBoolean().withMessage('showPrice must be true or false'),
+  body('skip')
+    .optional()
+    .isInt({ min: 0 }).withMessage('Skip must be a non-negative integer')
+];
+
+router.post(
+  '/labels',
+  requirePermission(PERMISSIONS.MANAGE_PRODUCTS),
+  labelValidation,
+  validate,
+  printBarcodeLabels
+);
+
+router.post(
+  '/skus/generate',
+  requirePermission(PERMISSIONS.MANAGE_PRODUCTS),
+  logAdminAction('UPDATE_PRODUCT', 'PRODUCT'),
+  generateProductSkus
+);
+
 router.put(
   '/:id',
   requirePermission(PERMISSIONS.MANAGE_PRODUCTS),
@@ -80,4 +171,95 @@ router.patch(
   toggleProductStatus
 );
 
+const variantValidation = [
+  body('barcode')
+    .optional({ values: 'falsy' })
+    .trim()
+    .custom(isValidGtin).withMessage('Barcode must be a valid EAN-13, UPC-A or EAN-8 code'),
+  body('price')
+    .optional({ values: 'falsy' })
+    .isFloat({ min: 0 }).withMessage('Price must be a positive number'),
+  body('stock')
+    .optional()
+    .isInt({ min: 0 }).withMessage('Stock must be a non-negative integer'),
+  body('isActive')
+    .optional()
+    .isBoolean().withMessage('isActive must be true or false')
+];
+
+router.put(
+  '/:id/variants',
+  requirePermission(PERMISSIONS.MANAGE_PRODUCTS),
+  logAdminAction('UPDATE_PRODUCT', 'PRODUCT'),
+  setProductVariants
+);
+
+router.patch(
+  '/:id/variants/:variantId',
+  requirePermission(PERMISSIONS.MANAGE_PRODUCTS),
+  upload.array('images', 5),
+  variantValidation,
+  validate,
+  logAdminAction('UPDATE_PRODUCT', 'PRODUCT'),
+  updateProductVariant
+);
+
+const imageValidation = [
+  body('images')
+    .isArray().withMessage('Images must be a list'),
+  body('images.*.media')
+    .optional()
+    .isMongoId().withMessage('Invalid media ID'),
+  body('images.*.altText')
+    .optional()
+    .trim()
+    .isLength({ max: 200 }).withMessage('Alt text cannot exceed 200 characters'),
+  body('images.*.isPrimary')
+    .optional()
+    .isBoolean().withMessage('isPrimary must be true or false')
+];
+
+router.put(
+  '/:id/images',
+  requirePermission(PERMISSIONS.MANAGE_PRODUCTS),
+  imageValidation,
+  validate,
+  logAdminAction('UPDATE_PRODUCT', 'PRODUCT'),
+  setProductImages
+);
+
+const stockAdjustmentValidation = [
+  body('variantId')
+    .optional()
+    .isMongoId().withMessage('Invalid variant ID'),
+  body('delta')
+    .optional()
+    .isInt().withMessage('Delta must be a whole number')
+    .not().equals('0').withMessage('Delta cannot be zero'),
+  body('quantity')
+    .optional()
+    .isInt({ min: 0 }).withMessage('Quantity must be a non-negative integer'),
+  body('reason')
+    .isIn(MANUAL_REASONS).withMessage(`Reason must be one of ${MANUAL_REASONS.join(', ')}`),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters')
+];
+
+router.get(
+  '/:id/stock-history',
+  requirePermission(PERMISSIONS.MANAGE_PRODUCTS),
+  getStockHistory
+);
+
+router.post(
+  '/:id/stock-adjustments',
+  requirePermission(PERMISSIONS.MANAGE_PRODUCTS),
+  stockAdjustmentValidation,
+  validate,
+  logAdminAction('ADJUST_STOCK', 'PRODUCT'),
+  createStockAdjustment
+);
+
 module.exports = router;
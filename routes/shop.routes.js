@@ -7,6 +7,13 @@ const {
   updateShopSettings,
   getShopBySlug
 } = require('../controllers/shop.controller');
+const {
+  getDeliveryZones,
+  createDeliveryZone,
+  updateDeliveryZone,
+  deleteDeliveryZone,
+  getServiceabilityBySlug
+} = require('../controllers/deliveryZone.controller');
 const { protect } = require('../middlewares/auth.middleware');
 const { tenantIsolation } = require('../middlewares/tenantIsolation.middleware');
 const { requireOwner } = require('../middlewares/roleAuth.middleware');
@@ -16,6 +23,7 @@ const router = express.Router();
 
 // Public routes
 router.get('/slug/:slug', getShopBySlug);
+router.get('/slug/:slug/serviceability', getServiceabilityBySlug);
 
 // Protected routes - require authentication and tenant isolation
 router.use(protect, tenantIsolation);
@@ -28,12 +36,32 @@ const updateShopValidation = [
     .isLength({ min: 2, max: 100 }).withMessage('Shop name must be between 2 and 100 characters')
 ];
 
+const deliveryZoneValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty().withMessage('Zone name is required'),
+  body('codAvailable')
+    .optional()
+    .isBoolean().withMessage('codAvailable must be true or false'),
+  body('estimatedDays.min')
+    .optional()
+    .isInt({ min: 0 }).withMessage('Estimated days must be a non-negative integer'),
+  body('estimatedDays.max')
+    .optional()
+    .isInt({ min: 0 }).withMessage('Estimated days must be a non-negative integer')
+];
+
 // Routes
 router.get('/my-shop', getMyShop);
 router.get('/settings', getShopSettings);
+router.get('/delivery-zones', getDeliveryZones);
 
 // Owner-only routes
-router.put('/my-shop', requireOwner, updateShopValidation, validate, updateShop);
-router.put('/settings', requireOwner, updateShopSettings);
+router.put('/my-shop', requireOwner(), updateShopValidation, validate, updateShop);
+router.put('/settings', requireOwner(), updateShopSettings);
+router.post('/delivery-zones', requireOwner(), deliveryZoneValidation, validate, createDeliveryZone);
+router.put('/delivery-zones/:id', requireOwner(), deliveryZoneValidation, validate, updateDeliveryZone);
+router.delete('/delivery-zones/:id', requireOwner(), deleteDeliveryZone);
 
 module.exports = router;
@@ -1,9 +1,9 @@
 const mongoose = require('mongoose');
 const path = require('path');
-const fs = require('fs');
 require('dotenv').config({ path: path.join(__dirname, '../.env') });
 
 const Order = require('../models/Order.model');
+const { deleteFile } = require('../services/storage.service');
 
 const clearInvoices = async () => {
   try {
@@ -11,42 +11,33 @@ const clearInvoices = async () => {
     await mongoose.connect(process.env.MONGODB_URI);
     console.log('Connected to database');
 
-    // Clear invoiceUrl and invoiceNumber from all orders
+    // Delete all stored invoice PDFs
+    const orders = await Order.find({ 'invoiceFile.key': { $exists: true } }).select('invoiceFile');
+    let deletedCount = 0;
+
+    for (const order of orders) {
+      if (await deleteFile(order.invoiceFile)) {
+        deletedCount++;
+      }
+    }
+
+    console.log(`✅ Deleted ${deletedCount} invoice PDF files`);
+
+    // Clear invoice files from all orders
+    // invoiceNumber is kept: numbers come from the shop's gap-free sequence
+    // and regenerated PDFs must reuse them
     const result = await Order.updateMany(
-      { 
-        $or: [
-          { invoiceUrl: { $exists: true, $ne: null } },
-          { invoiceNumber: { $exists: true, $ne: null } }
-        ]
-      },
+      { $or: [{ invoiceUrl: { $exists: true, $ne: null } }, { invoiceFile: { $exists: true } }] },
       { 
         $unset: { 
           invoiceUrl: 1,
-          invoiceNumber: 1
+          invoiceFile: 1
         }
       }
     );
     
     console.log(`✅ Cleared invoice URLs from ${result.modifiedCount} orders`);
 
-    // Delete all invoice files
-    const invoicesDir = path.join(__dirname, '../invoices');
-    if (fs.existsSync(invoicesDir)) {
-      const files = fs.readdirSync(invoicesDir);
-      let deletedCount = 0;
-      
-      for (const file of files) {
-        if (file.endsWith('.pdf')) {
-          fs.unlinkSync(path.join(invoicesDir, file));
-          deletedCount++;
-        }
-      }
-      
-      console.log(`✅ Deleted ${deletedCount} invoice PDF files`);
-    } else {
-      console.log('⚠️  Invoices directory does not exist');
-    }
-
     console.log('\n✅ All invoices cleared successfully!');
     console.log('📋 Invoices will be regenerated with shop-specific branding on next download');
     
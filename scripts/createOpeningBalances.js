@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+const Product = require('../models/Product.model');
+const StockMovement = require('../models/StockMovement.model');
+const { recordSnapshotChanges } = require('../services/stock.service');
+
+/**
+ * Seed the stock ledger for products created before it existed:
+ * one OPENING_BALANCE movement per product line with its current stock.
+ * Products that already have movements are skipped, so it is safe to re-run.
+ */
+const createOpeningBalances = async () => {
+  try {
+    // Connect to database
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to database');
+
+    let created = 0;
+    let skipped = 0;
+
+    const cursor = Product.find({}).cursor();
+
+    for await (const product of cursor) {
+      const hasLedger = await StockMovement.exists({ shopId: product.shopId, product: product._id });
+
+      if (hasLedger) {
+        skipped++;
+        continue;
+      }
+
+      const movements = await recordSnapshotChanges(product, null, {
+        reason: 'OPENING_BALANCE',
+        note: 'Stock before the ledger was introduced'
+      });
+      created += movements.length;
+    }
+
+    console.log(`✅ Created ${created} opening balance movements (${skipped} products already had a ledger)`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error creating opening balances:', error);
+    process.exit(1);
+  }
+};
+
+createOpeningBalances();
@@ -29,6 +29,19 @@ const dropOldIndexes = async () => {
     const updatedIndexes = await ordersCollection.indexes();
     console.log('Updated indexes:', updatedIndexes.map(i => i.name));
 
+    // Drop the old product text index - a collection can only have one, and
+    // the weighted product_search index replaces it on the next app start
+    try {
+      await db.collection('products').dropIndex('shopId_1_name_text_description_text');
+      console.log('✓ Dropped old shopId_1_name_text_description_text index');
+    } catch (error) {
+      if (error.code === 27) {
+        console.log('shopId_1_name_text_description_text index does not exist');
+      } else {
+        throw error;
+      }
+    }
+
     console.log('✓ Index cleanup completed successfully');
     process.exit(0);
   } catch (error) {
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+const Media = require('../models/Media.model');
+const { addMissingRenditions } = require('../services/media.service');
+
+/**
+ * Create thumbnail/medium/large WebP renditions for library images uploaded
+ * before the image pipeline, and copy their URLs to the products using them.
+ * Run after migrateProductImages.js. Safe to re-run - images that already
+ * have renditions are skipped.
+ */
+const generateImageRenditions = async () => {
+  try {
+    // Connect to database
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to database');
+
+    const cursor = Media.find({ 'renditions.0': { $exists: false } }).cursor();
+
+    let processed = 0;
+    let missing = 0;
+    let failed = 0;
+
+    for await (const media of cursor) {
+      try {
+        if (await addMissingRenditions(media)) {
+          processed++;
+        } else {
+          console.log(`⚠️  File for image ${media.publicId} no longer exists`);
+          missing++;
+        }
+      } catch (error) {
+        console.error(`❌ Could not process image ${media.publicId}:`, error.message);
+        failed++;
+      }
+    }
+
+    console.log(`\n✅ Added renditions to ${processed} images (${missing} missing, ${failed} failed)`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error generating image renditions:', error);
+    process.exit(1);
+  }
+};
+
+generateImageRenditions();
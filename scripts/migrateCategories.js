@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+const Category = require('../models/Category.model');
+const Product = require('../models/Product.model');
+
+// The fixed enum Product.category used before shops defined their own categories
+const LEGACY_CATEGORIES = [
+  'Belts', 'Wallets', 'Bags', 'Glasses', 'Accessories', 'Electronics', 'Clothing',
+  'Home & Kitchen', 'Books', 'Sports', 'Beauty', 'Toys', 'Other'
+];
+
+const slugify = (name) => name
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-|-$/g, '');
+
+/**
+ * Replace the old category strings on products with per-shop Category records
+ * Each shop gets a top-level category for every legacy value its products use
+ * (soft-deleted products included). Safe to re-run - converted products are skipped.
+ */
+const migrateCategories = async () => {
+  try {
+    // Connect to database
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to database');
+
+    // Raw collection: string categories no longer cast to the schema's ObjectId
+    const legacy = await Product.collection.aggregate([
+      { $match: { category: { $type: 'string' } } },
+      { $group: { _id: { shopId: '$shopId', category: '$category' }, count: { $sum: 1 } } }
+    ]).toArray();
+
+    if (legacy.length === 0) {
+      console.log('✅ No products with legacy categories');
+      process.exit(0);
+    }
+
+    let createdCategories = 0;
+    let migratedProducts = 0;
+
+    for (const { _id: { shopId, category: name }, count } of legacy) {
+      if (!shopId) {
+        console.log(`⚠️  Skipping ${count} products in "${name}" without a shop`);
+        continue;
+      }
+
+      const slug = slugify(name) || 'other';
+      const index = LEGACY_CATEGORIES.indexOf(name);
+
+      const result = await Category.findOneAndUpdate(
+        { shopId, slug },
+        { $setOnInsert: { name, sortOrder: index === -1 ? LEGACY_CATEGORIES.length : index } },
+        { upsert: true, new: true, includeResultMetadata: true }
+      );
+      if (!result.lastErrorObject.updatedExisting) createdCategories++;
+
+      const update = await Product.collection.updateMany(
+        { shopId, category: name },
+        { $set: { category: result.value._id } }
+      );
+      migratedProducts += update.modifiedCount;
+
+      console.log(`   ${name}: ${update.modifiedCount} products`);
+    }
+
+    console.log(`\n✅ Created ${createdCategories} categories, migrated ${migratedProducts} products`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error migrating categories:', error);
+    process.exit(1);
+  }
+};
+
+migrateCategories();
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+const Media = require('../models/Media.model');
+const Product = require('../models/Product.model');
+
+// https://res.cloudinary.com/<cloud>/image/upload/[transformations/]v<version>/<publicId>.<ext>
+const CLOUDINARY_URL = /^https?:\/\/res\.cloudinary\.com\/([^/]+)\/image\/upload\/(?:.*?\/)?v\d+\/(.+)\.[a-z0-9]+$/i;
+
+/**
+ * Public ID of an image in this account's Cloudinary cloud, or null for other URLs
+ */
+const cloudinaryPublicId = (url) => {
+  const match = CLOUDINARY_URL.exec(url);
+  if (!match || match[1] !== process.env.CLOUDINARY_CLOUD_NAME) return null;
+  return match[2];
+};
+
+/**
+ * Convert Product.images from bare URLs to image subdocuments (first image primary)
+ * and add this cloud's Cloudinary images - product and variant - to each shop's media
+ * library with the product recorded as using them. Other URLs stay as external images.
+ * Safe to re-run - products already converted are skipped.
+ */
+const migrateProductImages = async () => {
+  try {
+    // Connect to database
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to database');
+
+    // Raw collection: string images no longer cast to the image subdocument (soft-deleted products included)
+    const cursor = Product.collection.find({ images: { $type: 'string' } });
+
+    let migratedProducts = 0;
+    let libraryImages = 0;
+
+    for await (const product of cursor) {
+      if (!product.shopId) {
+        console.log(`⚠️  Skipping product ${product._id} without a shop`);
+        continue;
+      }
+
+      // Library entry for a Cloudinary URL, created on first sight
+      const register = async (url) => {
+        const publicId = cloudinaryPublicId(url);
+        if (!publicId) return null;
+
+        // Deleted products don't count as using it, so the cleanup job can remove it
+        const update = { $setOnInsert: { url } };
+        if (!product.isDeleted) update.$addToSet = { products: product._id };
+
+        const result = await Media.findOneAndUpdate(
+          { shopId: product.shopId, publicId },
+          update,
+          { upsert: true, new: true, includeResultMetadata: true }
+        );
+        if (!result.lastErrorObject.updatedExisting) libraryImages++;
+        return result.value._id;
+      };
+
+      const images = [];
+      for (const image of product.images) {
+        const url = typeof image === 'string' ? image : image && image.url;
+        if (!url) continue;
+
+        const entry = { _id: new mongoose.Types.ObjectId(), url, isPrimary: images.length === 0 };
+        const media = await register(url);
+        if (media) entry.media = media;
+        images.push(entry);
+      }
+
+      // Variant images stay URLs but still count as uses of the library image
+      for (const variant of product.variants || []) {
+        for (const url of variant.images || []) {
+          await register(url);
+        }
+      }
+
+      await Product.collection.updateOne({ _id: product._id }, { $set: { images } });
+      migratedProducts++;
+    }
+
+    console.log(`\n✅ Migrated images of ${migratedProducts} products, added ${libraryImages} images to media libraries`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error migrating product images:', error);
+    process.exit(1);
+  }
+};
+
+migrateProductImages();
@@ -5,10 +5,20 @@ dotenv.config();
 
 const app = require('./app');
 const connectDB = require('./config/database');
+const { startStockReconciliationJob } = require('./jobs/stockReconciliation.job');
+const { startReservationSweeperJob } = require('./jobs/reservationSweeper.job');
+const { startMediaCleanupJob } = require('./jobs/mediaCleanup.job');
+const { startCartReminderJob } = require('./jobs/cartReminder.job');
 
 // Connect to database
 connectDB();
 
+// Background jobs
+startStockReconciliationJob();
+startReservationSweeperJob();
+startMediaCleanupJob();
+startCartReminderJob();
+
 const PORT = process.env.PORT || 5000;
 
 const server = app.listen(PORT, () => {
@@ -0,0 +1,147 @@
+const Cart = require('../models/Cart.model');
+const CartReminder = require('../models/CartReminder.model');
+const Shop = require('../models/Shop.model');
+const User = require('../models/User.model');
+const { sendAbandonedCartEmail } = require('./email.service');
+const { sendAbandonedCartWhatsApp } = require('./whatsapp.service');
+
+const HOUR = 60 * 60 * 1000;
+
+// Carts left longer than this get no reminder, and an order placed this long
+// after a reminder isn't counted as recovered by it
+const REMINDER_WINDOW_DAYS = 7;
+
+/**
+ * Deep link back to the customer's cart
+ */
+const getCartUrl = () => `${process.env.FRONTEND_URL}/cart`;
+
+/**
+ * Query for a shop's carts with items that have been untouched for afterHours
+ * (within the reminder window) - served by the { shopId, updatedAt } index
+ */
+const abandonedCartQuery = (shopId, afterHours, now = new Date()) => {
+  const cutoff = new Date(now.getTime() - afterHours * HOUR);
+  const oldest = new Date(cutoff.getTime() - REMINDER_WINDOW_DAYS * 24 * HOUR);
+
+  return {
+    shopId,
+    updatedAt: { $lte: cutoff, $gt: oldest },
+    'items.0': { $exists: true }
+  };
+};
+
+/**
+ * Send one cart's reminder on every channel and record it
+ * The reminder is inserted first - its unique { shopId, cart, cartUpdatedAt }
+ * key stops two job runs reminding the same abandonment twice.
+ * @returns {Object|null} the reminder, null if it was already sent
+ */
+const remindCart = async (cart, user) => {
+  let reminder;
+  try {
+    reminder = await CartReminder.create({
+      shopId: cart.shopId,
+      cart: cart._id,
+      user: user._id,
+      cartUpdatedAt: cart.updatedAt,
+      cartValue: cart.finalAmount,
+      totalItems: cart.totalItems
+    });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+
+  const cartUrl = getCartUrl();
+  const [email, whatsapp] = await Promise.allSettled([
+    sendAbandonedCartEmail(user, cart, cartUrl),
+    sendAbandonedCartWhatsApp(user, cart, cartUrl)
+  ]);
+
+  if (email.status === 'fulfilled') reminder.channels.push('EMAIL');
+  if (whatsapp.status === 'fulfilled' && whatsapp.value) reminder.channels.push('WHATSAPP');
+
+  await reminder.save();
+  return reminder;
+};
+
+/**
+ * Remind customers of carts they abandoned, for every shop with reminders on
+ * Each abandonment is reminded once - a cart changed since starts a new one.
+ * @returns {Object} { sent, failed } - failed reminders went out on no channel
+ */
+const sendCartReminders = async () => {
+  const shops = await Shop.find({ isActive: true, 'cartReminders.enabled': true }).select('cartReminders');
+  let sent = 0;
+  let failed = 0;
+
+  for (const shop of shops) {
+    const carts = await Cart.find(abandonedCartQuery(shop._id, shop.cartReminders.afterHours))
+      .select('_id user updatedAt');
+    if (carts.length === 0) continue;
+
+    // Skip abandonments already reminded
+    const reminded = await CartReminder.find({
+      shopId: shop._id,
+      cart: { $in: carts.map(cart => cart._id) }
+    }).select('cart cartUpdatedAt');
+    const remindedKeys = new Set(reminded.map(reminder => `${reminder.cart}:${reminder.cartUpdatedAt.getTime()}`));
+    const pending = carts.filter(cart => !remindedKeys.has(`${cart._id}:${cart.updatedAt.getTime()}`));
+    if (pending.length === 0) continue;
+
+    const users = await User.find({
+      shopId: shop._id,
+      _id: { $in: pending.map(cart => cart.user) },
+      isActive: true
+    }).select('name email phone');
+
+    for (const abandoned of pending) {
+      const user = users.find(entry => entry._id.equals(abandoned.user));
+      if (!user) continue;
+
+      // Full cart with product names - skipped if the customer came back meanwhile
+      const cart = await Cart.findOne({ shopId: shop._id, _id: abandoned._id }).populate('items.product', 'name');
+      if (!cart || cart.items.length === 0 || cart.updatedAt.getTime() !== abandoned.updatedAt.getTime()) continue;
+
+      try {
+        const reminder = await remindCart(cart, user);
+        if (!reminder) continue;
+        if (reminder.channels.length > 0) sent++;
+        else failed++;
+      } catch (error) {
+        failed++;
+        console.error(`Error sending cart reminder for cart ${cart._id}:`, error);
+      }
+    }
+  }
+
+  return { sent, failed };
+};
+
+/**
+ * Credit the cart's latest delivered reminder with an order placed from it
+ * (no-op when no reminder went out within the window) - inside the order's transaction
+ */
+const markCartRecovered = (cart, order, session) => {
+  const since = new Date(Date.now() - REMINDER_WINDOW_DAYS * 24 * HOUR);
+
+  return CartReminder.findOneAndUpdate(
+    {
+      shopId: cart.shopId,
+      cart: cart._id,
+      recoveredOrder: null,
+      sentAt: { $gte: since },
+      'channels.0': { $exists: true }
+    },
+    { $set: { recoveredOrder: order._id, recoveredAmount: order.totalAmount, recoveredAt: new Date() } },
+    { sort: { sentAt: -1 }, session }
+  );
+};
+
+module.exports = {
+  REMINDER_WINDOW_DAYS,
+  abandonedCartQuery,
+  sendCartReminders,
+  markCartRecovered
+};
@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+const Category = require('../models/Category.model');
+const { AppError } = require('../middlewares/error.middleware');
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Find a shop category by id, slug or (case-insensitive) name
+ */
+const findCategory = async (shopId, value) => {
+  if (!value) return null;
+
+  const text = String(value).trim();
+  if (mongoose.isValidObjectId(text)) {
+    const byId = await Category.findOne({ shopId, _id: text });
+    if (byId) return byId;
+  }
+
+  return (await Category.findOne({ shopId, slug: text.toLowerCase() })) ||
+    Category.findOne({ shopId, name: new RegExp(`^${escapeRegex(text)}$`, 'i') });
+};
+
+/**
+ * Category id to store on a product - the category must belong to the shop
+ */
+const resolveCategoryId = async (shopId, value) => {
+  const category = await findCategory(shopId, value);
+  if (!category) {
+    throw new AppError('Category not found', 400);
+  }
+  return category._id;
+};
+
+/**
+ * A category and all its subcategories, for product filters
+ * (an unknown category matches nothing)
+ */
+const getCategoryFilterIds = async (shopId, value) => {
+  const category = await findCategory(shopId, value);
+  if (!category) return [];
+
+  const descendants = await Category.find({ shopId, ancestors: category._id }).select('_id');
+  return [category._id, ...descendants.map(descendant => descendant._id)];
+};
+
+/**
+ * Place a category under a parent (null for a top-level category)
+ * The parent must be in the same shop and can't be the category or one of its subcategories.
+ */
+const setParent = async (category, parentId) => {
+  if (!parentId) {
+    category.parent = null;
+    category.ancestors = [];
+    return;
+  }
+
+  const parent = await Category.findOne({ shopId: category.shopId, _id: parentId });
+  if (!parent) {
+    throw new AppError('Parent category not found', 400);
+  }
+
+  if (parent._id.equals(category._id) || parent.ancestors.some(id => id.equals(category._id))) {
+    throw new AppError('A category cannot be moved under itself or one of its subcategories', 400);
+  }
+
+  // Subcategories move along - the deepest must stay within the nesting limit
+  const descendants = category.isNew
+    ? []
+    : await Category.find({ shopId: category.shopId, ancestors: category._id }).select('ancestors');
+  const subtreeDepth = Math.max(0, ...descendants.map(descendant => (
+    descendant.ancestors.length - descendant.ancestors.findIndex(id => id.equals(category._id))
+  )));
+
+  if (parent.ancestors.length + 1 + subtreeDepth >= Category.MAX_DEPTH) {
+    throw new AppError(`Categories can be nested at most ${Category.MAX_DEPTH} levels deep`, 400);
+  }
+
+  category.parent = parent._id;
+  category.ancestors = [...parent.ancestors, parent._id];
+};
+
+/**
+ * Rewrite the ancestors of a moved category's subcategories
+ * @param {Object} category - the moved category, already saved
+ */
+const updateDescendantAncestors = async (category, session) => {
+  const descendants = await Category.find({ shopId: category.shopId, ancestors: category._id }).session(session || null);
+  if (descendants.length === 0) return;
+
+  await Category.bulkWrite(descendants.map(descendant => {
+    const below = descendant.ancestors.slice(descendant.ancestors.findIndex(id => id.equals(category._id)));
+    return {
+      updateOne: {
+        filter: { _id: descendant._id },
+        update: { $set: { ancestors: [...category.ancestors, ...below] } }
+      }
+    };
+  }), { session });
+};
+
+/**
+ * Nest a flat category list into a tree (children sorted by sortOrder, then name)
+ */
+const buildCategoryTree = (categories) => {
+  const nodes = new Map(categories.map(category => [
+    category._id.toString(),
+    { ...(category.toObject ? category.toObject() : category), children: [] }
+  ]));
+  const roots = [];
+
+  for (const node of nodes.values()) {
+    const parent = node.parent && nodes.get(node.parent.toString());
+    // Children of a category missing from the list (e.g. inactive) are left out
+    if (parent) {
+      parent.children.push(node);
+    } else if (!node.parent) {
+      roots.push(node);
+    }
+  }
+
+  const sortNodes = (list) => {
+    list.sort((a, b) => (a.sortOrder - b.sortOrder) || a.name.localeCompare(b.name));
+    list.forEach(node => sortNodes(node.children));
+    return list;
+  };
+
+  return sortNodes(roots);
+};
+
+module.exports = {
+  findCategory,
+  resolveCategoryId,
+  getCategoryFilterIds,
+  setParent,
+  updateDescendantAncestors,
+  buildCategoryTree
+};
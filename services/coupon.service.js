@@ -0,0 +1,226 @@
+const Coupon = require('../models/Coupon.model');
+const CouponRedemption = require('../models/CouponRedemption.model');
+const Category = require('../models/Category.model');
+const Product = require('../models/Product.model');
+const { AppError } = require('../middlewares/error.middleware');
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Codes are stored upper case - customers can type them in any case
+ */
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+/**
+ * Product for each cart line, same order (undefined for products since removed)
+ */
+const getCartProducts = async (cart, session) => {
+  const ids = cart.items.map(item => item.product._id || item.product);
+  const products = await Product.find({ shopId: cart.shopId, _id: { $in: ids } }).session(session);
+  return ids.map(id => products.find(product => product._id.equals(id)));
+};
+
+/**
+ * Whether the coupon applies to each line - every line unless it is
+ * restricted to products and/or categories (a category covers its subcategories)
+ */
+const getEligibleLines = async (coupon, products, session) => {
+  if (coupon.products.length === 0 && coupon.categories.length === 0) {
+    return products.map(product => Boolean(product));
+  }
+
+  const categoryIds = products.filter(product => product && product.category).map(product => product.category);
+  const categories = coupon.categories.length > 0 && categoryIds.length > 0
+    ? await Category.find({ shopId: coupon.shopId, _id: { $in: categoryIds } }).select('ancestors').session(session)
+    : [];
+
+  const inCouponCategories = (category) => [category._id, ...category.ancestors]
+    .some(id => coupon.categories.some(couponCategory => couponCategory.equals(id)));
+
+  return products.map(product => {
+    if (!product) return false;
+    if (coupon.products.some(id => id.equals(product._id))) return true;
+
+    const category = product.category && categories.find(entry => entry._id.equals(product.category));
+    return Boolean(category) && inCouponCategories(category);
+  });
+};
+
+/**
+ * Check a coupon can be used by the customer on these lines and work out the discount
+ * The discount is spread over the eligible lines in proportion to their value,
+ * so GST is charged on the discounted amount.
+ * @param {Object} coupon
+ * @param {Object} params
+ * @param {ObjectId} params.user - customer redeeming it
+ * @param {Array} params.items - cart lines (finalPrice, quantity, promotionDiscount) - promotions applied first
+ * @param {Array} params.products - product for each line, same order
+ * @param {ClientSession} params.session
+ * @returns {Object} { discount, lines } - lines is the discount per line
+ * @throws {AppError} 400 with the reason the coupon can't be used
+ */
+const calculateCouponDiscount = async (coupon, { user, items, products, session }) => {
+  const now = new Date();
+
+  if (!coupon.isActive) {
+    throw new AppError('This coupon is no longer active', 400);
+  }
+  if (coupon.startsAt && coupon.startsAt > now) {
+    throw new AppError('This coupon is not valid yet', 400);
+  }
+  if (coupon.expiresAt && coupon.expiresAt <= now) {
+    throw new AppError('This coupon has expired', 400);
+  }
+  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+    throw new AppError('This coupon has been fully redeemed', 400);
+  }
+
+  if (coupon.perCustomerLimit) {
+    const used = await CouponRedemption.countDocuments({
+      shopId: coupon.shopId,
+      coupon: coupon._id,
+      user,
+      releasedAt: null
+    }).session(session);
+
+    if (used >= coupon.perCustomerLimit) {
+      throw new AppError('You have already used this coupon', 400);
+    }
+  }
+
+  // Coupons come off what is left after automatic promotions
+  const lineTotals = items.map(item => item.finalPrice * item.quantity - (item.promotionDiscount || 0));
+  const cartValue = lineTotals.reduce((sum, total) => sum + total, 0);
+
+  if (cartValue < (coupon.minCartValue || 0)) {
+    throw new AppError(`Add Rs.${round2(coupon.minCartValue - cartValue)} more to use this coupon`, 400);
+  }
+
+  const eligible = await getEligibleLines(coupon, products, session);
+  const eligibleTotal = lineTotals.reduce((sum, total, index) => (eligible[index] ? sum + total : sum), 0);
+
+  if (eligibleTotal <= 0) {
+    throw new AppError('This coupon does not apply to the items in your cart', 400);
+  }
+
+  let discount = coupon.type === 'PERCENTAGE' ? eligibleTotal * coupon.value / 100 : coupon.value;
+  if (coupon.type === 'PERCENTAGE' && coupon.maxDiscount) {
+    discount = Math.min(discount, coupon.maxDiscount);
+  }
+  discount = round2(Math.min(discount, eligibleTotal));
+
+  // Rounding leftovers go to the last eligible line so the lines add up exactly
+  const lines = items.map(() => 0);
+  const lastEligible = eligible.lastIndexOf(true);
+  let remaining = discount;
+
+  eligible.forEach((isEligible, index) => {
+    if (!isEligible) return;
+    const share = index === lastEligible ? remaining : round2(discount * lineTotals[index] / eligibleTotal);
+    lines[index] = share;
+    remaining = round2(remaining - share);
+  });
+
+  return { discount, lines };
+};
+
+/**
+ * Re-check the coupon on a cart after its items changed
+ * A coupon that no longer applies (e.g. cart now below its minimum) stays on
+ * the cart with no discount and the reason in couponMessage.
+ */
+const refreshCartCoupon = async (cart) => {
+  if (!cart.coupon) return;
+
+  const coupon = await Coupon.findOne({ shopId: cart.shopId, _id: cart.coupon });
+  if (!coupon) {
+    clearCartCoupon(cart);
+    return;
+  }
+
+  await cart.applyPromotions();
+
+  try {
+    const { discount } = await calculateCouponDiscount(coupon, {
+      user: cart.user,
+      items: cart.items,
+      products: await getCartProducts(cart)
+    });
+    cart.couponDiscount = discount;
+    cart.couponMessage = undefined;
+  } catch (error) {
+    if (!error.statusCode) throw error;
+    cart.couponDiscount = 0;
+    cart.couponMessage = error.message;
+  }
+};
+
+const clearCartCoupon = (cart) => {
+  cart.coupon = undefined;
+  cart.couponCode = undefined;
+  cart.couponDiscount = 0;
+  cart.couponMessage = undefined;
+};
+
+/**
+ * Record a coupon's use on a new order - inside the order's transaction
+ * The usage count only goes up while it is below the coupon's limit, so two
+ * checkouts can't both take the last redemption.
+ */
+const redeemCoupon = async (coupon, { user, order, discount, session }) => {
+  const updated = await Coupon.findOneAndUpdate(
+    {
+      _id: coupon._id,
+      shopId: coupon.shopId,
+      isActive: true,
+      $or: [
+        { usageLimit: null },
+        { $expr: { $lt: ['$usedCount', '$usageLimit'] } }
+      ]
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true, session }
+  );
+
+  if (!updated) {
+    throw new AppError(`Coupon ${coupon.code} can no longer be used`, 409);
+  }
+
+  await CouponRedemption.create([{
+    shopId: coupon.shopId,
+    coupon: coupon._id,
+    code: coupon.code,
+    user,
+    order,
+    discount
+  }], { session });
+};
+
+/**
+ * Give back the coupon use of a cancelled order (no-op for orders without one)
+ */
+const releaseCouponRedemption = async (order, session) => {
+  const redemption = await CouponRedemption.findOneAndUpdate(
+    { shopId: order.shopId, order: order._id, releasedAt: null },
+    { $set: { releasedAt: new Date() } },
+    { session }
+  );
+
+  if (redemption) {
+    await Coupon.updateOne(
+      { shopId: order.shopId, _id: redemption.coupon },
+      { $inc: { usedCount: -1 } },
+      { session }
+    );
+  }
+};
+
+module.exports = {
+  normalizeCode,
+  getCartProducts,
+  calculateCouponDiscount,
+  refreshCartCoupon,
+  clearCartCoupon,
+  redeemCoupon,
+  releaseCouponRedemption
+};
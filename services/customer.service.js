@@ -0,0 +1,23 @@
+const Customer = require('../models/Customer.model');
+
+/**
+ * Keep Customer.totalOrders / totalSpent / lastOrderAt in step with orders
+ * @param {ObjectId} shopId
+ * @param {ObjectId} customerId
+ * @param {Object} change - { orders, spent, orderedAt } (orders/spent may be negative)
+ * @param {ClientSession} session - run inside the caller's transaction
+ */
+const updateCustomerStats = async (shopId, customerId, { orders = 0, spent = 0, orderedAt }, session) => {
+  if (!customerId) return;
+
+  const update = { $inc: { totalOrders: orders, totalSpent: spent } };
+  if (orderedAt) {
+    update.$max = { lastOrderAt: orderedAt };
+  }
+
+  await Customer.updateOne({ shopId, _id: customerId }, update, { session });
+};
+
+module.exports = {
+  updateCustomerStats
+};
@@ -185,9 +185,124 @@ const sendInvoiceEmail = async (user, order, invoiceUrl) => {
   });
 };
 
+/**
+ * Send return request status email
+ */
+const sendReturnStatusEmail = async (user, returnRequest, order) => {
+  const statusMessages = {
+    REQUESTED: 'We have received your return request.',
+    APPROVED: 'Your return request has been approved!',
+    REJECTED: 'Your return request has been declined.',
+    RECEIVED: 'We have received your returned items.'
+  };
+
+  const status = returnRequest.status;
+  const subject = `Return ${status} - ${returnRequest.returnNumber}`;
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background-color: #4CAF50; color: white; padding: 20px; text-align: center; }
+        .content { padding: 20px; background-color: #f9f9f9; }
+        .footer { text-align: center; padding: 20px; color: #666; font-size: 12px; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>${statusMessages[status]}</h1>
+        </div>
+        <div class="content">
+          <p>Hi ${user.name},</p>
+          <p><strong>Return Number:</strong> ${returnRequest.returnNumber}</p>
+          <p><strong>Order Number:</strong> ${order.orderNumber}</p>
+          <p><strong>Status:</strong> ${status}</p>
+          ${status === 'REJECTED' && returnRequest.rejectionReason ? `<p><strong>Reason:</strong> ${returnRequest.rejectionReason}</p>` : ''}
+          ${status === 'APPROVED' ? '<p>Please pack the items securely. We will arrange the pickup shortly.</p>' : ''}
+        </div>
+        <div class="footer">
+          <p>© ${new Date().getFullYear()} SKStore. All rights reserved.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
+  await sendEmail({
+    to: user.email,
+    subject,
+    html
+  });
+};
+
+/**
+ * Send abandoned cart reminder email
+ * @param {Object} user
+ * @param {Object} cart - items.product populated with name
+ * @param {string} cartUrl - deep link back to the cart
+ */
+const sendAbandonedCartEmail = async (user, cart, cartUrl) => {
+  const subject = 'You left something in your cart';
+  const itemRows = cart.items
+    .filter(item => item.product)
+    .map(item => `<li>${item.product.name} x ${item.quantity}</li>`)
+    .join('');
+
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background-color: #4CAF50; color: white; padding: 20px; text-align: center; }
+        .content { padding: 20px; background-color: #f9f9f9; }
+        .order-details { background-color: white; padding: 15px; margin: 15px 0; border-radius: 5px; }
+        .button { display: inline-block; padding: 10px 20px; background-color: #4CAF50; color: white; text-decoration: none; border-radius: 5px; margin: 10px 0; }
+        .footer { text-align: center; padding: 20px; color: #666; font-size: 12px; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>Your cart is waiting</h1>
+        </div>
+        <div class="content">
+          <p>Hi ${user.name},</p>
+          <p>You still have items in your cart. They're saved for you whenever you're ready.</p>
+
+          <div class="order-details">
+            <ul>${itemRows}</ul>
+            <p><strong>Cart Total:</strong> ₹${cart.finalAmount}</p>
+          </div>
+
+          <p>Prices and availability may change until you check out.</p>
+
+          <a href="${cartUrl}" class="button">Complete Your Order</a>
+        </div>
+        <div class="footer">
+          <p>© ${new Date().getFullYear()} SKStore. All rights reserved.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
+  await sendEmail({
+    to: user.email,
+    subject,
+    html
+  });
+};
+
 module.exports = {
   sendEmail,
   sendOrderPlacedEmail,
   sendOrderStatusEmail,
-  sendInvoiceEmail
+  sendInvoiceEmail,
+  sendReturnStatusEmail,
+  sendAbandonedCartEmail
 };
@@ -0,0 +1,138 @@
+const sharp = require('sharp');
+const { AppError } = require('../middlewares/error.middleware');
+
+// Longest side in px of each WebP rendition
+const IMAGE_RENDITIONS = {
+  thumbnail: 200,
+  medium: 600,
+  large: 1200
+};
+
+const MIN_IMAGE_DIMENSION = 100;
+const MAX_IMAGE_DIMENSION = 8000;
+// Guards against decompression bombs (small files that decode to huge images)
+const MAX_IMAGE_PIXELS = 40 * 1000 * 1000;
+
+const CONTENT_TYPES = {
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp'
+};
+
+/**
+ * Image format from the file's magic bytes - the uploaded mimetype is only the client's claim
+ */
+const detectImageFormat = (buffer) => {
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'jpeg';
+  }
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'png';
+  }
+  if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return 'webp';
+  }
+  return null;
+};
+
+const load = (buffer) => sharp(buffer, { limitInputPixels: MAX_IMAGE_PIXELS, failOn: 'error' });
+
+/**
+ * Check an uploaded file is a decodable JPEG, PNG or WebP image of a sensible size
+ * @returns {Object} { format, width, height }
+ */
+const inspectImage = async (buffer) => {
+  const format = detectImageFormat(buffer);
+  if (!format) {
+    throw new AppError('File is not a valid JPEG, PNG or WebP image', 400);
+  }
+
+  let metadata;
+  try {
+    metadata = await load(buffer).metadata();
+  } catch (error) {
+    throw new AppError('Image is corrupt or too large to process', 400);
+  }
+
+  if (metadata.format !== format) {
+    throw new AppError('File is not a valid JPEG, PNG or WebP image', 400);
+  }
+
+  // EXIF orientations 5-8 are stored sideways
+  const rotated = metadata.orientation >= 5;
+  const width = rotated ? metadata.height : metadata.width;
+  const height = rotated ? metadata.width : metadata.height;
+
+  if (Math.min(width, height) < MIN_IMAGE_DIMENSION) {
+    throw new AppError(`Image must be at least ${MIN_IMAGE_DIMENSION}x${MIN_IMAGE_DIMENSION} pixels`, 400);
+  }
+  if (Math.max(width, height) > MAX_IMAGE_DIMENSION) {
+    throw new AppError(`Image cannot be larger than ${MAX_IMAGE_DIMENSION}x${MAX_IMAGE_DIMENSION} pixels`, 400);
+  }
+
+  return { format, width, height };
+};
+
+/**
+ * Re-encode an uploaded image in its own format, upright and without
+ * EXIF/GPS or other metadata (sharp drops metadata unless asked to keep it)
+ * @returns {Object} { buffer, format, contentType, width, height }
+ */
+const sanitizeImage = async (buffer) => {
+  const { format } = await inspectImage(buffer);
+
+  const image = load(buffer).rotate();
+  if (format === 'jpeg') image.jpeg({ quality: 90, mozjpeg: true });
+  if (format === 'png') image.png({ compressionLevel: 9 });
+  if (format === 'webp') image.webp({ quality: 90 });
+
+  const { data, info } = await image.toBuffer({ resolveWithObject: true });
+
+  return {
+    buffer: data,
+    format,
+    contentType: CONTENT_TYPES[format],
+    width: info.width,
+    height: info.height
+  };
+};
+
+/**
+ * WebP renditions of an image, never enlarged beyond the original
+ * @returns {Array} [{ name, buffer, width, height }]
+ */
+const createRenditions = async (buffer) => {
+  const renditions = [];
+
+  // One at a time - each resize holds a decoded copy of the image in memory
+  for (const [name, size] of Object.entries(IMAGE_RENDITIONS)) {
+    const { data, info } = await load(buffer)
+      .rotate()
+      .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toBuffer({ resolveWithObject: true });
+
+    renditions.push({ name, buffer: data, width: info.width, height: info.height });
+  }
+
+  return renditions;
+};
+
+/**
+ * Full pipeline for library images: validated, stripped original plus WebP renditions
+ * @returns {Object} { original: { buffer, format, contentType, width, height }, renditions }
+ */
+const processImage = async (buffer) => {
+  const original = await sanitizeImage(buffer);
+  const renditions = await createRenditions(original.buffer);
+  return { original, renditions };
+};
+
+module.exports = {
+  IMAGE_RENDITIONS,
+  detectImageFormat,
+  inspectImage,
+  sanitizeImage,
+  createRenditions,
+  processImage
+};
@@ -1,9 +1,106 @@
 const PDFDocument = require('pdfkit');
-const fs = require('fs');
-const path = require('path');
+const { buildHsnSummary } = require('./tax.service');
+const { saveFile } = require('./storage.service');
+const { amountInWords } = require('../utils/amountInWords.util');
+const { formatQuantity } = require('../utils/units.util');
+
+/**
+ * Collect a PDF document into a Buffer once it is finished
+ */
+const collectPdf = (doc) => new Promise((resolve, reject) => {
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+});
+
+/**
+ * Invoices and credit notes are private files of the shop's storage,
+ * downloaded through the API or an expiring signed link
+ */
+const savePdf = async (shop, filename, buffer) => {
+  const stored = await saveFile({
+    shopId: shop._id,
+    buffer,
+    folder: 'invoices',
+    filename,
+    contentType: 'application/pdf',
+    access: 'private'
+  });
+  return { storage: stored.storage, key: stored.key };
+};
+
+/**
+ * Start a new page when the next block would run off the current one,
+ * returns the y position to continue at
+ */
+const ensureSpace = (doc, yPosition, needed) => {
+  if (yPosition + needed > doc.page.height - doc.page.margins.bottom) {
+    doc.addPage();
+    return doc.page.margins.top;
+  }
+  return yPosition;
+};
+
+/**
+ * Line description - product name with variant label and SKU when present
+ */
+const itemLabel = (item) => {
+  let label = item.name;
+  if (item.variantName) label += ` (${item.variantName})`;
+  if (item.sku) label += ` - ${item.sku}`;
+  return label;
+};
+
+/**
+ * Render the document title and shop details, returns the y position below them
+ */
+const renderShopHeader = (doc, shop, shopOwner, title) => {
+  doc
+    .fontSize(20)
+    .text(title, 50, 50, { align: 'center' })
+    .fontSize(14)
+    .text(shop.name, 50, 80, { align: 'center' })
+    .fontSize(10);
+  
+  // Add shop contact details (use shop contact or fallback to owner)
+  let headerY = 100;
+  const contactEmail = shop.contact?.email || shopOwner?.email;
+  const contactPhone = shop.contact?.phone || shopOwner?.phone;
+  const contactWhatsapp = shop.contact?.whatsapp || contactPhone;
+  
+  if (contactEmail) {
+    doc.text(`Email: ${contactEmail}`, 50, headerY, { align: 'center' });
+    headerY += 15;
+  }
+  if (contactPhone) {
+    doc.text(`Phone: ${contactPhone}`, 50, headerY, { align: 'center' });
+    headerY += 15;
+  }
+  if (contactWhatsapp && contactWhatsapp !== contactPhone) {
+    doc.text(`WhatsApp: ${contactWhatsapp}`, 50, headerY, { align: 'center' });
+    headerY += 15;
+  }
+  if (shop.address) {
+    const address = shop.address;
+    let addressText = '';
+    if (address.addressLine1) addressText += address.addressLine1 + ', ';
+    if (address.addressLine2) addressText += address.addressLine2 + ', ';
+    if (address.city) addressText += address.city + ', ';
+    if (address.state) addressText += address.state + ' ';
+    if (address.pincode) addressText += '- ' + address.pincode;
+    if (addressText) {
+      doc.text(addressText, 50, headerY, { align: 'center' });
+      headerY += 15;
+    }
+  }
+
+  return headerY;
+};
 
 /**
  * Generate PDF invoice
+ * The order must already carry its invoiceNumber (see sequence.service)
  */
 const generateInvoice = async (order, user, shop, shopOwner) => {
   return new Promise((resolve, reject) => {
@@ -11,60 +108,27 @@ const generateInvoice = async (order, user, shop, shopOwner) => {
       // Create PDF document
       const doc = new PDFDocument({ margin: 50 });
 
-      // Create invoices directory if it doesn't exist
-      const invoicesDir = path.join(__dirname, '../invoices');
-      if (!fs.existsSync(invoicesDir)) {
-        fs.mkdirSync(invoicesDir, { recursive: true });
-      }
+      // Invoice filename follows the shop's invoice sequence
+      const invoiceNumber = order.invoiceNumber;
+      const filename = `${invoiceNumber.replace(/[^A-Za-z0-9-]/g, '-')}.pdf`;
 
-      // Generate invoice filename
-      const invoiceNumber = `INV-${order.orderNumber}-${Date.now()}`;
-      const filename = `${invoiceNumber}.pdf`;
-      const filepath = path.join(invoicesDir, filename);
+      // Upload once the PDF is complete
+      collectPdf(doc)
+        .then(buffer => savePdf(shop, filename, buffer))
+        .then(file => resolve({ filename, file, invoiceNumber }))
+        .catch(reject);
 
-      // Pipe PDF to file
-      const writeStream = fs.createWriteStream(filepath);
-      doc.pipe(writeStream);
+      // Orders from a GST-registered shop carry the GSTIN snapshot and get a tax invoice
+      const taxBreakup = order.taxBreakup || {};
+      const isTaxInvoice = Boolean(taxBreakup.gstin);
 
       // Add header with Shop details
-      doc
-        .fontSize(20)
-        .text('INVOICE', 50, 50, { align: 'center' })
-        .fontSize(14)
-        .text(shop.name, 50, 80, { align: 'center' })
-        .fontSize(10);
-      
-      // Add shop contact details (use shop contact or fallback to owner)
-      let headerY = 100;
-      const contactEmail = shop.contact?.email || shopOwner?.email;
-      const contactPhone = shop.contact?.phone || shopOwner?.phone;
-      const contactWhatsapp = shop.contact?.whatsapp || contactPhone;
-      
-      if (contactEmail) {
-        doc.text(`Email: ${contactEmail}`, 50, headerY, { align: 'center' });
-        headerY += 15;
-      }
-      if (contactPhone) {
-        doc.text(`Phone: ${contactPhone}`, 50, headerY, { align: 'center' });
-        headerY += 15;
-      }
-      if (contactWhatsapp && contactWhatsapp !== contactPhone) {
-        doc.text(`WhatsApp: ${contactWhatsapp}`, 50, headerY, { align: 'center' });
+      let headerY = renderShopHeader(doc, shop, shopOwner, isTaxInvoice ? 'TAX INVOICE' : 'INVOICE');
+
+      if (isTaxInvoice) {
+        doc.text(`GSTIN: ${taxBreakup.gstin}`, 50, headerY, { align: 'center' });
         headerY += 15;
       }
-      if (shop.address) {
-        const address = shop.address;
-        let addressText = '';
-        if (address.addressLine1) addressText += address.addressLine1 + ', ';
-        if (address.addressLine2) addressText += address.addressLine2 + ', ';
-        if (address.city) addressText += address.city + ', ';
-        if (address.state) addressText += address.state + ' ';
-        if (address.pincode) addressText += '- ' + address.pincode;
-        if (addressText) {
-          doc.text(addressText, 50, headerY, { align: 'center' });
-          headerY += 15;
-        }
-      }
       
       doc.moveDown();
 
@@ -78,6 +142,10 @@ const generateInvoice = async (order, user, shop, shopOwner) => {
         .text(`Order Date: ${new Date(order.createdAt).toLocaleDateString()}`, 50, invoiceDetailsY + 60)
         .moveDown();
 
+      if (isTaxInvoice) {
+        doc.text(`Place of Supply: ${taxBreakup.placeOfSupply}`, 300, invoiceDetailsY);
+      }
+
       // Add customer details
       const customerY = invoiceDetailsY + 100;
       doc
@@ -85,8 +153,8 @@ const generateInvoice = async (order, user, shop, shopOwner) => {
         .text('Bill To:', 50, customerY)
         .fontSize(11)
         .text(user.name, 50, customerY + 20)
-        .text(user.email, 50, customerY + 35)
-        .text(user.phone, 50, customerY + 50)
+        .text(user.email || '', 50, customerY + 35)
+        .text(user.phone || '', 50, customerY + 50)
         .moveDown();
 
       // Add shipping address
@@ -103,14 +171,26 @@ const generateInvoice = async (order, user, shop, shopOwner) => {
         .text(shippingAddress.country, 50, shippingY + 80)
         .moveDown();
 
-      // Add items table header
+      // Add items table header (tax invoices show HSN, taxable value and GST rate per line)
       const tableTop = shippingY + 120;
-      doc
-        .fontSize(11)
-        .text('Item', 50, tableTop, { bold: true })
-        .text('Qty', 300, tableTop)
-        .text('Price', 370, tableTop)
-        .text('Total', 450, tableTop);
+      if (isTaxInvoice) {
+        doc
+          .fontSize(10)
+          .text('Item', 50, tableTop)
+          .text('HSN', 205, tableTop)
+          .text('Qty', 250, tableTop)
+          .text('Rate', 298, tableTop)
+          .text('Taxable', 355, tableTop)
+          .text('GST', 425, tableTop)
+          .text('Amount', 470, tableTop);
+      } else {
+        doc
+          .fontSize(11)
+          .text('Item', 50, tableTop, { bold: true })
+          .text('Qty', 300, tableTop)
+          .text('Price', 370, tableTop)
+          .text('Total', 450, tableTop);
+      }
 
       // Draw line
       doc
@@ -121,18 +201,32 @@ const generateInvoice = async (order, user, shop, shopOwner) => {
       // Add items
       let yPosition = tableTop + 25;
       order.items.forEach((item) => {
-        doc
-          .fontSize(10)
-          .text(item.name, 50, yPosition, { width: 220 })
-          .text(item.quantity, 300, yPosition)
-          .text(`Rs.${item.finalPrice}`, 370, yPosition)
-          .text(`Rs.${item.subtotal}`, 450, yPosition);
+        yPosition = ensureSpace(doc, yPosition, 25);
+
+        if (isTaxInvoice) {
+          doc
+            .fontSize(9)
+            .text(itemLabel(item), 50, yPosition, { width: 150 })
+            .text(item.hsnCode || '-', 205, yPosition)
+            .text(formatQuantity(item.quantity, item.unit), 250, yPosition, { width: 45 })
+            .text(`Rs.${item.finalPrice}`, 298, yPosition)
+            .text(`Rs.${item.taxableValue}`, 355, yPosition)
+            .text(`${item.gstRate}%`, 425, yPosition)
+            .text(`Rs.${Math.round((item.taxableValue + item.taxAmount) * 100) / 100}`, 470, yPosition);
+        } else {
+          doc
+            .fontSize(10)
+            .text(itemLabel(item), 50, yPosition, { width: 220 })
+            .text(formatQuantity(item.quantity, item.unit), 300, yPosition, { width: 65 })
+            .text(`Rs.${item.finalPrice}`, 370, yPosition)
+            .text(`Rs.${item.subtotal}`, 450, yPosition);
+        }
         
         yPosition += 25;
       });
 
       // Draw line before totals
-      yPosition += 10;
+      yPosition = ensureSpace(doc, yPosition + 10, 200);
       doc
         .moveTo(350, yPosition)
         .lineTo(550, yPosition)
@@ -152,6 +246,38 @@ const generateInvoice = async (order, user, shop, shopOwner) => {
           .text(`-Rs.${order.discount}`, 450, yPosition);
       }
 
+      if (order.promotionDiscount > 0) {
+        yPosition += 20;
+        doc
+          .text('Promotions:', 370, yPosition)
+          .text(`-Rs.${order.promotionDiscount}`, 450, yPosition);
+      }
+
+      if (order.couponDiscount > 0) {
+        yPosition += 20;
+        doc
+          .text(`Coupon (${order.couponCode}):`, 370, yPosition)
+          .text(`-Rs.${order.couponDiscount}`, 450, yPosition);
+      }
+
+      if (isTaxInvoice) {
+        const taxLines = taxBreakup.interState
+          ? [['IGST', taxBreakup.igst]]
+          : [['CGST', taxBreakup.cgst], ['SGST', taxBreakup.sgst]];
+
+        yPosition += 20;
+        doc
+          .text('Taxable Value:', 370, yPosition)
+          .text(`Rs.${taxBreakup.taxableAmount}`, 450, yPosition);
+
+        taxLines.forEach(([label, amount]) => {
+          yPosition += 20;
+          doc
+            .text(`${label}:`, 370, yPosition)
+            .text(`Rs.${amount}`, 450, yPosition);
+        });
+      }
+
       if (order.shippingCharges > 0) {
         yPosition += 20;
         doc
@@ -159,7 +285,7 @@ const generateInvoice = async (order, user, shop, shopOwner) => {
           .text(`Rs.${order.shippingCharges}`, 450, yPosition);
       }
 
-      if (order.tax > 0) {
+      if (!isTaxInvoice && order.tax > 0) {
         yPosition += 20;
         doc
           .text('Tax:', 370, yPosition)
@@ -172,8 +298,66 @@ const generateInvoice = async (order, user, shop, shopOwner) => {
         .text('Total:', 370, yPosition, { bold: true })
         .text(`Rs.${order.totalAmount}`, 450, yPosition);
 
+      if (isTaxInvoice && taxBreakup.pricesIncludeTax) {
+        yPosition += 20;
+        doc
+          .fontSize(9)
+          .text('(Prices are inclusive of GST)', 370, yPosition);
+      }
+
+      yPosition += 25;
+      doc
+        .fontSize(10)
+        .text(`Amount in words: ${amountInWords(order.totalAmount)}`, 50, yPosition, { width: 500 });
+
+      // HSN-wise tax summary
+      if (isTaxInvoice) {
+        const hsnSummary = buildHsnSummary(order.items);
+
+        yPosition = ensureSpace(doc, yPosition + 30, 45 + hsnSummary.length * 18);
+        doc
+          .fontSize(11)
+          .text('HSN Summary', 50, yPosition);
+
+        yPosition += 20;
+        const taxColumns = taxBreakup.interState
+          ? [['IGST', 'igst']]
+          : [['CGST', 'cgst'], ['SGST', 'sgst']];
+
+        doc
+          .fontSize(9)
+          .text('HSN', 50, yPosition)
+          .text('GST Rate', 130, yPosition)
+          .text('Taxable Value', 210, yPosition);
+        taxColumns.forEach(([label], index) => {
+          doc.text(label, 310 + index * 80, yPosition);
+        });
+        doc.text('Total Tax', 470, yPosition);
+
+        doc
+          .moveTo(50, yPosition + 13)
+          .lineTo(550, yPosition + 13)
+          .stroke();
+
+        yPosition += 18;
+        hsnSummary.forEach((row) => {
+          doc
+            .text(row.hsnCode, 50, yPosition)
+            .text(`${row.gstRate}%`, 130, yPosition)
+            .text(`Rs.${row.taxableValue}`, 210, yPosition);
+          taxColumns.forEach(([, field], index) => {
+            doc.text(`Rs.${row[field]}`, 310 + index * 80, yPosition);
+          });
+          doc.text(`Rs.${Math.round((row.cgst + row.sgst + row.igst) * 100) / 100}`, 470, yPosition);
+          yPosition += 18;
+        });
+
+        yPosition += 5;
+        doc.text(`Tax amount in words: ${amountInWords(order.tax)}`, 50, yPosition, { width: 500 });
+      }
+
       // Add payment method
-      yPosition += 40;
+      yPosition = ensureSpace(doc, yPosition + 30, 100);
       doc
         .fontSize(11)
         .text(`Payment Method: ${order.paymentMethod}`, 50, yPosition)
@@ -204,18 +388,102 @@ const generateInvoice = async (order, user, shop, shopOwner) => {
       // Finalize PDF
       doc.end();
 
-      // Wait for file to be written
-      writeStream.on('finish', () => {
-        resolve({
-          filename,
-          filepath,
-          invoiceNumber
+    } catch (error) {
+      reject(error);
+    }
+  });
+};
+
+/**
+ * Generate PDF credit note for a refund
+ */
+const generateCreditNote = async (refund, order, user, shop, shopOwner) => {
+  return new Promise((resolve, reject) => {
+    try {
+      const doc = new PDFDocument({ margin: 50 });
+
+      const filename = `${refund.creditNoteNumber.replace(/[^A-Za-z0-9-]/g, '-')}.pdf`;
+
+      collectPdf(doc)
+        .then(buffer => savePdf(shop, filename, buffer))
+        .then(file => resolve({ filename, file }))
+        .catch(reject);
+
+      const headerY = renderShopHeader(doc, shop, shopOwner, 'CREDIT NOTE');
+
+      // Credit note details (references the original invoice)
+      const detailsY = headerY + 20;
+      doc
+        .fontSize(12)
+        .text(`Credit Note Number: ${refund.creditNoteNumber}`, 50, detailsY)
+        .text(`Credit Note Date: ${new Date(refund.createdAt).toLocaleDateString()}`, 50, detailsY + 20)
+        .text(`Order Number: ${order.orderNumber}`, 50, detailsY + 40)
+        .text(`Against Invoice: ${order.invoiceNumber || 'N/A'}`, 50, detailsY + 60);
+
+      // Customer details
+      const customerY = detailsY + 100;
+      doc
+        .fontSize(14)
+        .text('Issued To:', 50, customerY)
+        .fontSize(11)
+        .text(user.name, 50, customerY + 20)
+        .text(user.email || '', 50, customerY + 35)
+        .text(user.phone || '', 50, customerY + 50);
+
+      // Refunded lines (partial refunds may list items)
+      const tableTop = customerY + 90;
+      doc
+        .fontSize(11)
+        .text('Description', 50, tableTop)
+        .text('Qty', 370, tableTop)
+        .text('Amount', 450, tableTop);
+
+      doc
+        .moveTo(50, tableTop + 15)
+        .lineTo(550, tableTop + 15)
+        .stroke();
+
+      let yPosition = tableTop + 25;
+      if (refund.items && refund.items.length > 0) {
+        refund.items.forEach((item) => {
+          doc
+            .fontSize(10)
+            .text(item.name, 50, yPosition, { width: 300 })
+            .text(item.quantity || '', 370, yPosition)
+            .text(`Rs.${item.amount}`, 450, yPosition);
+          yPosition += 25;
         });
-      });
+      } else {
+        doc
+          .fontSize(10)
+          .text(`${refund.type === 'FULL' ? 'Full' : 'Partial'} refund for order ${order.orderNumber}`, 50, yPosition, { width: 300 })
+          .text(`Rs.${refund.amount}`, 450, yPosition);
+        yPosition += 25;
+      }
 
-      writeStream.on('error', (error) => {
-        reject(error);
-      });
+      yPosition += 10;
+      doc
+        .moveTo(350, yPosition)
+        .lineTo(550, yPosition)
+        .stroke();
+
+      yPosition += 15;
+      doc
+        .fontSize(13)
+        .text('Total Credit:', 340, yPosition)
+        .text(`Rs.${refund.amount}`, 450, yPosition);
+
+      yPosition += 40;
+      doc
+        .fontSize(11)
+        .text(`Reason: ${refund.reasonCode.replace(/_/g, ' ')}`, 50, yPosition)
+        .text(`Refund Method: ${refund.method.replace(/_/g, ' ')}`, 50, yPosition + 20);
+
+      if (refund.note) {
+        doc.text(`Note: ${refund.note}`, 50, yPosition + 40, { width: 500 });
+      }
+
+      doc.end();
 
     } catch (error) {
       reject(error);
@@ -223,4 +491,4 @@ const generateInvoice = async (order, user, shop, shopOwner) => {
   });
 };
 
-module.exports = { generateInvoice };
+module.exports = { generateInvoice, generateCreditNote };
@@ -0,0 +1,105 @@
+const PDFDocument = require('pdfkit');
+const { barcodePattern } = require('../utils/barcode.util');
+
+// A4 sheet of 24 labels, 70 x 37 mm (3 across, 8 down) - common office label stock
+const SHEET = {
+  columns: 3,
+  rows: 8,
+  labelWidth: 198.4,
+  labelHeight: 104.9,
+  marginLeft: 0,
+  marginTop: 1.5
+};
+const LABEL_PADDING = 8;
+const BAR_HEIGHT = 38;
+// Blank modules either side of the bars so scanners find the edges
+const QUIET_ZONE = 10;
+const MAX_MODULE_WIDTH = 1.5;
+
+const LABELS_PER_SHEET = SHEET.columns * SHEET.rows;
+
+/**
+ * Draw a bar pattern centred in `width`, returns the module width used
+ */
+const drawBars = (doc, bits, x, y, width) => {
+  const moduleWidth = Math.min(MAX_MODULE_WIDTH, width / (bits.length + QUIET_ZONE * 2));
+  let barX = x + (width - bits.length * moduleWidth) / 2;
+
+  // Runs of bars are drawn as one rectangle
+  for (const run of bits.match(/1+|0+/g)) {
+    if (run[0] === '1') {
+      doc.rect(barX, y, run.length * moduleWidth, BAR_HEIGHT);
+    }
+    barX += run.length * moduleWidth;
+  }
+  doc.fill('black');
+  return moduleWidth;
+};
+
+/**
+ * Render one label with its top-left corner at (x, y)
+ */
+const renderLabel = (doc, label, x, y, { showPrice }) => {
+  const width = SHEET.labelWidth - LABEL_PADDING * 2;
+  const left = x + LABEL_PADDING;
+  let top = y + LABEL_PADDING;
+
+  doc
+    .font('Helvetica-Bold')
+    .fontSize(8)
+    .text(label.name, left, top, { width, height: 10, ellipsis: true, lineBreak: false });
+  top += 11;
+
+  doc.font('Helvetica').fontSize(7);
+  if (label.variantName) {
+    doc.text(label.variantName, left, top, { width: showPrice ? width - 60 : width, height: 9, ellipsis: true, lineBreak: false });
+  }
+  if (showPrice) {
+    doc.font('Helvetica-Bold').text(`Rs.${label.price}`, left, top, { width, align: 'right', lineBreak: false });
+  }
+  top += 12;
+
+  drawBars(doc, barcodePattern(label.code).bits, left, top, width);
+  top += BAR_HEIGHT + 2;
+
+  doc
+    .font('Helvetica')
+    .fontSize(8)
+    .text(label.code, left, top, { width, align: 'center', lineBreak: false });
+};
+
+/**
+ * Build an A4 PDF of barcode labels
+ * @param {Array} labels - [{ name, variantName, price, code }], one entry per printed label
+ * @param {Object} options - { showPrice, skip } - skip leaves that many positions blank
+ *   on the first sheet, so part-used label sheets can be fed again
+ * @returns {PDFDocument} finished document, ready to pipe
+ */
+const buildLabelSheet = (labels, { showPrice = true, skip = 0 } = {}) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 0 });
+
+  labels.forEach((label, index) => {
+    const position = (index + skip) % LABELS_PER_SHEET;
+    if (position === 0 && index > 0) {
+      doc.addPage();
+    }
+
+    const column = position % SHEET.columns;
+    const row = Math.floor(position / SHEET.columns);
+    renderLabel(
+      doc,
+      label,
+      SHEET.marginLeft + column * SHEET.labelWidth,
+      SHEET.marginTop + row * SHEET.labelHeight,
+      { showPrice }
+    );
+  });
+
+  doc.end();
+  return doc;
+};
+
+module.exports = {
+  LABELS_PER_SHEET,
+  buildLabelSheet
+};
@@ -0,0 +1,269 @@
+const crypto = require('crypto');
+const Media = require('../models/Media.model');
+const Product = require('../models/Product.model');
+const Order = require('../models/Order.model');
+const { AppError } = require('../middlewares/error.middleware');
+const { saveFile, readFile, deleteFile } = require('./storage.service');
+const { processImage, createRenditions } = require('./image.service');
+
+/**
+ * Store WebP renditions next to an image as <base>-<rendition>.webp
+ * @returns {Array} Media renditions [{ name, key, url, width, height }]
+ */
+const saveRenditions = async (shopId, folder, base, renditions) => {
+  const saved = [];
+  for (const rendition of renditions) {
+    const stored = await saveFile({
+      shopId,
+      buffer: rendition.buffer,
+      folder,
+      filename: `${base}-${rendition.name}.webp`,
+      contentType: 'image/webp'
+    });
+    saved.push({ name: rendition.name, key: stored.key, url: stored.url, width: rendition.width, height: rendition.height });
+  }
+  return saved;
+};
+
+/**
+ * Rendition URLs by name, as stored on product images
+ */
+const renditionUrls = (media) => Object.fromEntries(
+  (media.renditions || []).map(rendition => [rendition.name, rendition.url])
+);
+
+/**
+ * Validate, strip and resize image files, then add them to the shop's media library
+ * Invalid images are rejected (400) before anything is stored.
+ * @param {ObjectId} shopId
+ * @param {Array} files - multer files (memory storage)
+ * @param {Object} options - { folder, user }
+ * @returns {Array} Media documents, in upload order
+ */
+const uploadMedia = async (shopId, files, { folder = 'products', user } = {}) => {
+  // One image at a time keeps memory use flat for 10-image uploads
+  const processed = [];
+  for (const file of files) {
+    processed.push(await processImage(file.buffer));
+  }
+
+  const assets = [];
+  for (const { original, renditions } of processed) {
+    const base = crypto.randomBytes(16).toString('hex');
+    const stored = await saveFile({
+      shopId,
+      buffer: original.buffer,
+      folder,
+      filename: `${base}.${original.format}`,
+      contentType: original.contentType
+    });
+
+    assets.push({
+      shopId,
+      url: stored.url,
+      storage: stored.storage,
+      publicId: stored.key,
+      width: original.width,
+      height: original.height,
+      format: original.format,
+      bytes: original.buffer.length,
+      renditions: await saveRenditions(shopId, folder, base, renditions),
+      uploadedBy: user
+    });
+  }
+
+  return Media.create(assets);
+};
+
+/**
+ * Generate renditions for a library image stored without them (uploaded before
+ * the image pipeline) and copy their URLs to the product images using it
+ * @returns {Boolean} false when the original file no longer exists
+ */
+const addMissingRenditions = async (media) => {
+  const buffer = await readFile({ storage: media.storage, key: media.publicId });
+  if (!buffer) return false;
+
+  const base = crypto.randomBytes(16).toString('hex');
+  media.renditions = await saveRenditions(media.shopId, 'products', base, await createRenditions(buffer));
+  await media.save();
+
+  await Product.updateMany(
+    { shopId: media.shopId, 'images.media': media._id },
+    { $set: { 'images.$[image].renditions': renditionUrls(media) } },
+    { arrayFilters: [{ 'image.media': media._id }] }
+  );
+  return true;
+};
+
+/**
+ * Product image subdocuments from request input
+ * Each entry is a media library id, an image URL, or { media, url, altText, isPrimary }.
+ * Library images must belong to the shop; URLs of library images are linked to them,
+ * other URLs are kept as external images.
+ * @param {ObjectId} shopId
+ * @param {Array} entries
+ * @returns {Array} [{ url, media, altText, renditions, isPrimary }]
+ */
+const resolveProductImages = async (shopId, entries) => {
+  const images = entries
+    .filter(entry => entry && (typeof entry !== 'string' || entry.trim()))
+    .map(entry => {
+      if (typeof entry !== 'string') return { ...entry };
+      const value = entry.trim();
+      return /^[0-9a-f]{24}$/i.test(value) ? { media: value } : { url: value };
+    });
+
+  const mediaIds = images.filter(image => image.media).map(image => image.media);
+  const urls = images.filter(image => !image.media && image.url).map(image => image.url);
+
+  // CRITICAL: Only the shop's own library images can be attached
+  const library = await Media.find({
+    shopId,
+    $or: [{ _id: { $in: mediaIds } }, { url: { $in: urls } }]
+  });
+
+  return images.map(image => {
+    const media = library.find(entry => (image.media
+      ? entry._id.toString() === String(image.media)
+      : entry.url === image.url));
+
+    if (image.media && !media) {
+      throw new AppError('Image not found in your media library', 404);
+    }
+    if (!media && !image.url) {
+      throw new AppError('Each image needs a media library id or a URL', 400);
+    }
+
+    return {
+      url: media ? media.url : image.url,
+      media: media ? media._id : undefined,
+      altText: image.altText || (media && media.altText) || undefined,
+      renditions: media ? renditionUrls(media) : undefined,
+      isPrimary: image.isPrimary === true || image.isPrimary === 'true'
+    };
+  });
+};
+
+/**
+ * Image URLs a product uses - soft-deleted products keep theirs, since
+ * orders placed for them still show the images
+ */
+const usedImageUrls = (product) => {
+  return [
+    ...product.images.map(image => image.url),
+    ...product.variants.flatMap(variant => variant.images)
+  ];
+};
+
+/**
+ * Record which library images a product uses after it was saved
+ * Call inside the product's transaction where there is one.
+ */
+const syncMediaUsage = async (product, session) => {
+  const urls = usedImageUrls(product);
+
+  await Media.updateMany(
+    { shopId: product.shopId, url: { $in: urls }, products: { $ne: product._id } },
+    { $addToSet: { products: product._id } },
+    { session }
+  );
+  await Media.updateMany(
+    { shopId: product.shopId, products: product._id, url: { $nin: urls } },
+    { $pull: { products: product._id }, $set: { releasedAt: new Date() } },
+    { session }
+  );
+};
+
+/**
+ * Delete an image and its renditions from storage and the media library
+ */
+const deleteMediaAsset = async (media) => {
+  for (const rendition of media.renditions || []) {
+    await deleteFile({ storage: media.storage, key: rendition.key });
+  }
+  await deleteFile({ storage: media.storage, key: media.publicId });
+  await media.deleteOne();
+};
+
+/**
+ * Whether past orders show the image (order items keep the product image URL)
+ */
+const isUsedByOrders = async (media) => Boolean(await Order.exists({ shopId: media.shopId, 'items.image': media.url }));
+
+/**
+ * Delete a library image nothing uses - images on products must be removed from them first
+ */
+const deleteUnusedMedia = async (media) => {
+  if (media.products.length > 0) {
+    throw new AppError(`Image is used by ${media.products.length} product(s) - remove it from them first`, 409);
+  }
+  if (await isUsedByOrders(media)) {
+    throw new AppError('Image is shown on past orders and cannot be deleted', 409);
+  }
+  await deleteMediaAsset(media);
+};
+
+/**
+ * Remove library images no product has used for `graceHours`
+ * The grace period covers images uploaded just before the product that uses
+ * them is saved. An image a product still shows (usage records drifted) is
+ * re-linked instead of deleted, and one past orders show is kept for good.
+ * @returns {Object} { deleted, relinked, kept, failed }
+ */
+const sweepOrphanedMedia = async ({ graceHours = 24, batchSize = 100 } = {}) => {
+  const cutoff = new Date(Date.now() - graceHours * 60 * 60 * 1000);
+  const stats = { deleted: 0, relinked: 0, kept: 0, failed: 0 };
+  const skipped = [];
+
+  for (;;) {
+    const orphans = await Media.find({
+      'products.0': { $exists: false },
+      releasedAt: { $lt: cutoff },
+      _id: { $nin: skipped }
+    }).limit(batchSize);
+
+    if (orphans.length === 0) break;
+
+    for (const media of orphans) {
+      const users = await Product.find({
+        shopId: media.shopId,
+        $or: [{ 'images.url': media.url }, { 'variants.images': media.url }]
+      }).select('_id');
+
+      if (users.length > 0) {
+        await Media.updateOne({ _id: media._id }, { $addToSet: { products: { $each: users.map(user => user._id) } } });
+        stats.relinked++;
+        continue;
+      }
+
+      // Order history still shows it - stop it coming up as an orphan again
+      if (await isUsedByOrders(media)) {
+        await Media.updateOne({ _id: media._id }, { $unset: { releasedAt: 1 } });
+        stats.kept++;
+        continue;
+      }
+
+      try {
+        await deleteMediaAsset(media);
+        stats.deleted++;
+      } catch (error) {
+        // Left for the next run
+        console.error(`Error deleting orphaned image ${media.publicId}:`, error.message);
+        skipped.push(media._id);
+        stats.failed++;
+      }
+    }
+  }
+
+  return stats;
+};
+
+module.exports = {
+  uploadMedia,
+  addMissingRenditions,
+  resolveProductImages,
+  syncMediaUsage,
+  deleteUnusedMedia,
+  sweepOrphanedMedia
+};
@@ -0,0 +1,184 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order.model');
+const User = require('../models/User.model');
+const Customer = require('../models/Customer.model');
+const { AppError } = require('../middlewares/error.middleware');
+const { releaseStock } = require('./stock.service');
+const { updateCustomerStats } = require('./customer.service');
+const { releaseCouponRedemption } = require('./coupon.service');
+const { sendOrderStatusEmail } = require('./email.service');
+const { sendOrderStatusWhatsApp } = require('./whatsapp.service');
+
+const STAFF = ['OWNER', 'STAFF'];
+const ANYONE = ['OWNER', 'STAFF', 'CUSTOMER'];
+
+// Collected by the shop itself (on delivery or at the counter), never by the gateway
+const OFFLINE_PAYMENT_METHODS = ['COD', 'CASH', 'UPI', 'CARD'];
+
+/**
+ * Order status transition table
+ *
+ * ORDER_TRANSITIONS[from][to] = {
+ *   roles:   roles allowed to make the move
+ *   effects: side effects run inside the status-change transaction
+ *   after:   side effects run once the change has committed
+ * }
+ * Anything not listed here is an invalid move.
+ */
+const ORDER_TRANSITIONS = {
+  PLACED: {
+    CONFIRMED: { roles: STAFF, effects: [], after: ['notify'] },
+    CANCELLED: { roles: ANYONE, effects: ['restoreStock', 'recordCancelReason', 'reverseCustomerStats', 'releaseCoupon'], after: ['notify'] }
+  },
+  CONFIRMED: {
+    PACKED: { roles: STAFF, effects: [], after: ['notify'] },
+    CANCELLED: { roles: ANYONE, effects: ['restoreStock', 'recordCancelReason', 'reverseCustomerStats', 'releaseCoupon'], after: ['notify'] }
+  },
+  PACKED: {
+    SHIPPED: { roles: STAFF, effects: [], after: ['notify'] },
+    CANCELLED: { roles: STAFF, effects: ['restoreStock', 'recordCancelReason', 'reverseCustomerStats', 'releaseCoupon'], after: ['notify'] }
+  },
+  SHIPPED: {
+    DELIVERED: { roles: STAFF, effects: ['markDelivered', 'completeOfflinePayment'], after: ['notify'] }
+  },
+  DELIVERED: {},
+  CANCELLED: {}
+};
+
+/**
+ * In-transaction side effects - (order, context, session)
+ */
+const EFFECTS = {
+  restoreStock: (order, { actor }, session) => releaseStock(order.shopId, order.items, session, {
+    reason: 'CANCEL',
+    reference: { kind: 'Order', id: order._id, number: order.orderNumber },
+    user: actor._id
+  }),
+
+  recordCancelReason: (order, { reason }) => {
+    order.cancelReason = reason;
+  },
+
+  // Cancelled orders no longer count towards the customer's totals
+  reverseCustomerStats: (order, context, session) => updateCustomerStats(
+    order.shopId,
+    order.customer,
+    { orders: -1, spent: -(order.totalAmount - (order.refundedAmount || 0)) },
+    session
+  ),
+
+  // The customer can use the coupon again
+  releaseCoupon: (order, context, session) => releaseCouponRedemption(order, session),
+
+  markDelivered: (order) => {
+    order.deliveredAt = new Date();
+  },
+
+  // Offline payments not recorded yet are taken as collected on delivery;
+  // online payments are settled by the gateway
+  completeOfflinePayment: (order) => {
+    if (OFFLINE_PAYMENT_METHODS.includes(order.paymentMethod) && order.paymentStatus === 'PENDING') {
+      order.paymentStatus = 'COMPLETED';
+      order.set('paymentDetails.paidAt', new Date());
+    }
+  }
+};
+
+/**
+ * Post-commit side effects - (order, context); failures are logged, never thrown
+ */
+const AFTER_EFFECTS = {
+  notify: async (order) => {
+    const recipient = await getOrderRecipient(order);
+    if (!recipient) return;
+
+    await Promise.all([
+      recipient.email && sendOrderStatusEmail(recipient, order, order.orderStatus),
+      sendOrderStatusWhatsApp(recipient, order, order.orderStatus)
+    ]);
+  }
+};
+
+/**
+ * Who hears about an order: the shop Customer on staff-created orders,
+ * otherwise the storefront user who placed it (both have name/email/phone)
+ */
+const getOrderRecipient = async (order) => {
+  if (order.customer) {
+    return Customer.findOne({ shopId: order.shopId, _id: order.customer });
+  }
+  return User.findById(order.user);
+};
+
+/**
+ * Get the transition rule for a move, or null if the move is not allowed
+ */
+const getTransition = (from, to) => (ORDER_TRANSITIONS[from] && ORDER_TRANSITIONS[from][to]) || null;
+
+/**
+ * Statuses a role may move an order to from its current status
+ */
+const getAllowedTransitions = (from, role) => {
+  return Object.entries(ORDER_TRANSITIONS[from] || {})
+    .filter(([, rule]) => rule.roles.includes(role))
+    .map(([to]) => to);
+};
+
+/**
+ * Move an order to a new status - the single path for every status change
+ * @param {Object} params
+ * @param {ObjectId} params.shopId - tenant scope
+ * @param {ObjectId} params.orderId
+ * @param {String} params.to - target status
+ * @param {Object} params.actor - req.user (needs _id and role)
+ * @param {String} params.note - optional note for status history
+ * @param {String} params.reason - cancellation reason
+ */
+const transitionOrderStatus = async ({ shopId, orderId, to, actor, note, reason }) => {
+  let order;
+  let transition;
+
+  // Re-read inside the transaction so two concurrent moves can't both pass validation
+  await mongoose.connection.transaction(async (session) => {
+    order = await Order.findOne({ shopId, _id: orderId }).session(session);
+
+    if (!order) {
+      throw new AppError('Order not found', 404);
+    }
+
+    const from = order.orderStatus;
+    transition = getTransition(from, to);
+
+    if (!transition) {
+      throw new AppError(`Order cannot move from ${from} to ${to}`, 409);
+    }
+
+    if (!transition.roles.includes(actor.role)) {
+      throw new AppError(`Role '${actor.role}' cannot move an order from ${from} to ${to}`, 403);
+    }
+
+    for (const effect of transition.effects) {
+      await EFFECTS[effect](order, { actor, note, reason }, session);
+    }
+
+    order.orderStatus = to;
+    order.$locals.statusNote = note || reason;
+    order.$locals.updatedBy = actor._id;
+    await order.save({ session });
+  });
+
+  for (const effect of transition.after) {
+    Promise.resolve(AFTER_EFFECTS[effect](order, { actor, note, reason }))
+      .catch(err => console.error(`Error running ${effect} after status change:`, err));
+  }
+
+  return order;
+};
+
+module.exports = {
+  ORDER_TRANSITIONS,
+  OFFLINE_PAYMENT_METHODS,
+  getOrderRecipient,
+  getAllowedTransitions,
+  transitionOrderStatus
+};
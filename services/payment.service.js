@@ -0,0 +1,53 @@
+const { AppError } = require('../middlewares/error.middleware');
+const razorpay = require('./payments/razorpay.provider');
+const mock = require('./payments/mock.provider');
+
+/**
+ * Payment provider registry
+ *
+ * Every provider implements:
+ *   createIntent({ amount, currency, receipt, notes })
+ *     -> { intentId, amount, currency, checkout }   (amount in rupees)
+ *   verifySignature({ intentId, paymentId, signature })
+ *     -> Boolean                                     (checkout callback)
+ *   handleWebhook({ rawBody, headers, body })
+ *     -> { eventId, intentId, paymentId, status, reason } | null
+ *        status is 'COMPLETED' or 'FAILED'; throws on a bad signature
+ */
+const providers = {
+  [razorpay.name]: razorpay,
+  [mock.name]: mock
+};
+
+/**
+ * The mock provider accepts self-signed payments - only when it is the
+ * configured provider, and never in production
+ */
+const isMockEnabled = () => process.env.PAYMENT_PROVIDER === 'mock' && process.env.NODE_ENV !== 'production';
+
+/**
+ * Get a payment provider by name (defaults to PAYMENT_PROVIDER)
+ * Names only come from the environment or stored payments / webhook routes -
+ * customers never choose the provider.
+ */
+const getPaymentProvider = (name = process.env.PAYMENT_PROVIDER) => {
+  if (!name) {
+    throw new AppError('Online payments are not configured', 503);
+  }
+
+  const provider = providers[name];
+
+  if (!provider) {
+    throw new AppError(`Unknown payment provider: ${name}`, 404);
+  }
+
+  if (provider === mock && !isMockEnabled()) {
+    throw new AppError('Mock payment provider is disabled', 400);
+  }
+
+  return provider;
+};
+
+module.exports = {
+  getPaymentProvider
+};
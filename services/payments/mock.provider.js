@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+const { AppError } = require('../../middlewares/error.middleware');
+
+/**
+ * Local payment provider for development and tests
+ * Behaves like a real gateway (intents, signed callbacks, signed webhooks)
+ * without any network calls. Use `sign` to build valid signatures.
+ * Needs MOCK_PAYMENT_SECRET - there is no built-in secret anyone could sign with.
+ */
+
+const getSecret = () => {
+  if (!process.env.MOCK_PAYMENT_SECRET) {
+    throw new AppError('MOCK_PAYMENT_SECRET is not configured', 500);
+  }
+  return process.env.MOCK_PAYMENT_SECRET;
+};
+
+const sign = (payload) => crypto.createHmac('sha256', getSecret()).update(payload).digest('hex');
+
+const createIntent = async ({ amount, currency = 'INR', receipt }) => {
+  const intentId = `mock_${crypto.randomBytes(8).toString('hex')}`;
+
+  return {
+    intentId,
+    amount,
+    currency,
+    checkout: {
+      intentId,
+      amount,
+      currency,
+      receipt
+    }
+  };
+};
+
+const verifySignature = ({ intentId, paymentId, signature }) => {
+  return Boolean(signature) && sign(`${intentId}|${paymentId}`) === signature;
+};
+
+/**
+ * Webhook body: { id, event: 'payment.completed' | 'payment.failed', intentId, paymentId, reason }
+ * Header: x-mock-signature = sign(rawBody)
+ */
+const handleWebhook = ({ rawBody, headers, body }) => {
+  if (!rawBody || sign(rawBody) !== headers['x-mock-signature']) {
+    throw new AppError('Invalid webhook signature', 400);
+  }
+
+  const statuses = {
+    'payment.completed': 'COMPLETED',
+    'payment.failed': 'FAILED'
+  };
+
+  if (!statuses[body.event]) {
+    return null;
+  }
+
+  return {
+    eventId: body.id,
+    intentId: body.intentId,
+    paymentId: body.paymentId,
+    status: statuses[body.event],
+    reason: body.reason
+  };
+};
+
+module.exports = {
+  name: 'mock',
+  createIntent,
+  verifySignature,
+  handleWebhook,
+  sign
+};
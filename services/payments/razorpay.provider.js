@@ -0,0 +1,108 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { AppError } = require('../../middlewares/error.middleware');
+
+const RAZORPAY_API_URL = 'https://api.razorpay.com/v1';
+
+/**
+ * Constant-time comparison of two hex signatures
+ */
+const safeCompare = (expected, received) => {
+  if (!received || expected.length !== received.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(received));
+};
+
+const hmac = (secret, payload) => crypto.createHmac('sha256', secret).update(payload).digest('hex');
+
+/**
+ * Create a Razorpay order (amounts are sent in paise)
+ */
+const createIntent = async ({ amount, currency = 'INR', receipt, notes }) => {
+  const keyId = process.env.RAZORPAY_KEY_ID;
+  const keySecret = process.env.RAZORPAY_KEY_SECRET;
+
+  if (!keyId || !keySecret) {
+    throw new AppError('Razorpay credentials not configured', 500);
+  }
+
+  try {
+    const response = await axios.post(
+      `${RAZORPAY_API_URL}/orders`,
+      {
+        amount: Math.round(amount * 100),
+        currency,
+        receipt,
+        notes
+      },
+      {
+        auth: { username: keyId, password: keySecret }
+      }
+    );
+
+    return {
+      intentId: response.data.id,
+      amount,
+      currency,
+      // Options for Razorpay Checkout on the storefront
+      checkout: {
+        key: keyId,
+        order_id: response.data.id,
+        amount: response.data.amount,
+        currency
+      }
+    };
+  } catch (error) {
+    console.error('Razorpay order creation failed:', error.response?.data || error.message);
+    throw new AppError('Could not start online payment. Please try again.', 502);
+  }
+};
+
+/**
+ * Verify the signature Razorpay Checkout returns to the browser
+ */
+const verifySignature = ({ intentId, paymentId, signature }) => {
+  const keySecret = process.env.RAZORPAY_KEY_SECRET;
+  if (!keySecret) return false;
+
+  return safeCompare(hmac(keySecret, `${intentId}|${paymentId}`), signature);
+};
+
+/**
+ * Verify and normalise a Razorpay webhook
+ * Returns null for events we don't act on
+ */
+const handleWebhook = ({ rawBody, headers, body }) => {
+  const webhookSecret = process.env.RAZORPAY_WEBHOOK_SECRET;
+
+  if (!webhookSecret || !rawBody || !safeCompare(hmac(webhookSecret, rawBody), headers['x-razorpay-signature'])) {
+    throw new AppError('Invalid webhook signature', 400);
+  }
+
+  const statuses = {
+    'payment.captured': 'COMPLETED',
+    'order.paid': 'COMPLETED',
+    'payment.failed': 'FAILED'
+  };
+
+  const status = statuses[body.event];
+  const payment = body.payload?.payment?.entity;
+
+  if (!status || !payment) {
+    return null;
+  }
+
+  return {
+    eventId: headers['x-razorpay-event-id'] || `${body.event}:${payment.id}`,
+    intentId: payment.order_id,
+    paymentId: payment.id,
+    status,
+    reason: payment.error_description
+  };
+};
+
+module.exports = {
+  name: 'razorpay',
+  createIntent,
+  verifySignature,
+  handleWebhook
+};
@@ -0,0 +1,99 @@
+const PriceList = require('../models/PriceList.model');
+const { AppError } = require('../middlewares/error.middleware');
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Active price list assigned to a buyer (CUSTOMER user or shop Customer)
+ * @param {ObjectId} shopId
+ * @param {Object} buyer - anything with a `priceList` reference
+ * @param {ClientSession} session
+ */
+const getBuyerPriceList = async (shopId, buyer, session) => {
+  if (!buyer || !buyer.priceList) return null;
+
+  return PriceList.findOne({ shopId, _id: buyer.priceList, isActive: true }).session(session || null);
+};
+
+/**
+ * Check a price list id sent for assignment belongs to the shop
+ * Returns the id to store (null clears the assignment)
+ */
+const resolvePriceListId = async (shopId, priceListId) => {
+  if (!priceListId) return null;
+
+  const exists = await PriceList.exists({ shopId, _id: priceListId });
+  if (!exists) {
+    throw new AppError('Price list not found', 400);
+  }
+  return priceListId;
+};
+
+/**
+ * Quantity-break tier for a quantity (highest minQuantity reached)
+ */
+const findPriceTier = (product, quantity) => {
+  return (product.priceTiers || [])
+    .filter(tier => quantity >= tier.minQuantity)
+    .sort((a, b) => b.minQuantity - a.minQuantity)[0] || null;
+};
+
+/**
+ * Price-list entry for a product / variant (variant entries win)
+ */
+const findPriceListItem = (priceList, product, variant) => {
+  const entries = priceList.items.filter(item => item.product.toString() === product._id.toString());
+
+  return (variant && entries.find(item => item.variant && item.variant.toString() === variant._id.toString())) ||
+    entries.find(item => !item.variant) ||
+    null;
+};
+
+/**
+ * Effective unit price of a line - the lowest of the product discount, the
+ * quantity tier and the buyer's price list (they never stack)
+ * @param {Object} product
+ * @param {Object} variant - product variant or null
+ * @param {Number} quantity - in sellable units
+ * @param {Object} priceList - buyer's price list or null
+ * @returns {Object} { price, discount, finalPrice, priceSource }
+ *   price is the list price; discount is the effective % off it
+ */
+const getEffectivePrice = (product, variant, quantity, priceList) => {
+  const { price, discount: productDiscount } = product.getPricing(variant);
+  const candidates = [{ finalPrice: price - (price * productDiscount / 100), priceSource: 'PRODUCT' }];
+
+  const tier = findPriceTier(product, quantity);
+  if (tier) {
+    candidates.push({ finalPrice: price - (price * tier.discount / 100), priceSource: 'TIER' });
+  }
+
+  if (priceList) {
+    const entry = findPriceListItem(priceList, product, variant);
+
+    if (entry && entry.price !== undefined && entry.price !== null) {
+      candidates.push({ finalPrice: entry.price, priceSource: 'PRICE_LIST' });
+    } else {
+      const listDiscount = entry ? entry.discount : priceList.discount;
+      if (listDiscount > 0) {
+        candidates.push({ finalPrice: price - (price * listDiscount / 100), priceSource: 'PRICE_LIST' });
+      }
+    }
+  }
+
+  const best = candidates.reduce((lowest, candidate) => (candidate.finalPrice < lowest.finalPrice ? candidate : lowest));
+  const finalPrice = round2(best.finalPrice);
+
+  return {
+    price,
+    discount: price > 0 ? round2((price - finalPrice) / price * 100) : 0,
+    finalPrice,
+    priceSource: best.priceSource
+  };
+};
+
+module.exports = {
+  resolvePriceListId,
+  getBuyerPriceList,
+  getEffectivePrice
+};
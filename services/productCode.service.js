@@ -0,0 +1,143 @@
+const Product = require('../models/Product.model');
+const Shop = require('../models/Shop.model');
+const { AppError } = require('../middlewares/error.middleware');
+const { generateSku } = require('./sequence.service');
+const { codeVariants } = require('../utils/barcode.util');
+
+// Fields a scanned code is matched against, product level first
+const CODE_FIELDS = ['sku', 'barcode', 'variants.sku', 'variants.barcode'];
+
+/**
+ * Every SKU and barcode a product (or an update to it) would answer to
+ * @param {Object} product - { sku, barcode, variants }
+ */
+const productCodes = (product) => [
+  product.sku,
+  product.barcode,
+  ...(product.variants || []).flatMap(variant => [variant.sku, variant.barcode])
+].filter(Boolean).map(code => String(code).toUpperCase());
+
+/**
+ * Reject codes another product in the shop already answers to
+ * The unique indexes cover each field on its own; this also catches one
+ * product's SKU being another's variant SKU or barcode, which would make
+ * a scan ambiguous.
+ * @param {ObjectId} shopId
+ * @param {Object} product - { _id, sku, barcode, variants } (_id unset for new products)
+ */
+const assertCodesAvailable = async (shopId, product, session) => {
+  const codes = productCodes(product);
+  if (codes.length === 0) return;
+
+  const query = {
+    shopId,
+    $or: CODE_FIELDS.map(field => ({ [field]: { $in: codes } }))
+  };
+  if (product._id) query._id = { $ne: product._id };
+
+  const conflict = await Product.findOne(query)
+    .select('name sku barcode variants.sku variants.barcode')
+    .session(session || null);
+
+  if (conflict) {
+    const taken = productCodes(conflict).find(code => codes.includes(code));
+    throw new AppError(`Code ${taken} is already used by ${conflict.name}`, 409);
+  }
+};
+
+// Numbers skipped in one go before giving up on the SKU sequence
+const MAX_SKU_ATTEMPTS = 100;
+
+/**
+ * Whether another product in the shop already answers to a code
+ * (countDocuments skips the soft-delete filter - deleted products keep their SKU in the unique index)
+ */
+const isCodeTaken = async (shopId, code, productId, session) => {
+  const query = {
+    shopId,
+    $or: CODE_FIELDS.map(field => ({ [field]: String(code).toUpperCase() }))
+  };
+  if (productId) query._id = { $ne: productId };
+
+  return (await Product.countDocuments(query).session(session || null)) > 0;
+};
+
+/**
+ * Fill in missing SKUs when the shop has auto-SKU switched on
+ * The product gets the next free number from the shop's SKU sequence -
+ * numbers someone already typed in by hand are skipped, so the counter moves
+ * past them instead of failing every create on the same number. Variants get
+ * the product SKU with the first unused numeric suffix.
+ * @param {Document} product - unsaved changes are fine, nothing is saved here
+ * @param {Object} options - { session, force } - force ignores the shop setting
+ * @returns {Boolean} whether any SKU was assigned
+ */
+const assignMissingSkus = async (product, { session, force = false } = {}) => {
+  const missingVariants = product.variants.filter(variant => !variant.sku);
+  if (product.sku && missingVariants.length === 0) return false;
+
+  if (!force) {
+    const shop = await Shop.findById(product.shopId).select('catalog').session(session || null);
+    if (!shop || !shop.catalog.autoSku) return false;
+  }
+
+  if (!product.sku) {
+    let sku = await generateSku(product.shopId, { session });
+    let attempts = 1;
+    while (await isCodeTaken(product.shopId, sku, product._id, session)) {
+      if (attempts === MAX_SKU_ATTEMPTS) {
+        throw new AppError('Could not find a free SKU - check the SKU numbering format', 409);
+      }
+      sku = await generateSku(product.shopId, { session });
+      attempts++;
+    }
+    product.sku = sku;
+  }
+
+  const used = new Set(product.variants.map(variant => variant.sku).filter(Boolean));
+  let suffix = 1;
+  for (const variant of missingVariants) {
+    while (used.has(`${product.sku}-${suffix}`) ||
+      await isCodeTaken(product.shopId, `${product.sku}-${suffix}`, product._id, session)) {
+      suffix++;
+    }
+    variant.sku = `${product.sku}-${suffix}`;
+    used.add(variant.sku);
+  }
+  return true;
+};
+
+/**
+ * Products (and variants) a scanned SKU or barcode belongs to
+ * UPC-A codes also match their EAN-13 form and vice versa.
+ * @returns {Array} [{ product, variant, matchedOn: 'sku' | 'barcode' }]
+ */
+const findByCode = async (shopId, code) => {
+  const candidates = codeVariants(code);
+
+  const products = await Product.find({
+    shopId,
+    $or: CODE_FIELDS.map(field => ({ [field]: { $in: candidates } }))
+  }).populate('category', 'name slug');
+
+  const matches = [];
+  for (const product of products) {
+    for (const field of ['sku', 'barcode']) {
+      if (candidates.includes(product[field])) {
+        matches.push({ product, variant: null, matchedOn: field });
+      }
+      for (const variant of product.variants) {
+        if (candidates.includes(variant[field])) {
+          matches.push({ product, variant, matchedOn: field });
+        }
+      }
+    }
+  }
+  return matches;
+};
+
+module.exports = {
+  assertCodesAvailable,
+  assignMissingSkus,
+  findByCode
+};
@@ -0,0 +1,387 @@
+const mongoose = require('mongoose');
+const path = require('path');
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+const Product = require('../models/Product.model');
+const { AppError } = require('../middlewares/error.middleware');
+const { adjustStock, recordSnapshotChanges } = require('./stock.service');
+const { findCategory } = require('./category.service');
+const { assertCodesAvailable, assignMissingSkus } = require('./productCode.service');
+const { resolveProductImages, syncMediaUsage } = require('./media.service');
+
+const MAX_IMPORT_ROWS = 2000;
+
+/**
+ * Spreadsheet columns, in export order - import reads them by header
+ * Blank cells leave an existing product's value unchanged.
+ */
+const PRODUCT_COLUMNS = [
+  { key: 'sku', header: 'sku', type: 'string' },
+  { key: 'barcode', header: 'barcode', type: 'string' },
+  { key: 'slug', header: 'slug', type: 'string' },
+  { key: 'name', header: 'name', type: 'string' },
+  { key: 'description', header: 'description', type: 'string' },
+  { key: 'category', header: 'category', type: 'category' },
+  { key: 'brand', header: 'brand', type: 'string' },
+  { key: 'price', header: 'price', type: 'number' },
+  { key: 'discount', header: 'discount', type: 'number' },
+  { key: 'stock', header: 'stock', type: 'integer' },
+  { key: 'unit', header: 'unit', type: 'string' },
+  { key: 'conversionFactor', header: 'conversionFactor', type: 'number' },
+  { key: 'minOrderQuantity', header: 'minOrderQuantity', type: 'integer' },
+  { key: 'weight', header: 'weight', type: 'number' },
+  { key: 'hsnCode', header: 'hsnCode', type: 'string' },
+  { key: 'gstRate', header: 'gstRate', type: 'number' },
+  { key: 'images', header: 'images', type: 'list' },
+  { key: 'isActive', header: 'isActive', type: 'boolean' }
+];
+
+// Several image URLs go in one cell separated by |
+const LIST_SEPARATOR = '|';
+
+/**
+ * Plain value of an exceljs cell (rich text, hyperlinks and formulas unwrapped)
+ */
+const cellText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.text !== undefined) return cellText(value.text);
+    if (value.result !== undefined) return cellText(value.result);
+    return '';
+  }
+  return String(value).trim();
+};
+
+/**
+ * Read the first sheet of an uploaded CSV / XLSX file into row objects
+ * @param {Object} file - multer file (memory storage)
+ * @returns {Array} [{ rowNumber, values: { header: text } }]
+ */
+const parseSpreadsheet = async (file) => {
+  const workbook = new ExcelJS.Workbook();
+  let worksheet;
+
+  try {
+    if (path.extname(file.originalname).toLowerCase() === '.csv') {
+      // Keep every cell as text - CSV parsing would turn HSN codes like 0401 into numbers
+      worksheet = await workbook.csv.read(Readable.from(file.buffer), { map: value => value });
+    } else {
+      await workbook.xlsx.load(file.buffer);
+      worksheet = workbook.worksheets[0];
+    }
+  } catch (error) {
+    throw new AppError('Could not read the file. Please upload a valid CSV or XLSX file', 400);
+  }
+
+  if (!worksheet || worksheet.rowCount < 2) {
+    throw new AppError('The file has no product rows', 400);
+  }
+
+  const headers = [];
+  worksheet.getRow(1).eachCell((cell, column) => {
+    headers[column] = cellText(cell.value).replace(/^\uFEFF/, '');
+  });
+
+  const known = PRODUCT_COLUMNS.map(column => column.header);
+  const unknown = headers.filter(header => header && !known.includes(header));
+  if (unknown.length > 0) {
+    throw new AppError(`Unknown columns: ${unknown.join(', ')}. Expected: ${known.join(', ')}`, 400);
+  }
+
+  const rows = [];
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+
+    const values = {};
+    row.eachCell((cell, column) => {
+      if (headers[column]) values[headers[column]] = cellText(cell.value);
+    });
+
+    if (Object.values(values).some(value => value !== '')) {
+      rows.push({ rowNumber, values });
+    }
+  });
+
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new AppError(`A file can have at most ${MAX_IMPORT_ROWS} product rows`, 400);
+  }
+
+  return rows;
+};
+
+/**
+ * Convert a row's text cells to product fields, collecting type errors
+ * @returns {Object} { fields, errors }
+ */
+const normalizeRow = ({ values }) => {
+  const fields = {};
+  const errors = [];
+
+  for (const column of PRODUCT_COLUMNS) {
+    const text = values[column.header];
+    if (text === undefined || text === '') continue;
+
+    switch (column.type) {
+      case 'number':
+      case 'integer': {
+        const number = Number(text);
+        if (Number.isNaN(number) || (column.type === 'integer' && !Number.isInteger(number))) {
+          errors.push({ field: column.key, message: `${column.header} must be a ${column.type === 'integer' ? 'whole number' : 'number'}` });
+        } else {
+          fields[column.key] = number;
+        }
+        break;
+      }
+      case 'boolean': {
+        const flag = text.toLowerCase();
+        if (['true', 'yes', '1'].includes(flag)) fields[column.key] = true;
+        else if (['false', 'no', '0'].includes(flag)) fields[column.key] = false;
+        else errors.push({ field: column.key, message: `${column.header} must be true or false` });
+        break;
+      }
+      case 'list': {
+        const urls = text.split(LIST_SEPARATOR).map(url => url.trim()).filter(Boolean);
+        const invalid = urls.filter(url => !/^https?:\/\/\S+$/i.test(url));
+        if (invalid.length > 0) {
+          errors.push({ field: column.key, message: `Invalid image URL: ${invalid.join(', ')}` });
+        } else {
+          fields[column.key] = urls;
+        }
+        break;
+      }
+      // Category slugs / names are resolved to ids in importProductRows
+      default:
+        fields[column.key] = text;
+    }
+  }
+
+  if (fields.unit) fields.unit = fields.unit.toUpperCase();
+  if (fields.sku) fields.sku = fields.sku.toUpperCase();
+  if (fields.slug) fields.slug = fields.slug.toLowerCase();
+
+  return { fields, errors };
+};
+
+/**
+ * Existing product a row updates - matched by SKU first, then slug
+ * (slugs only match - a new product always gets a generated one)
+ */
+const findExistingProduct = async (shopId, fields) => {
+  if (fields.sku) {
+    const bySku = await Product.findOne({ shopId, sku: fields.sku });
+    if (bySku) return bySku;
+  }
+  if (fields.slug) {
+    return Product.findOne({ shopId, slug: fields.slug });
+  }
+  return null;
+};
+
+/**
+ * Mongoose validation errors as row errors
+ */
+const validationErrors = (error) => Object.values(error.errors).map(err => ({
+  field: err.path,
+  message: err.message
+}));
+
+/**
+ * Create or update products from spreadsheet rows
+ * Each valid row is saved on its own (with its stock ledger entry); rows with
+ * errors are skipped and reported. A dry run validates everything and saves nothing.
+ * @param {ObjectId} shopId
+ * @param {Array} rows - from parseSpreadsheet
+ * @param {Object} options - { dryRun, user }
+ * @returns {Object} { summary, rows }
+ */
+const importProductRows = async (shopId, rows, { dryRun = false, user } = {}) => {
+  const results = [];
+  const seenSkus = new Map();
+  const seenSlugs = new Map();
+  const seenBarcodes = new Map();
+  const categoryIds = new Map();
+
+  for (const row of rows) {
+    const { fields, errors } = normalizeRow(row);
+
+    if (fields.category) {
+      if (!categoryIds.has(fields.category)) {
+        const category = await findCategory(shopId, fields.category);
+        categoryIds.set(fields.category, category ? category._id : null);
+      }
+
+      const categoryId = categoryIds.get(fields.category);
+      if (categoryId) {
+        fields.category = categoryId;
+      } else {
+        errors.push({ field: 'category', message: `Category "${fields.category}" not found` });
+      }
+    }
+
+    // The same product twice in one file would be applied twice
+    if (fields.sku && seenSkus.has(fields.sku)) {
+      errors.push({ field: 'sku', message: `Duplicate SKU - already used on row ${seenSkus.get(fields.sku)}` });
+    }
+    if (!fields.sku && fields.slug && seenSlugs.has(fields.slug)) {
+      errors.push({ field: 'slug', message: `Duplicate slug - already used on row ${seenSlugs.get(fields.slug)}` });
+    }
+    if (fields.barcode && seenBarcodes.has(fields.barcode)) {
+      errors.push({ field: 'barcode', message: `Duplicate barcode - already used on row ${seenBarcodes.get(fields.barcode)}` });
+    }
+    if (fields.sku && !seenSkus.has(fields.sku)) seenSkus.set(fields.sku, row.rowNumber);
+    if (fields.barcode && !seenBarcodes.has(fields.barcode)) seenBarcodes.set(fields.barcode, row.rowNumber);
+    if (fields.slug && !seenSlugs.has(fields.slug)) seenSlugs.set(fields.slug, row.rowNumber);
+
+    const existing = errors.length === 0 ? await findExistingProduct(shopId, fields) : null;
+    const { slug, ...updates } = fields;
+
+    // Slugs are generated, never imported - a row keyed only by a slug that
+    // matches nothing would otherwise create a new product on every re-import
+    if (errors.length === 0 && !existing && slug && !fields.sku) {
+      errors.push({ field: 'slug', message: `No product with slug "${slug}" - leave slug blank to create a new product` });
+    }
+
+    // An existing product's stock is set through the ledger (conditional on the
+    // stock read there), never saved from this possibly stale document
+    let stock;
+    if (existing && updates.stock !== undefined) {
+      if (existing.variants.length > 0) {
+        if (updates.stock !== existing.stock) {
+          errors.push({ field: 'stock', message: 'Stock of a product with variants is managed per variant' });
+        }
+      } else if (updates.stock < 0) {
+        errors.push({ field: 'stock', message: 'Stock cannot be negative' });
+      } else {
+        stock = updates.stock;
+      }
+      delete updates.stock;
+    }
+
+    if (errors.length > 0) {
+      results.push({ row: row.rowNumber, action: 'ERROR', sku: fields.sku, name: fields.name, errors });
+      continue;
+    }
+
+    // Image URLs keep the alt text / primary flag of images the product already has
+    if (updates.images) {
+      const current = existing ? existing.images : [];
+      updates.images = (await resolveProductImages(shopId, updates.images)).map(image => {
+        const kept = current.find(entry => entry.url === image.url);
+        return kept ? kept.toObject() : image;
+      });
+    }
+
+    const product = existing || new Product({ shopId, createdBy: user });
+    product.set(updates);
+    if (existing) product.updatedBy = user;
+
+    try {
+      await product.validate();
+    } catch (error) {
+      if (error.name !== 'ValidationError') throw error;
+      results.push({ row: row.rowNumber, action: 'ERROR', sku: fields.sku, name: fields.name, errors: validationErrors(error) });
+      continue;
+    }
+
+    try {
+      await assertCodesAvailable(shopId, product);
+    } catch (error) {
+      if (error.statusCode !== 409) throw error;
+      results.push({ row: row.rowNumber, action: 'ERROR', sku: fields.sku, name: fields.name, errors: [{ field: 'sku', message: error.message }] });
+      continue;
+    }
+
+    if (!dryRun) {
+      try {
+        // Product, its auto-assigned SKU and its stock ledger entry commit together
+        // (SKUs aren't assigned on a dry run so it doesn't use up numbers)
+        await mongoose.connection.transaction(async (session) => {
+          if (!existing) await assignMissingSkus(product, { session });
+          await product.save({ session });
+          if (existing) {
+            if (stock !== undefined) {
+              await adjustStock(shopId, { product: product._id, quantity: stock }, { reason: 'ADJUSTMENT', note: 'Product import', user }, session);
+            }
+          } else {
+            await recordSnapshotChanges(product, null, { reason: 'OPENING_BALANCE', note: 'Product import', user }, session);
+          }
+          await syncMediaUsage(product, session);
+        });
+      } catch (error) {
+        // A sale landing mid-import makes the stock adjustment fail - reported, not retried
+        if (error.statusCode === 409) {
+          results.push({ row: row.rowNumber, action: 'ERROR', sku: fields.sku, name: fields.name, errors: [{ field: 'stock', message: error.message }] });
+          continue;
+        }
+        if (error.code !== 11000) throw error;
+        results.push({ row: row.rowNumber, action: 'ERROR', sku: fields.sku, name: fields.name, errors: [{ field: 'sku', message: 'SKU or barcode is already used by another product' }] });
+        continue;
+      }
+    }
+
+    results.push({
+      row: row.rowNumber,
+      action: existing ? 'UPDATE' : 'CREATE',
+      product: dryRun && !existing ? undefined : product._id,
+      sku: product.sku,
+      name: product.name
+    });
+  }
+
+  const count = action => results.filter(result => result.action === action).length;
+
+  return {
+    summary: {
+      total: results.length,
+      created: count('CREATE'),
+      updated: count('UPDATE'),
+      failed: count('ERROR')
+    },
+    rows: results
+  };
+};
+
+/**
+ * Build a CSV / XLSX file of products in the import format
+ * @param {Array} products - with `category` populated
+ * @param {String} format - 'csv' or 'xlsx'
+ * @returns {Buffer}
+ */
+const buildProductExport = async (products, format) => {
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet('Products');
+
+  worksheet.columns = PRODUCT_COLUMNS.map(column => ({ header: column.header, key: column.key }));
+
+  for (const product of products) {
+    worksheet.addRow(PRODUCT_COLUMNS.reduce((row, column) => {
+      const value = product[column.key];
+      if (column.type === 'list') {
+        row[column.key] = (value || []).map(image => image.url).join(LIST_SEPARATOR);
+      } else if (column.type === 'category') {
+        // Populated category - exported by slug
+        row[column.key] = value && value.slug ? value.slug : '';
+      } else {
+        row[column.key] = value === undefined || value === null ? '' : value;
+      }
+      return row;
+    }, {}));
+  }
+
+  // Keep codes like 0401 as text in Excel
+  worksheet.getColumn('hsnCode').numFmt = '@';
+  worksheet.getColumn('barcode').numFmt = '@';
+
+  return format === 'xlsx'
+    ? Buffer.from(await workbook.xlsx.writeBuffer())
+    : Buffer.from(await workbook.csv.writeBuffer());
+};
+
+module.exports = {
+  PRODUCT_COLUMNS,
+  parseSpreadsheet,
+  importProductRows,
+  buildProductExport
+};
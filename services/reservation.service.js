@@ -0,0 +1,143 @@
+const Shop = require('../models/Shop.model');
+const StockReservation = require('../models/StockReservation.model');
+
+/**
+ * Key of a product line - `${productId}:${variantId || ''}`
+ */
+const lineKey = (product, variant) => `${product._id || product}:${variant ? variant._id || variant : ''}`;
+
+/**
+ * Shop's cart reservation settings, or null when holds are switched off
+ */
+const getReservationSettings = async (shopId) => {
+  const shop = await Shop.findById(shopId).select('cartReservations');
+  return shop && shop.cartReservations && shop.cartReservations.enabled ? shop.cartReservations : null;
+};
+
+/**
+ * Quantities held by active (unexpired) reservations per product line
+ * @param {ObjectId} shopId
+ * @param {Array} productIds
+ * @param {Object} options - { excludeUser } leaves out a customer's own holds
+ * @returns {Map} lineKey -> quantity
+ */
+const getHeldQuantities = async (shopId, productIds, { excludeUser, session } = {}) => {
+  const query = {
+    shopId,
+    product: { $in: productIds },
+    expiresAt: { $gt: new Date() }
+  };
+  if (excludeUser) query.user = { $ne: excludeUser };
+
+  const holds = await StockReservation.find(query).select('product variant quantity').session(session || null);
+
+  return holds.reduce((held, hold) => {
+    const key = lineKey(hold.product, hold.variant);
+    held.set(key, (held.get(key) || 0) + hold.quantity);
+    return held;
+  }, new Map());
+};
+
+/**
+ * Stock of a product line less active holds
+ * @param {Object} options - { excludeUser } leaves out a customer's own holds
+ */
+const getAvailableStock = async (shopId, product, variant, options) => {
+  const held = await getHeldQuantities(shopId, [product._id], options);
+  const stock = variant ? variant.stock : product.stock;
+  return Math.max(0, stock - (held.get(lineKey(product, variant)) || 0));
+};
+
+/**
+ * Stock lines for reserveStock / checkStock carrying the quantity other
+ * customers hold, so one customer's checkout can't take another's hold
+ */
+const withHeldQuantities = async (shopId, userId, items, session) => {
+  const held = await getHeldQuantities(shopId, items.map(item => item.product), { excludeUser: userId, session });
+
+  return items.map(item => ({
+    product: item.product,
+    variant: item.variant,
+    quantity: item.quantity,
+    held: held.get(lineKey(item.product, item.variant)) || 0
+  }));
+};
+
+/**
+ * Hold a cart line's full quantity for the shop's hold period (refreshes the expiry)
+ */
+const holdCartLine = async (shopId, userId, { product, variant, quantity }, settings) => {
+  return StockReservation.findOneAndUpdate(
+    { shopId, user: userId, product, variant: variant || null },
+    { quantity, expiresAt: new Date(Date.now() + settings.holdMinutes * 60 * 1000) },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+/**
+ * Drop a customer's holds - one line, or the whole cart when no line is given
+ */
+const releaseHolds = async (shopId, userId, line, session) => {
+  const query = { shopId, user: userId };
+  if (line) {
+    query.product = line.product;
+    query.variant = line.variant || null;
+  }
+
+  await StockReservation.deleteMany(query).session(session || null);
+};
+
+/**
+ * Product JSON with on-hand `stock` and `availableStock` (stock minus active
+ * holds) on the product and on each variant
+ * @param {Object|Array} products - product document(s)
+ */
+const withAvailableStock = async (products) => {
+  const list = Array.isArray(products) ? products : [products];
+  if (list.length === 0) return products;
+
+  const shopIds = [...new Set(list.map(product => product.shopId.toString()))];
+  const held = new Map();
+  for (const shopId of shopIds) {
+    const shopProducts = list.filter(product => product.shopId.toString() === shopId);
+    const shopHeld = await getHeldQuantities(shopId, shopProducts.map(product => product._id));
+    shopHeld.forEach((quantity, key) => held.set(key, quantity));
+  }
+
+  const result = list.map(product => {
+    const data = product.toJSON();
+
+    if (data.variants && data.variants.length > 0) {
+      data.variants = data.variants.map(variant => ({
+        ...variant,
+        availableStock: Math.max(0, variant.stock - (held.get(lineKey(product, variant)) || 0))
+      }));
+      data.availableStock = data.variants.reduce((sum, variant) => sum + variant.availableStock, 0);
+    } else {
+      data.availableStock = Math.max(0, data.stock - (held.get(lineKey(product)) || 0));
+    }
+
+    return data;
+  });
+
+  return Array.isArray(products) ? result : result[0];
+};
+
+/**
+ * Remove expired holds (they are already ignored by every stock check)
+ */
+const sweepExpiredReservations = async () => {
+  const result = await StockReservation.deleteMany({ expiresAt: { $lte: new Date() } });
+  return result.deletedCount;
+};
+
+module.exports = {
+  getReservationSettings,
+  getHeldQuantities,
+  getAvailableStock,
+  withHeldQuantities,
+  holdCartLine,
+  releaseHolds,
+  withAvailableStock,
+  sweepExpiredReservations
+};
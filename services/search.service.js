@@ -0,0 +1,398 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product.model');
+const Category = require('../models/Category.model');
+const { getCategoryFilterIds } = require('./category.service');
+
+// Most products a search query can match (results and facets are built from these) -
+// searches hitting it are reported as truncated
+const MAX_MATCHES = 1000;
+// Pre-filtered products compared word by word when falling back to typo-tolerant matching
+const FUZZY_CANDIDATE_LIMIT = 2000;
+// Lower bounds of the price facet buckets (INR); anything above the last is one bucket
+const PRICE_BUCKETS = [0, 250, 500, 1000, 2500, 5000, 10000];
+const MAX_FACET_VALUES = 20;
+
+const SORTS = {
+  newest: { createdAt: -1 },
+  price_asc: { finalPrice: 1, _id: 1 },
+  price_desc: { finalPrice: -1, _id: 1 },
+  name: { name: 1, _id: 1 }
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const tokenize = (text) => String(text || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+
+/**
+ * Regex matching a term at the start of any word
+ */
+const wordPrefix = (term) => new RegExp(`(^|[^a-z0-9])${escapeRegex(term)}`, 'i');
+
+/**
+ * Typos tolerated in a search term - none for short terms
+ */
+const allowedTypos = (term) => {
+  if (term.length <= 3) return 0;
+  return term.length <= 6 ? 1 : 2;
+};
+
+/**
+ * Edit distance counting a swap of neighbouring letters as one typo
+ * (optimal string alignment), giving up once it exceeds `max`
+ */
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let beforePrevious = [];
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/**
+ * Closest word to a term - a whole word, or the start of a longer word (for prefixes)
+ * @returns {Object|null} { word, distance }
+ */
+const closestWord = (term, words) => {
+  const max = allowedTypos(term);
+  let best = null;
+
+  for (const word of words) {
+    const distance = Math.min(
+      editDistance(term, word, max),
+      word.length > term.length ? editDistance(term, word.slice(0, term.length), max) : max + 1
+    );
+    if (distance <= max && (!best || distance < best.distance)) {
+      best = { word, distance };
+    }
+  }
+  return best;
+};
+
+/**
+ * Ids of up to `limit` results, and whether there were more
+ * (one extra document is fetched to find out)
+ */
+const limitedIds = async (query, limit) => {
+  const products = await query.limit(limit + 1).select('_id');
+  return {
+    ids: products.slice(0, limit).map(product => product._id),
+    truncated: products.length > limit
+  };
+};
+
+/**
+ * Full-text matches, best first (weights: name > brand > description)
+ * @returns {Object} { ids, truncated }
+ */
+const textMatch = (shopId, q) => limitedIds(
+  Product.find(
+    { shopId, isActive: true, $text: { $search: q } },
+    { score: { $meta: 'textScore' } }
+  ).sort({ score: { $meta: 'textScore' } }),
+  MAX_MATCHES
+);
+
+/**
+ * Products where every term starts a word of the name or brand ("wal" finds "Wallet")
+ * @returns {Object} { ids, truncated }
+ */
+const prefixMatch = (shopId, terms, limit = MAX_MATCHES) => limitedIds(
+  Product.find({
+    shopId,
+    isActive: true,
+    $and: terms.map(term => ({ $or: [{ name: wordPrefix(term) }, { brand: wordPrefix(term) }] }))
+  }).sort('name'),
+  limit
+);
+
+/**
+ * Word starts a typo-tolerant match of a term can have - the term itself for
+ * short terms (no typos allowed), otherwise its first two letters either way
+ * round. Typos in the first two letters beyond a swap aren't found.
+ */
+const fuzzyPrefixes = (term) => {
+  if (allowedTypos(term) === 0) return [term];
+  return [...new Set([term.slice(0, 2), term[1] + term[0]])];
+};
+
+/**
+ * Typo-tolerant matches on name and brand words, closest first
+ * Only products with a word starting like each term (see fuzzyPrefixes) are
+ * scored, so the whole catalog is covered rather than an arbitrary slice.
+ * @returns {Object} { ids, suggestion, truncated } - suggestion is the query with each term corrected
+ */
+const fuzzyMatch = async (shopId, terms, limit = MAX_MATCHES) => {
+  const found = await Product.find({
+    shopId,
+    isActive: true,
+    $and: terms.map(term => ({
+      $or: fuzzyPrefixes(term).flatMap(prefix => [{ name: wordPrefix(prefix) }, { brand: wordPrefix(prefix) }])
+    }))
+  })
+    .select('name brand')
+    .limit(FUZZY_CANDIDATE_LIMIT + 1)
+    .lean();
+
+  const candidates = found.slice(0, FUZZY_CANDIDATE_LIMIT);
+
+  const corrections = terms.map(() => null);
+  const matches = [];
+
+  for (const candidate of candidates) {
+    const words = tokenize(`${candidate.name} ${candidate.brand || ''}`);
+    const closest = terms.map(term => closestWord(term, words));
+    if (closest.some(match => !match)) continue;
+
+    matches.push({ _id: candidate._id, distance: closest.reduce((sum, match) => sum + match.distance, 0) });
+    closest.forEach((match, index) => {
+      if (!corrections[index] || match.distance < corrections[index].distance) {
+        corrections[index] = match;
+      }
+    });
+  }
+
+  matches.sort((a, b) => a.distance - b.distance);
+  const suggestion = matches.length > 0 ? corrections.map(match => match.word).join(' ') : null;
+
+  return {
+    ids: matches.slice(0, limit).map(match => match._id),
+    suggestion: suggestion !== terms.join(' ') ? suggestion : null,
+    truncated: found.length > FUZZY_CANDIDATE_LIMIT || matches.length > limit
+  };
+};
+
+/**
+ * Product ids matching a search query, best matches first
+ * Full-text search first, then word-prefix matching, then typo-tolerant matching.
+ * @returns {Object} { ids, matchType: TEXT | PREFIX | FUZZY | NONE, suggestion, truncated }
+ *   truncated when more products matched than MAX_MATCHES (or than fuzzy matching could score)
+ */
+const matchProducts = async (shopId, q) => {
+  const text = await textMatch(shopId, q);
+  if (text.ids.length > 0) return { ...text, matchType: 'TEXT', suggestion: null };
+
+  const terms = tokenize(q);
+  if (terms.length === 0) return { ids: [], matchType: 'NONE', suggestion: null, truncated: false };
+
+  const prefix = await prefixMatch(shopId, terms);
+  if (prefix.ids.length > 0) return { ...prefix, matchType: 'PREFIX', suggestion: null };
+
+  const fuzzy = await fuzzyMatch(shopId, terms);
+  return {
+    ids: fuzzy.ids,
+    matchType: fuzzy.ids.length > 0 ? 'FUZZY' : 'NONE',
+    suggestion: fuzzy.suggestion,
+    truncated: fuzzy.truncated
+  };
+};
+
+/**
+ * Category counts including products in subcategories
+ */
+const rollUpCategoryCounts = async (shopId, counts) => {
+  if (counts.length === 0) return [];
+
+  const direct = await Category.find({ shopId, _id: { $in: counts.map(entry => entry._id) } }).select('ancestors');
+  const totals = new Map();
+  for (const category of direct) {
+    const { count } = counts.find(entry => entry._id.equals(category._id));
+    for (const id of [category._id, ...category.ancestors]) {
+      totals.set(id.toString(), (totals.get(id.toString()) || 0) + count);
+    }
+  }
+
+  const categories = await Category.find({ shopId, _id: { $in: [...totals.keys()] }, isActive: true })
+    .select('name slug parent sortOrder');
+
+  return categories
+    .map(category => ({
+      _id: category._id,
+      name: category.name,
+      slug: category.slug,
+      parent: category.parent,
+      count: totals.get(category._id.toString())
+    }))
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+};
+
+/**
+ * Faceted catalog search (tenant-scoped, active products only)
+ * Each facet ignores its own filter, so picking a brand still shows the
+ * other brands' counts; specification facets ignore all specification filters.
+ * @param {ObjectId} shopId
+ * @param {Object} params - { q, category, brands, minPrice, maxPrice, inStock, specs, sort, page, limit }
+ *   specs is { name: [values] }; sort is relevance | newest | price_asc | price_desc | name
+ * @returns {Object} { products, total, facets, matchType, suggestion, truncated }
+ *   truncated means total and facets only cover the first MAX_MATCHES matches
+ */
+const searchProducts = async (shopId, params) => {
+  const { q, category, brands = [], minPrice, maxPrice, inStock, specs = {}, page = 1, limit = 12 } = params;
+  const shopObjectId = new mongoose.Types.ObjectId(String(shopId));
+
+  const match = q && q.trim() ? await matchProducts(shopObjectId, q.trim()) : null;
+
+  // One entry per filter so facets can leave out their own
+  const filters = {};
+  if (match) filters.search = { _id: { $in: match.ids } };
+  if (category) filters.category = { category: { $in: await getCategoryFilterIds(shopObjectId, category) } };
+  if (brands.length > 0) filters.brand = { brand: { $in: brands } };
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    filters.price = { finalPrice: {} };
+    if (minPrice !== undefined) filters.price.finalPrice.$gte = Number(minPrice);
+    if (maxPrice !== undefined) filters.price.finalPrice.$lte = Number(maxPrice);
+  }
+  if (inStock) filters.stock = { stock: { $gt: 0 } };
+  for (const [name, values] of Object.entries(specs)) {
+    filters[`spec:${name}`] = { [`specifications.${name}`]: { $in: values } };
+  }
+
+  const matchExcept = (skip) => {
+    const conditions = Object.entries(filters)
+      .filter(([key]) => !skip(key))
+      .map(([, condition]) => condition);
+    return { $match: conditions.length > 0 ? { $and: conditions } : {} };
+  };
+  const matchAll = matchExcept(() => false);
+
+  const sort = params.sort || (match ? 'relevance' : 'newest');
+  const sortStages = sort === 'relevance' && match
+    ? [{ $addFields: { rank: { $indexOfArray: [match.ids, '$_id'] } } }, { $sort: { rank: 1 } }]
+    : [{ $sort: SORTS[sort] || SORTS.newest }];
+
+  const [result] = await Product.aggregate([
+    // CRITICAL: Tenant scope (aggregate skips the soft-delete query hook)
+    { $match: { shopId: shopObjectId, isActive: true, isDeleted: false } },
+    {
+      $facet: {
+        results: [matchAll, ...sortStages, { $skip: (page - 1) * limit }, { $limit: Number(limit) }, { $project: { _id: 1 } }],
+        total: [matchAll, { $count: 'count' }],
+        categories: [matchExcept(key => key === 'category'), { $group: { _id: '$category', count: { $sum: 1 } } }],
+        brands: [
+          matchExcept(key => key === 'brand'),
+          { $match: { brand: { $nin: [null, ''] } } },
+          { $group: { _id: '$brand', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: MAX_FACET_VALUES }
+        ],
+        price: [
+          matchExcept(key => key === 'price'),
+          {
+            $bucket: {
+              groupBy: '$finalPrice',
+              boundaries: [...PRICE_BUCKETS, Number.MAX_SAFE_INTEGER],
+              default: 'OTHER',
+              output: { count: { $sum: 1 } }
+            }
+          }
+        ],
+        specifications: [
+          matchExcept(key => key.startsWith('spec:')),
+          { $project: { specs: { $objectToArray: { $ifNull: ['$specifications', {}] } } } },
+          { $unwind: '$specs' },
+          { $group: { _id: { name: '$specs.k', value: '$specs.v' }, count: { $sum: 1 } } },
+          { $sort: { count: -1, '_id.value': 1 } }
+        ]
+      }
+    }
+  ]);
+
+  // Hydrate the page in ranked order
+  const pageIds = result.results.map(entry => entry._id);
+  const documents = await Product.find({ shopId: shopObjectId, _id: { $in: pageIds } })
+    .populate('category', 'name slug');
+  const products = pageIds
+    .map(id => documents.find(product => product._id.equals(id)))
+    .filter(Boolean);
+
+  const specifications = [];
+  for (const { _id: { name, value }, count } of result.specifications) {
+    let facet = specifications.find(entry => entry.name === name);
+    if (!facet) {
+      facet = { name, values: [] };
+      specifications.push(facet);
+    }
+    if (facet.values.length < MAX_FACET_VALUES) facet.values.push({ value, count });
+  }
+
+  return {
+    products,
+    total: result.total.length > 0 ? result.total[0].count : 0,
+    matchType: match ? match.matchType : null,
+    suggestion: match ? match.suggestion : null,
+    truncated: match ? match.truncated : false,
+    facets: {
+      categories: await rollUpCategoryCounts(shopObjectId, result.categories),
+      brands: result.brands.map(entry => ({ value: entry._id, count: entry.count })),
+      price: result.price
+        .filter(entry => entry._id !== 'OTHER')
+        .map(entry => {
+          const index = PRICE_BUCKETS.indexOf(entry._id);
+          return { min: entry._id, max: PRICE_BUCKETS[index + 1] || null, count: entry.count };
+        }),
+      specifications
+    }
+  };
+};
+
+/**
+ * Suggestions for the storefront search box as the customer types
+ * @returns {Object} { products, categories, brands, suggestion }
+ */
+const autocomplete = async (shopId, q, limit = 8) => {
+  const terms = tokenize(q);
+  if (terms.length === 0) {
+    return { products: [], categories: [], brands: [], suggestion: null };
+  }
+
+  let { ids } = await prefixMatch(shopId, terms, limit);
+  let suggestion = null;
+  if (ids.length === 0) {
+    ({ ids, suggestion } = await fuzzyMatch(shopId, terms, limit));
+  }
+
+  const phrase = wordPrefix(terms.join(' '));
+  const [products, categories, brands] = await Promise.all([
+    Product.find({ shopId, _id: { $in: ids } }).select('name slug finalPrice images'),
+    Category.find({ shopId, isActive: true, name: phrase }).select('name slug').sort('sortOrder name').limit(5),
+    Product.distinct('brand', { shopId, isActive: true, isDeleted: false, brand: phrase })
+  ]);
+
+  return {
+    products: ids
+      .map(id => products.find(product => product._id.equals(id)))
+      .filter(Boolean)
+      .map(product => ({
+        _id: product._id,
+        name: product.name,
+        slug: product.slug,
+        finalPrice: product.finalPrice,
+        image: product.thumbnail || null
+      })),
+    categories,
+    brands: brands.sort().slice(0, 5),
+    suggestion
+  };
+};
+
+module.exports = {
+  searchProducts,
+  autocomplete
+};
@@ -0,0 +1,126 @@
+const Counter = require('../models/Counter.model');
+const Shop = require('../models/Shop.model');
+const { AppError } = require('../middlewares/error.middleware');
+
+// Counter bucket for each reset policy
+const PERIOD_PATTERNS = {
+  DAILY: 'YYYYMMDD',
+  MONTHLY: 'YYYYMM',
+  YEARLY: 'YYYY'
+};
+
+// Shops saved before they had a time zone
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+
+/**
+ * Render a date pattern made of YYYY / YY / MM / DD tokens, as the calendar
+ * date in timeZone (an order at 00:30 IST is dated that day, not the day before in UTC)
+ */
+const formatDate = (date, pattern, timeZone = DEFAULT_TIMEZONE) => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' })
+    .formatToParts(date)
+    .forEach(({ type, value }) => { parts[type] = value; });
+
+  const tokens = {
+    YYYY: parts.year,
+    YY: parts.year.slice(-2),
+    MM: parts.month,
+    DD: parts.day
+  };
+
+  return (pattern || '').replace(/YYYY|YY|MM|DD/g, token => tokens[token]);
+};
+
+/**
+ * Make sure a counter exists, outside any transaction
+ * Two first-of-period upserts racing inside transactions would fail one
+ * checkout on the unique index; creating the counter up front means the
+ * transactional increment always updates an existing document.
+ */
+const ensureCounter = async (shopId, key, period) => {
+  try {
+    await Counter.updateOne(
+      { shopId, key, period },
+      { $setOnInsert: { seq: 0 } },
+      { upsert: true }
+    );
+  } catch (error) {
+    // Someone else created it first - that's all we needed
+    if (error.code !== 11000) throw error;
+  }
+};
+
+/**
+ * Atomically increment and return the next value of a shop counter
+ * A single findOneAndUpdate means two concurrent callers can never read
+ * the same value. Inside a transaction the increment rolls back with the
+ * caller, which keeps sequences gap-free.
+ */
+const nextSequence = async (shopId, key, period, session) => {
+  const increment = () => Counter.findOneAndUpdate(
+    { shopId, key, period },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session }
+  );
+
+  if (session) {
+    await ensureCounter(shopId, key, period);
+  }
+
+  try {
+    const counter = await increment();
+    return counter.seq;
+  } catch (error) {
+    // Two first-of-period upserts raced on the unique index - the loser retries
+    if (error.code === 11000) {
+      const counter = await increment();
+      return counter.seq;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Generate the next document number for a shop using its numbering format
+ * @param {ObjectId} shopId
+ * @param {String} key - numbering key on Shop.numbering (see Shop.NUMBERED_DOCUMENTS)
+ * @param {Object} options - { session, date }
+ */
+const generateDocumentNumber = async (shopId, key, { session, date = new Date() } = {}) => {
+  const shop = await Shop.findById(shopId).select('numbering timezone').session(session || null);
+
+  if (!shop) {
+    throw new AppError('Shop not found', 404);
+  }
+
+  const format = shop.numbering && shop.numbering[key];
+  if (!format) {
+    throw new AppError(`No numbering format configured for ${key}`, 500);
+  }
+
+  const timeZone = shop.timezone || DEFAULT_TIMEZONE;
+  const period = format.reset === 'NEVER' ? 'ALL' : formatDate(date, PERIOD_PATTERNS[format.reset], timeZone);
+  const seq = await nextSequence(shopId, key, period, session);
+
+  return `${format.prefix || ''}${formatDate(date, format.datePattern, timeZone)}${seq.toString().padStart(format.padding, '0')}`;
+};
+
+const generateOrderNumber = (shopId, options) => generateDocumentNumber(shopId, 'order', options);
+
+const generateInvoiceNumber = (shopId, options) => generateDocumentNumber(shopId, 'invoice', options);
+
+const generateCreditNoteNumber = (shopId, options) => generateDocumentNumber(shopId, 'creditNote', options);
+
+const generateReturnNumber = (shopId, options) => generateDocumentNumber(shopId, 'returnRequest', options);
+
+const generateSku = (shopId, options) => generateDocumentNumber(shopId, 'sku', options);
+
+module.exports = {
+  generateDocumentNumber,
+  generateOrderNumber,
+  generateInvoiceNumber,
+  generateCreditNoteNumber,
+  generateReturnNumber,
+  generateSku
+};
@@ -0,0 +1,102 @@
+const DeliveryZone = require('../models/DeliveryZone.model');
+const { AppError } = require('../middlewares/error.middleware');
+
+/**
+ * Parse an uploaded pincode list into exact pincodes and ranges
+ * Accepts an array or a comma / whitespace separated string; entries are
+ * either a pincode ("400001") or a range ("400001-400099").
+ * @returns {Object} { pincodes, pincodeRanges, invalid }
+ */
+const parsePincodeList = (input) => {
+  const entries = (Array.isArray(input) ? input : String(input || '').split(/[\s,;]+/))
+    .map(entry => String(entry).trim())
+    .filter(Boolean);
+
+  const pincodes = new Set();
+  const pincodeRanges = [];
+  const invalid = [];
+
+  for (const entry of entries) {
+    const range = entry.match(/^([1-9][0-9]{5})\s*-\s*([1-9][0-9]{5})$/);
+    if (range) {
+      const from = Number(range[1]);
+      const to = Number(range[2]);
+      if (from <= to) {
+        pincodeRanges.push({ from, to });
+      } else {
+        invalid.push(entry);
+      }
+    } else if (/^[1-9][0-9]{5}$/.test(entry)) {
+      pincodes.add(entry);
+    } else {
+      invalid.push(entry);
+    }
+  }
+
+  return { pincodes: Array.from(pincodes), pincodeRanges, invalid };
+};
+
+/**
+ * Can a shop deliver to a pincode?
+ * @param {ObjectId} shopId
+ * @param {String} pincode
+ * @returns {Object} { serviceable, restricted, zone, codAvailable, estimatedDays }
+ *   restricted - false when the shop has no zones (delivers everywhere)
+ */
+const checkServiceability = async (shopId, pincode) => {
+  const code = String(pincode || '').trim();
+
+  const zone = /^[1-9][0-9]{5}$/.test(code)
+    ? await DeliveryZone.findOne({
+      shopId,
+      isActive: true,
+      $or: [
+        { pincodes: code },
+        { pincodeRanges: { $elemMatch: { from: { $lte: Number(code) }, to: { $gte: Number(code) } } } }
+      ]
+    })
+    : null;
+
+  if (zone) {
+    return {
+      serviceable: true,
+      restricted: true,
+      zone: zone.name,
+      codAvailable: zone.codAvailable,
+      estimatedDays: zone.estimatedDays
+    };
+  }
+
+  const restricted = Boolean(await DeliveryZone.exists({ shopId, isActive: true }));
+
+  return {
+    serviceable: !restricted,
+    restricted,
+    zone: null,
+    codAvailable: !restricted,
+    estimatedDays: null
+  };
+};
+
+/**
+ * Throw if an order can't be delivered to the address with the payment method
+ */
+const assertServiceable = async (shopId, shippingAddress, paymentMethod) => {
+  const result = await checkServiceability(shopId, shippingAddress.pincode);
+
+  if (!result.serviceable) {
+    throw new AppError(`Sorry, we do not deliver to pincode ${shippingAddress.pincode}`, 400);
+  }
+
+  if (paymentMethod === 'COD' && !result.codAvailable) {
+    throw new AppError(`Cash on delivery is not available for pincode ${shippingAddress.pincode}`, 400);
+  }
+
+  return result;
+};
+
+module.exports = {
+  parsePincodeList,
+  checkServiceability,
+  assertServiceable
+};
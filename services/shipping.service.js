@@ -0,0 +1,86 @@
+/**
+ * Shipping charges from the shop's shipping profile (Shop.shipping)
+ */
+
+const normalize = (value) => (value || '').toString().trim().toLowerCase();
+
+/**
+ * Find the zone for an address - the longest matching pincode prefix wins,
+ * then a state match
+ */
+const findZone = (zones, address) => {
+  const pincode = normalize(address.pincode);
+  const state = normalize(address.state);
+
+  let match = null;
+  let matchLength = 0;
+
+  for (const zone of zones) {
+    for (const prefix of zone.pincodePrefixes || []) {
+      const candidate = normalize(prefix);
+      if (candidate && pincode.startsWith(candidate) && candidate.length > matchLength) {
+        match = zone;
+        matchLength = candidate.length;
+      }
+    }
+  }
+
+  if (match) return match;
+
+  return zones.find(zone => (zone.states || []).some(zoneState => normalize(zoneState) === state)) || null;
+};
+
+/**
+ * Rate of the first slab the measure fits in; above the last slab its rate applies
+ */
+const findSlabRate = (slabs, measure) => {
+  const sorted = [...slabs].sort((a, b) => a.upTo - b.upTo);
+  const slab = sorted.find(candidate => measure <= candidate.upTo) || sorted[sorted.length - 1];
+  return slab.rate;
+};
+
+/**
+ * Calculate shipping for an order
+ * @param {Object} shop - needs the shipping profile
+ * @param {Object} params
+ * @param {Array} params.items - [{ quantity }]
+ * @param {Array} params.products - product for each item, same order (for weight)
+ * @param {Number} params.subtotal - items subtotal (free shipping threshold)
+ * @param {Object} params.address - shipping address (state, pincode)
+ * @returns {Object} { shippingCharges, rule, zone }
+ */
+const calculateShipping = (shop, { items, products, subtotal, address }) => {
+  const profile = (shop && shop.shipping) || {};
+  const flatRate = profile.flatRate !== undefined ? profile.flatRate : 50;
+
+  if (profile.freeAbove > 0 && subtotal > profile.freeAbove) {
+    return { shippingCharges: 0, rule: `Free shipping above Rs.${profile.freeAbove}` };
+  }
+
+  if (profile.method === 'ZONE' && profile.zones && profile.zones.length > 0) {
+    const zone = findZone(profile.zones, address || {});
+    if (zone) {
+      return { shippingCharges: zone.rate, rule: `Zone: ${zone.name}`, zone: zone.name };
+    }
+  }
+
+  if (profile.method === 'SLAB' && profile.slabs && profile.slabs.length > 0) {
+    const byWeight = profile.slabBasis === 'WEIGHT';
+    const total = items.reduce((sum, item, index) => {
+      const perUnit = byWeight ? ((products[index] && products[index].weight) || 0) : 1;
+      return sum + perUnit * item.quantity;
+    }, 0);
+    const measure = Math.round(total * 1000) / 1000;
+
+    return {
+      shippingCharges: findSlabRate(profile.slabs, measure),
+      rule: byWeight ? `Weight slab (${measure} kg)` : `Quantity slab (${measure})`
+    };
+  }
+
+  return { shippingCharges: flatRate, rule: 'Flat rate' };
+};
+
+module.exports = {
+  calculateShipping
+};
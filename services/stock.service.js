@@ -0,0 +1,357 @@
+const Product = require('../models/Product.model');
+const StockMovement = require('../models/StockMovement.model');
+const { AppError } = require('../middlewares/error.middleware');
+
+// Reasons staff can record by hand; the rest come from orders and returns
+const MANUAL_REASONS = ['ADJUSTMENT', 'STOCK_TAKE', 'PURCHASE'];
+
+/**
+ * Filter matching a product (or its variant) that can supply `quantity`
+ * Lines for products with variants must name a variant - the product's own
+ * stock is only the sum of its variants. `held` is stock other customers
+ * have on hold in their carts (services/reservation.service.js).
+ */
+const availableStockFilter = (shopId, item) => {
+  const needed = item.quantity + (item.held || 0);
+
+  if (item.variant) {
+    return {
+      shopId,
+      _id: item.product,
+      isActive: true,
+      variants: { $elemMatch: { _id: item.variant, isActive: true, stock: { $gte: needed } } }
+    };
+  }
+
+  return {
+    shopId,
+    _id: item.product,
+    isActive: true,
+    'variants.0': { $exists: false },
+    stock: { $gte: needed }
+  };
+};
+
+/**
+ * Stock change for a line - variant lines move the variant and the product total together
+ */
+const stockIncrement = (item, quantity) => (item.variant
+  ? { 'variants.$.stock': quantity, stock: quantity }
+  : { stock: quantity });
+
+/**
+ * Stock of a line after an update (the variant's own stock for variant lines)
+ */
+const lineBalance = (product, variantId) => {
+  if (!variantId) return product.stock;
+  const variant = product.variants.id(variantId);
+  return variant ? variant.stock : 0;
+};
+
+/**
+ * Append movements to the ledger
+ * @param {Array} entries - { shopId, product, variant, delta, balance }
+ * @param {Object} context - { reason, reference, note, user } shared by the entries
+ * @param {ClientSession} session
+ */
+const recordMovements = async (entries, context, session) => {
+  const movements = entries
+    .filter(entry => entry.delta !== 0)
+    .map(entry => ({
+      ...entry,
+      reason: context.reason,
+      reference: context.reference,
+      note: context.note,
+      user: context.user
+    }));
+
+  if (movements.length === 0) return [];
+
+  return StockMovement.create(movements, { session, ordered: true });
+};
+
+/**
+ * Stock per ledger line of a product - '' for a product without variants,
+ * otherwise one entry per variant id
+ */
+const stockSnapshot = (product) => {
+  if (!product || product.variants.length === 0) {
+    return { '': product ? product.stock || 0 : 0 };
+  }
+
+  return product.variants.reduce((snapshot, variant) => {
+    snapshot[variant._id.toString()] = variant.stock || 0;
+    return snapshot;
+  }, {});
+};
+
+/**
+ * Record the difference between two snapshots of a product as movements
+ * (product edits, variant changes, new products - before is null for a new product)
+ */
+const recordSnapshotChanges = async (product, before, context, session) => {
+  const after = stockSnapshot(product);
+  const keys = [...new Set([...Object.keys(before || {}), ...Object.keys(after)])];
+
+  const entries = keys.map(key => ({
+    shopId: product.shopId,
+    product: product._id,
+    variant: key || undefined,
+    delta: (after[key] || 0) - ((before || {})[key] || 0),
+    balance: after[key] || 0
+  }));
+
+  return recordMovements(entries, context, session);
+};
+
+/**
+ * Explain why a conditional stock decrement matched nothing
+ */
+const describeStockFailure = async (shopId, item, session) => {
+  const product = await Product.findOne({ shopId, _id: item.product }).session(session);
+
+  if (!product) {
+    return {
+      product: item.product,
+      variant: item.variant,
+      requested: item.quantity,
+      reason: 'NOT_FOUND',
+      message: 'Product not found'
+    };
+  }
+
+  if (!product.isActive) {
+    return {
+      product: product._id,
+      variant: item.variant,
+      name: product.name,
+      requested: item.quantity,
+      reason: 'INACTIVE',
+      message: `${product.name} is not available`
+    };
+  }
+
+  if (!item.variant && product.variants.length > 0) {
+    return {
+      product: product._id,
+      name: product.name,
+      requested: item.quantity,
+      reason: 'VARIANT_REQUIRED',
+      message: `Please choose a ${product.options.map(option => option.name).join(' / ')} for ${product.name}`
+    };
+  }
+
+  if (item.variant) {
+    const variant = product.variants.id(item.variant);
+
+    if (!variant || !variant.isActive) {
+      return {
+        product: product._id,
+        variant: item.variant,
+        name: product.name,
+        requested: item.quantity,
+        reason: variant ? 'INACTIVE' : 'NOT_FOUND',
+        message: `${product.name}${variant ? ` (${product.getVariantLabel(variant)})` : ''} is not available`
+      };
+    }
+
+    const label = `${product.name} (${product.getVariantLabel(variant)})`;
+    const available = Math.max(0, variant.stock - (item.held || 0));
+    return {
+      product: product._id,
+      variant: variant._id,
+      name: label,
+      requested: item.quantity,
+      available,
+      reason: 'INSUFFICIENT_STOCK',
+      message: `Insufficient stock for ${label}. Available: ${available}`
+    };
+  }
+
+  const available = Math.max(0, product.stock - (item.held || 0));
+  return {
+    product: product._id,
+    name: product.name,
+    requested: item.quantity,
+    available,
+    reason: 'INSUFFICIENT_STOCK',
+    message: `Insufficient stock for ${product.name}. Available: ${available}`
+  };
+};
+
+/**
+ * Atomically deduct stock for a list of { product, variant, quantity, held } lines
+ * Each decrement only matches while `stock >= quantity`, so concurrent
+ * checkouts can never oversell. Must run inside a transaction: the caller
+ * aborts when `failed` is non-empty so earlier decrements roll back.
+ * @param {Object} context - ledger context { reason, reference, note, user }
+ */
+const reserveStock = async (shopId, items, session, context) => {
+  const products = [];
+  const failed = [];
+  const movements = [];
+
+  for (const item of items) {
+    const product = await Product.findOneAndUpdate(
+      availableStockFilter(shopId, item),
+      { $inc: stockIncrement(item, -item.quantity) },
+      { new: true, session }
+    );
+
+    if (product) {
+      products.push(product);
+      movements.push({
+        shopId,
+        product: product._id,
+        variant: item.variant,
+        delta: -item.quantity,
+        balance: lineBalance(product, item.variant)
+      });
+    } else {
+      failed.push(await describeStockFailure(shopId, item, session));
+    }
+  }
+
+  if (failed.length === 0) {
+    await recordMovements(movements, context, session);
+  }
+
+  return { products, failed };
+};
+
+/**
+ * Same checks as reserveStock without deducting anything (quotes, previews)
+ * @returns {Object} { products, failed, available } - available[i] says whether
+ *   items[i] passed; products holds the product of each passing line, in order
+ */
+const checkStock = async (shopId, items) => {
+  const products = [];
+  const failed = [];
+  const available = [];
+
+  for (const item of items) {
+    const product = await Product.findOne(availableStockFilter(shopId, item));
+
+    if (product) {
+      products.push(product);
+    } else {
+      failed.push(await describeStockFailure(shopId, item));
+    }
+    available.push(Boolean(product));
+  }
+
+  return { products, failed, available };
+};
+
+/**
+ * Put stock back for a list of { product, variant, quantity } lines
+ * (stock for a variant that has since been deleted is not restored)
+ * @param {Object} context - ledger context { reason, reference, note, user }
+ */
+const releaseStock = async (shopId, items, session, context) => {
+  const movements = [];
+
+  for (const item of items) {
+    const product = await Product.findOneAndUpdate(
+      item.variant
+        ? { shopId, _id: item.product, 'variants._id': item.variant }
+        : { shopId, _id: item.product },
+      { $inc: stockIncrement(item, item.quantity) },
+      { new: true, session }
+    );
+
+    if (product) {
+      movements.push({
+        shopId,
+        product: product._id,
+        variant: item.variant,
+        delta: item.quantity,
+        balance: lineBalance(product, item.variant)
+      });
+    }
+  }
+
+  await recordMovements(movements, context, session);
+};
+
+/**
+ * Manual stock change for a product or variant - by `delta` (purchases,
+ * write-offs) or to a counted `quantity` (stock-takes)
+ * The update only matches while stock is still what was read, so a sale
+ * landing mid-adjustment makes it fail instead of being overwritten.
+ * @param {ObjectId} shopId
+ * @param {Object} change - { product, variant, delta } or { product, variant, quantity }
+ * @param {Object} context - ledger context { reason, note, user }
+ * @param {ClientSession} session
+ * @returns {Object} { product, movement }
+ */
+const adjustStock = async (shopId, change, context, session) => {
+  if (!MANUAL_REASONS.includes(context.reason)) {
+    throw new AppError(`Reason must be one of ${MANUAL_REASONS.join(', ')}`, 400);
+  }
+
+  const product = await Product.findOne({ shopId, _id: change.product }).session(session || null);
+
+  if (!product) {
+    throw new AppError('Product not found', 404);
+  }
+
+  let current;
+  if (change.variant) {
+    const variant = product.variants.id(change.variant);
+    if (!variant) {
+      throw new AppError('Variant not found', 404);
+    }
+    current = variant.stock;
+  } else {
+    if (product.variants.length > 0) {
+      throw new AppError('Stock of a product with variants is adjusted per variant', 400);
+    }
+    current = product.stock;
+  }
+
+  const delta = change.quantity !== undefined ? Number(change.quantity) - current : Number(change.delta);
+
+  if (!Number.isInteger(delta)) {
+    throw new AppError('Stock change must be a whole number', 400);
+  }
+  if (current + delta < 0) {
+    throw new AppError(`Stock cannot go below zero. Current stock: ${current}`, 400);
+  }
+  if (delta === 0) {
+    return { product, movement: null };
+  }
+
+  const line = { product: product._id, variant: change.variant };
+  const updated = await Product.findOneAndUpdate(
+    change.variant
+      ? { shopId, _id: product._id, variants: { $elemMatch: { _id: change.variant, stock: current } } }
+      : { shopId, _id: product._id, stock: current },
+    { $inc: stockIncrement(line, delta) },
+    { new: true, session }
+  );
+
+  if (!updated) {
+    throw new AppError('Stock changed while adjusting, please try again', 409);
+  }
+
+  const [movement] = await recordMovements([{
+    shopId,
+    product: updated._id,
+    variant: change.variant,
+    delta,
+    balance: lineBalance(updated, change.variant)
+  }], context, session);
+
+  return { product: updated, movement };
+};
+
+module.exports = {
+  MANUAL_REASONS,
+  reserveStock,
+  checkStock,
+  releaseStock,
+  adjustStock,
+  stockSnapshot,
+  recordSnapshotChanges
+};
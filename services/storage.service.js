@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const path = require('path');
+const { AppError } = require('../middlewares/error.middleware');
+const cloudinary = require('./storage/cloudinary.driver');
+const local = require('./storage/local.driver');
+const s3 = require('./storage/s3.driver');
+
+/**
+ * File storage driver registry
+ *
+ * Files are addressed by key: <public|private>/<folder>/<shopId>/<filename>.
+ * public/ files have a permanent URL; private/ files (invoices, return photos)
+ * are only reachable through expiring signed URLs.
+ *
+ * Every driver implements:
+ *   put({ key, buffer, contentType })  -> { url, width, height, bytes }   (url for public keys)
+ *   url(key, { expiresIn })            -> String   (signed when the key is private)
+ *   read(key)                          -> Buffer | null when missing
+ *   remove(key)                        -> Boolean  (false when it was already gone)
+ */
+const drivers = {
+  [cloudinary.name]: cloudinary,
+  [local.name]: local,
+  [s3.name]: s3
+};
+
+// Long enough for a link sent by email / WhatsApp
+const NOTIFICATION_LINK_SECONDS = 7 * 24 * 60 * 60;
+
+/**
+ * Get a storage driver by name - defaults to STORAGE_DRIVER, then Cloudinary
+ * when it is configured, otherwise local disk
+ */
+const getStorage = (name = process.env.STORAGE_DRIVER || (process.env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local')) => {
+  const driver = drivers[name];
+
+  if (!driver) {
+    throw new AppError(`Unknown storage driver: ${name}`, 500);
+  }
+
+  return driver;
+};
+
+/**
+ * Store a file with the current driver
+ * @param {Object} file - { shopId, buffer, folder, filename, extension, originalName, contentType, access }
+ *   filename defaults to a random name with `extension` (or originalName's); access is 'public' or 'private'
+ * @returns {Object} { storage, key, url, width, height, bytes } - url only for public files
+ */
+const saveFile = async ({ shopId, buffer, folder, filename, extension, originalName, contentType, access = 'public' }) => {
+  const driver = getStorage();
+  const suffix = extension ? `.${extension}` : path.extname(originalName || '').toLowerCase();
+  const name = filename || `${crypto.randomBytes(16).toString('hex')}${suffix}`;
+  const key = `${access}/${folder}/${shopId}/${name}`;
+
+  const stored = await driver.put({ key, buffer, contentType });
+
+  return {
+    ...stored,
+    storage: driver.name,
+    key,
+    url: access === 'public' ? stored.url || driver.url(key) : undefined
+  };
+};
+
+/**
+ * URL of a stored file - signed and expiring for private files
+ * @param {Object} file - { storage, key }
+ */
+const getFileUrl = ({ storage, key }, { expiresIn = 3600 } = {}) => getStorage(storage).url(key, { expiresIn });
+
+/**
+ * Contents of a stored file, or null when it no longer exists
+ */
+const readFile = ({ storage, key }) => getStorage(storage).read(key);
+
+const deleteFile = ({ storage, key }) => getStorage(storage).remove(key);
+
+module.exports = {
+  NOTIFICATION_LINK_SECONDS,
+  getStorage,
+  saveFile,
+  getFileUrl,
+  readFile,
+  deleteFile
+};
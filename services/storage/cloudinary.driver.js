@@ -0,0 +1,91 @@
+const path = require('path');
+const axios = require('axios');
+const cloudinary = require('cloudinary').v2;
+
+cloudinary.config({
+  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+  api_key: process.env.CLOUDINARY_API_KEY,
+  api_secret: process.env.CLOUDINARY_API_SECRET
+});
+
+/**
+ * Cloudinary storage
+ * A key maps to public ID skstore/<key without extension>; private/ keys are
+ * uploaded as private assets and only reachable through expiring download URLs.
+ * Keys starting with skstore/ are public IDs of images uploaded before the
+ * storage drivers existed.
+ */
+const toAsset = (key) => {
+  if (key.startsWith('skstore/')) {
+    return { publicId: key, format: '', type: 'upload' };
+  }
+
+  const extension = path.extname(key);
+  return {
+    publicId: `skstore/${extension ? key.slice(0, -extension.length) : key}`,
+    format: extension.slice(1),
+    type: key.startsWith('private/') ? 'private' : 'upload'
+  };
+};
+
+const put = ({ key, buffer }) => {
+  const { publicId, type } = toAsset(key);
+
+  return new Promise((resolve, reject) => {
+    const uploadStream = cloudinary.uploader.upload_stream(
+      { public_id: publicId, type, resource_type: 'image' },
+      (error, result) => {
+        if (error) {
+          reject(new Error(`Cloudinary upload failed: ${error.message || JSON.stringify(error)}`));
+        } else {
+          resolve({
+            url: type === 'upload' ? result.secure_url : undefined,
+            width: result.width,
+            height: result.height,
+            bytes: result.bytes
+          });
+        }
+      }
+    );
+
+    uploadStream.end(buffer);
+  });
+};
+
+const url = (key, { expiresIn = 3600 } = {}) => {
+  const { publicId, format, type } = toAsset(key);
+
+  if (type === 'private') {
+    return cloudinary.utils.private_download_url(publicId, format, {
+      type,
+      expires_at: Math.floor(Date.now() / 1000) + expiresIn
+    });
+  }
+  return cloudinary.url(publicId, { secure: true, format: format || undefined });
+};
+
+const read = async (key) => {
+  const response = await axios.get(url(key), {
+    responseType: 'arraybuffer',
+    validateStatus: status => status === 200 || status === 404
+  });
+  return response.status === 200 ? Buffer.from(response.data) : null;
+};
+
+const remove = async (key) => {
+  const { publicId, type } = toAsset(key);
+  const result = await cloudinary.uploader.destroy(publicId, { type });
+
+  if (result.result !== 'ok' && result.result !== 'not found') {
+    throw new Error(`Cloudinary could not delete ${publicId}: ${result.result}`);
+  }
+  return result.result === 'ok';
+};
+
+module.exports = {
+  name: 'cloudinary',
+  put,
+  url,
+  read,
+  remove
+};
@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Local disk storage for development and tests
+ * Files live under STORAGE_LOCAL_DIR (default ./storage) and are served by
+ * routes/file.routes.js at /files/<key>. private/ keys need a signed URL.
+ */
+
+const getRoot = () => path.resolve(process.env.STORAGE_LOCAL_DIR || path.join(__dirname, '../../storage'));
+
+const getSecret = () => process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET;
+
+const sign = (key, expires) => crypto.createHmac('sha256', getSecret()).update(`${key}|${expires}`).digest('hex');
+
+/**
+ * Canonical form of a key - null for absolute keys or keys with . / .. segments,
+ * so public/../private/x can't pass as a public file
+ */
+const normalizeKey = (key) => {
+  if (typeof key !== 'string' || key === '' || /^[/\\]/.test(key)) return null;
+
+  const segments = key.split(/[/\\]/);
+  if (segments.some(segment => segment === '..' || segment === '.')) return null;
+
+  return path.posix.normalize(segments.filter(Boolean).join('/'));
+};
+
+const isPrivateKey = (key) => key.startsWith('private/');
+
+/**
+ * Absolute path of a key - null when it is invalid or would escape the storage folder
+ */
+const resolvePath = (key) => {
+  const normalized = normalizeKey(key);
+  if (!normalized) return null;
+
+  const root = getRoot();
+  const filepath = path.resolve(root, normalized);
+  return filepath.startsWith(root + path.sep) ? filepath : null;
+};
+
+const put = async ({ key, buffer }) => {
+  const filepath = resolvePath(key);
+  if (!filepath) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+
+  await fs.promises.mkdir(path.dirname(filepath), { recursive: true });
+  await fs.promises.writeFile(filepath, buffer);
+
+  return { bytes: buffer.length };
+};
+
+const url = (rawKey, { expiresIn = 3600 } = {}) => {
+  const key = normalizeKey(rawKey);
+  if (!key) {
+    throw new Error(`Invalid storage key: ${rawKey}`);
+  }
+
+  const base = `${process.env.STORAGE_PUBLIC_URL || ''}/files/${key}`;
+  if (!isPrivateKey(key)) return base;
+
+  const expires = Math.floor(Date.now() / 1000) + expiresIn;
+  return `${base}?expires=${expires}&signature=${sign(key, expires)}`;
+};
+
+/**
+ * Check a signed /files URL (expires is in unix seconds)
+ */
+const verifySignedUrl = (key, expires, signature) => {
+  if (!signature || !expires || Number(expires) < Date.now() / 1000) return false;
+
+  const expected = sign(key, expires);
+  return expected.length === signature.length &&
+    crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+};
+
+const read = async (key) => {
+  const filepath = resolvePath(key);
+  try {
+    return filepath ? await fs.promises.readFile(filepath) : null;
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+};
+
+const remove = async (key) => {
+  const filepath = resolvePath(key);
+  try {
+    if (filepath) await fs.promises.unlink(filepath);
+    return Boolean(filepath);
+  } catch (error) {
+    if (error.code === 'ENOENT') return false;
+    throw error;
+  }
+};
+
+module.exports = {
+  name: 'local',
+  put,
+  url,
+  read,
+  remove,
+  normalizeKey,
+  isPrivateKey,
+  resolvePath,
+  verifySignedUrl
+};
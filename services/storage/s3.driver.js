@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const axios = require('axios');
+
+/**
+ * S3-compatible storage (AWS S3, MinIO, Cloudflare R2, ...)
+ * Requests are signed with AWS Signature V4 and use path-style URLs
+ * (<endpoint>/<bucket>/<key>), which every S3-compatible store accepts.
+ * public/ keys are served from S3_PUBLIC_URL (or the bucket URL) - give that
+ * prefix public read in the bucket policy; private/ keys get presigned URLs.
+ */
+
+const getConfig = () => {
+  const { S3_ENDPOINT, S3_BUCKET, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY } = process.env;
+
+  if (!S3_ENDPOINT || !S3_BUCKET || !S3_ACCESS_KEY_ID || !S3_SECRET_ACCESS_KEY) {
+    throw new Error('S3 storage is not configured (S3_ENDPOINT, S3_BUCKET, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY)');
+  }
+
+  return {
+    endpoint: new URL(S3_ENDPOINT),
+    bucket: S3_BUCKET,
+    region: process.env.S3_REGION || 'us-east-1',
+    accessKeyId: S3_ACCESS_KEY_ID,
+    secretAccessKey: S3_SECRET_ACCESS_KEY
+  };
+};
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// RFC 3986 encoding as S3 expects it (encodeURIComponent leaves !'()* alone)
+const encode = (value) => encodeURIComponent(value)
+  .replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const objectPath = (config, key) => `/${config.bucket}/${key.split('/').map(encode).join('/')}`;
+
+/**
+ * Signature V4 for a request - returns the credential scope parts and signature
+ */
+const signRequest = (config, { method, canonicalPath, query, headers, payloadHash, amzDate }) => {
+  const date = amzDate.slice(0, 8);
+  const scope = `${date}/${config.region}/s3/aws4_request`;
+
+  const headerNames = Object.keys(headers).map(name => name.toLowerCase()).sort();
+  const lowerHeaders = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  const canonicalHeaders = headerNames.map(name => `${name}:${String(lowerHeaders[name]).trim()}\n`).join('');
+  const signedHeaders = headerNames.join(';');
+
+  const canonicalQuery = Object.keys(query)
+    .sort()
+    .map(name => `${encode(name)}=${encode(query[name])}`)
+    .join('&');
+
+  const canonicalRequest = [method, canonicalPath, canonicalQuery, canonicalHeaders, signedHeaders, payloadHash].join('\n');
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+  const signingKey = [date, config.region, 's3', 'aws4_request']
+    .reduce((key, part) => hmac(key, part), `AWS4${config.secretAccessKey}`);
+
+  return {
+    scope,
+    signedHeaders,
+    canonicalQuery,
+    signature: crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex')
+  };
+};
+
+const amzDateNow = () => new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Send a signed request for an object
+ */
+const request = async (method, key, { body, contentType, validateStatus } = {}) => {
+  const config = getConfig();
+  const canonicalPath = objectPath(config, key);
+  const payloadHash = sha256(body || '');
+  const amzDate = amzDateNow();
+
+  const headers = {
+    host: config.endpoint.host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate
+  };
+  if (contentType) headers['content-type'] = contentType;
+
+  const { scope, signedHeaders, signature } = signRequest(config, {
+    method, canonicalPath, query: {}, headers, payloadHash, amzDate
+  });
+
+  return axios({
+    method,
+    url: `${config.endpoint.origin}${canonicalPath}`,
+    data: body,
+    headers: {
+      ...headers,
+      Authorization: `AWS4-HMAC-SHA256 Credential=${config.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+    },
+    responseType: 'arraybuffer',
+    maxBodyLength: Infinity,
+    validateStatus
+  });
+};
+
+const put = async ({ key, buffer, contentType }) => {
+  await request('PUT', key, { body: buffer, contentType: contentType || 'application/octet-stream' });
+  return { bytes: buffer.length };
+};
+
+const url = (key, { expiresIn = 3600 } = {}) => {
+  const config = getConfig();
+  const canonicalPath = objectPath(config, key);
+
+  if (!key.startsWith('private/')) {
+    const base = process.env.S3_PUBLIC_URL || `${config.endpoint.origin}/${config.bucket}`;
+    return `${base}/${key.split('/').map(encode).join('/')}`;
+  }
+
+  // Presigned GET (S3 allows at most 7 days)
+  const amzDate = amzDateNow();
+  const query = {
+    'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+    'X-Amz-Credential': `${config.accessKeyId}/${amzDate.slice(0, 8)}/${config.region}/s3/aws4_request`,
+    'X-Amz-Date': amzDate,
+    'X-Amz-Expires': String(Math.min(expiresIn, 7 * 24 * 60 * 60)),
+    'X-Amz-SignedHeaders': 'host'
+  };
+
+  const { canonicalQuery, signature } = signRequest(config, {
+    method: 'GET',
+    canonicalPath,
+    query,
+    headers: { host: config.endpoint.host },
+    payloadHash: 'UNSIGNED-PAYLOAD',
+    amzDate
+  });
+
+  return `${config.endpoint.origin}${canonicalPath}?${canonicalQuery}&X-Amz-Signature=${signature}`;
+};
+
+const read = async (key) => {
+  const response = await request('GET', key, {
+    validateStatus: status => status === 200 || status === 404
+  });
+  return response.status === 200 ? Buffer.from(response.data) : null;
+};
+
+const remove = async (key) => {
+  // S3 answers 204 whether or not the object existed
+  await request('DELETE', key);
+  return true;
+};
+
+module.exports = {
+  name: 's3',
+  put,
+  url,
+  read,
+  remove
+};
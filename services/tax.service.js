@@ -0,0 +1,174 @@
+/**
+ * GST calculation
+ *
+ * Intra-state supply (shop state == place of supply) is taxed as CGST + SGST,
+ * split equally; inter-state supply is taxed as IGST. Shipping charges are
+ * not taxed.
+ */
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const normalizeState = (state) => (state || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Whether GST is charged at all - unregistered shops cannot collect GST
+ */
+const isGstRegistered = (shop) => Boolean(shop && shop.gst && shop.gst.registered && shop.gst.number);
+
+/**
+ * Inter-state when the shop and the place of supply are in different states
+ * (a shop without a state on file is treated as intra-state)
+ */
+const isInterState = (shopState, placeOfSupply) => {
+  const from = normalizeState(shopState);
+  const to = normalizeState(placeOfSupply);
+  return Boolean(from && to && from !== to);
+};
+
+/**
+ * GST rate and HSN code for a product, falling back to the shop defaults
+ */
+const getProductTaxClass = (product, shop) => {
+  const defaults = (shop && shop.tax) || {};
+  const gstRate = product.gstRate !== undefined && product.gstRate !== null
+    ? product.gstRate
+    : (defaults.defaultGstRate || 0);
+
+  return {
+    gstRate,
+    hsnCode: product.hsnCode || defaults.defaultHsnCode || undefined
+  };
+};
+
+/**
+ * Split a line amount into taxable value and GST components
+ * @param {Number} amount - line amount as priced (finalPrice x quantity)
+ * @param {Number} gstRate - percent
+ * @param {Object} options - { pricesIncludeTax, interState }
+ */
+const calculateLineTax = (amount, gstRate, { pricesIncludeTax, interState }) => {
+  const taxableValue = pricesIncludeTax
+    ? round2(amount * 100 / (100 + gstRate))
+    : round2(amount);
+  const taxAmount = pricesIncludeTax
+    ? round2(amount - taxableValue)
+    : round2(taxableValue * gstRate / 100);
+
+  if (interState) {
+    return { taxableValue, taxAmount, cgst: 0, sgst: 0, igst: taxAmount };
+  }
+
+  // Halves are rounded on CGST; SGST takes the remainder so they always add up
+  const cgst = round2(taxAmount / 2);
+  return { taxableValue, taxAmount, cgst, sgst: round2(taxAmount - cgst), igst: 0 };
+};
+
+/**
+ * Calculate GST for order lines
+ * @param {Object} shop - needs address.state, gst and tax settings
+ * @param {Array} lines - [{ amount, gstRate, hsnCode }]
+ * @param {String} placeOfSupply - shipping address state
+ * @returns {Object} { lines, summary, tax, total }
+ *   lines   - per-line tax fields, in input order
+ *   summary - order level breakup (stored as Order.taxBreakup)
+ *   tax     - total GST
+ *   total   - amount payable for the lines (GST added when prices exclude it)
+ */
+const calculateOrderTax = (shop, lines, placeOfSupply) => {
+  const registered = isGstRegistered(shop);
+  const pricesIncludeTax = Boolean(shop.tax && shop.tax.pricesIncludeTax);
+  const interState = isInterState(shop.address && shop.address.state, placeOfSupply);
+
+  const taxedLines = lines.map(line => {
+    // Unregistered shops: the whole amount is the value of supply, no GST
+    const rate = registered ? line.gstRate : 0;
+    return {
+      hsnCode: line.hsnCode,
+      gstRate: rate,
+      ...calculateLineTax(line.amount, rate, { pricesIncludeTax, interState })
+    };
+  });
+
+  const sum = (field) => round2(taxedLines.reduce((total, line) => total + line[field], 0));
+
+  const summary = {
+    gstin: registered ? shop.gst.number : undefined,
+    placeOfSupply,
+    interState,
+    pricesIncludeTax,
+    taxableAmount: sum('taxableValue'),
+    cgst: sum('cgst'),
+    sgst: sum('sgst'),
+    igst: sum('igst')
+  };
+
+  const tax = sum('taxAmount');
+  const amount = round2(lines.reduce((total, line) => total + line.amount, 0));
+
+  return {
+    lines: taxedLines,
+    summary,
+    tax,
+    total: pricesIncludeTax ? amount : round2(amount + tax)
+  };
+};
+
+/**
+ * Add GST fields to order items priced from the given products
+ * @param {Object} shop
+ * @param {Array} items - order items (subtotal = finalPrice x quantity, taxed less promotion and coupon discounts)
+ * @param {Array} products - product for each item, same order
+ * @param {String} placeOfSupply - shipping address state
+ * @returns {Object} { items, taxBreakup, tax, itemsTotal }
+ */
+const applyOrderTax = (shop, items, products, placeOfSupply) => {
+  const { lines, summary, tax, total } = calculateOrderTax(
+    shop,
+    items.map((item, index) => ({ amount: item.subtotal - (item.promotionDiscount || 0) - (item.couponDiscount || 0), ...getProductTaxClass(products[index], shop) })),
+    placeOfSupply
+  );
+
+  return {
+    items: items.map((item, index) => ({ ...item, ...lines[index] })),
+    taxBreakup: summary,
+    tax,
+    itemsTotal: total
+  };
+};
+
+/**
+ * Group invoice lines by HSN code and rate for the HSN summary table
+ */
+const buildHsnSummary = (items) => {
+  const groups = new Map();
+
+  for (const item of items) {
+    const key = `${item.hsnCode || ''}|${item.gstRate || 0}`;
+    const group = groups.get(key) || {
+      hsnCode: item.hsnCode || '-',
+      gstRate: item.gstRate || 0,
+      taxableValue: 0,
+      cgst: 0,
+      sgst: 0,
+      igst: 0
+    };
+
+    group.taxableValue = round2(group.taxableValue + (item.taxableValue || 0));
+    group.cgst = round2(group.cgst + (item.cgst || 0));
+    group.sgst = round2(group.sgst + (item.sgst || 0));
+    group.igst = round2(group.igst + (item.igst || 0));
+    groups.set(key, group);
+  }
+
+  return Array.from(groups.values());
+};
+
+module.exports = {
+  isGstRegistered,
+  isInterState,
+  getProductTaxClass,
+  calculateLineTax,
+  calculateOrderTax,
+  applyOrderTax,
+  buildHsnSummary
+};
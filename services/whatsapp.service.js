@@ -1,4 +1,5 @@
 const axios = require('axios');
+const { formatQuantity } = require('../utils/units.util');
 
 const WHATSAPP_API_URL = 'https://graph.facebook.com/v18.0';
 
@@ -48,7 +49,11 @@ const sendWhatsAppMessage = async (to, message) => {
  * Send order placed WhatsApp notification
  */
 const sendOrderPlacedWhatsApp = async (user, order) => {
-  const message = `🎉 Hi ${user.name}!\n\nYour order has been placed successfully!\n\n📦 Order Number: ${order.orderNumber}\n💰 Total Amount: ₹${order.totalAmount}\n📅 Date: ${new Date(order.createdAt).toLocaleDateString()}\n\nWe'll notify you when your order ships.\n\nThank you for shopping with SKStore! 🛒`;
+  const itemLines = order.items
+    .map(item => `• ${item.name}${item.variantName ? ` (${item.variantName})` : ''} x ${formatQuantity(item.quantity, item.unit)}`)
+    .join('\n');
+
+  const message = `🎉 Hi ${user.name}!\n\nYour order has been placed successfully!\n\n📦 Order Number: ${order.orderNumber}\n${itemLines}\n💰 Total Amount: ₹${order.totalAmount}\n📅 Date: ${new Date(order.createdAt).toLocaleDateString()}\n\nWe'll notify you when your order ships.\n\nThank you for shopping with SKStore! 🛒`;
 
   try {
     await sendWhatsAppMessage(user.phone, message);
@@ -92,6 +97,47 @@ const sendInvoiceWhatsApp = async (user, order, invoiceUrl) => {
   }
 };
 
+/**
+ * Send return request status WhatsApp notification
+ */
+const sendReturnStatusWhatsApp = async (user, returnRequest, order) => {
+  const statusMessages = {
+    REQUESTED: '📝 We have received your return request.',
+    APPROVED: '✅ Your return request has been approved!',
+    REJECTED: '❌ Your return request has been declined.',
+    RECEIVED: '📦 We have received your returned items.'
+  };
+
+  const status = returnRequest.status;
+  const reasonLine = status === 'REJECTED' && returnRequest.rejectionReason
+    ? `\nReason: ${returnRequest.rejectionReason}\n`
+    : '';
+
+  const message = `Hi ${user.name},\n\n${statusMessages[status]}\n\n🔁 Return Number: ${returnRequest.returnNumber}\n📦 Order Number: ${order.orderNumber}\n${reasonLine}\nTrack your return: ${process.env.FRONTEND_URL}/orders/${order._id}\n\nThank you for shopping with SKStore! 🛒`;
+
+  try {
+    await sendWhatsAppMessage(user.phone, message);
+  } catch (error) {
+    console.error('Failed to send WhatsApp notification:', error);
+  }
+};
+
+/**
+ * Send abandoned cart reminder WhatsApp message
+ * Unlike the order notifications this throws on failure (and returns null when
+ * WhatsApp isn't configured) so the reminder records the channels it went out on.
+ */
+const sendAbandonedCartWhatsApp = async (user, cart, cartUrl) => {
+  const itemLines = cart.items
+    .filter(item => item.product)
+    .map(item => `• ${item.product.name} x ${item.quantity}`)
+    .join('\n');
+
+  const message = `Hi ${user.name},\n\n🛒 You left some items in your cart:\n\n${itemLines}\n💰 Cart Total: ₹${cart.finalAmount}\n\nPick up where you left off: ${cartUrl}\n\nThank you for shopping with SKStore! 🛒`;
+
+  return sendWhatsAppMessage(user.phone, message);
+};
+
 /**
  * Send admin notification
  */
@@ -124,6 +170,8 @@ module.exports = {
   sendOrderPlacedWhatsApp,
   sendOrderStatusWhatsApp,
   sendInvoiceWhatsApp,
+  sendReturnStatusWhatsApp,
+  sendAbandonedCartWhatsApp,
   sendAdminWhatsApp,
   notifyAdminNewOrder
 };
@@ -0,0 +1,64 @@
+const ONES = [
+  '', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine',
+  'Ten', 'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen',
+  'Seventeen', 'Eighteen', 'Nineteen'
+];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+/**
+ * Words for 0-99
+ */
+const twoDigits = (n) => {
+  if (n < 20) return ONES[n];
+  return `${TENS[Math.floor(n / 10)]}${n % 10 ? ' ' + ONES[n % 10] : ''}`;
+};
+
+/**
+ * Words for 0-999
+ */
+const threeDigits = (n) => {
+  const hundreds = Math.floor(n / 100);
+  const rest = n % 100;
+  return [hundreds ? `${ONES[hundreds]} Hundred` : '', rest ? twoDigits(rest) : '']
+    .filter(Boolean)
+    .join(' ');
+};
+
+/**
+ * Whole number in words using the Indian system (thousand, lakh, crore)
+ */
+const numberToWords = (n) => {
+  if (n === 0) return 'Zero';
+
+  const crore = Math.floor(n / 10000000);
+  const lakh = Math.floor((n % 10000000) / 100000);
+  const thousand = Math.floor((n % 100000) / 1000);
+  const rest = n % 1000;
+
+  return [
+    crore ? `${numberToWords(crore)} Crore` : '',
+    lakh ? `${twoDigits(lakh)} Lakh` : '',
+    thousand ? `${twoDigits(thousand)} Thousand` : '',
+    rest ? threeDigits(rest) : ''
+  ].filter(Boolean).join(' ');
+};
+
+/**
+ * Rupee amount in words for invoices
+ * e.g. 1234.5 -> "Rupees One Thousand Two Hundred Thirty Four and Fifty Paise Only"
+ */
+const amountInWords = (amount) => {
+  const paiseTotal = Math.round(Math.abs(Number(amount) || 0) * 100);
+  const rupees = Math.floor(paiseTotal / 100);
+  const paise = paiseTotal % 100;
+
+  let words = `Rupees ${numberToWords(rupees)}`;
+  if (paise) {
+    words += ` and ${twoDigits(paise)} Paise`;
+  }
+  return `${words} Only`;
+};
+
+module.exports = {
+  amountInWords
+};
@@ -0,0 +1,117 @@
+/**
+ * Retail barcodes (GTIN) and the bar patterns printed on labels
+ * Patterns are strings of modules - '1' is a bar, '0' is a space.
+ */
+
+// GTIN lengths we accept: EAN-8, UPC-A, EAN-13
+const GTIN_LENGTHS = [8, 12, 13];
+
+// EAN-13 left-hand (odd parity) digit patterns - right-hand patterns are their complement
+const EAN_L = ['0001101', '0011001', '0010011', '0111101', '0100011', '0110001', '0101111', '0111011', '0110111', '0001011'];
+
+// Odd (L) / even (G) parity of the left half, chosen by the first digit
+const EAN_PARITY = ['LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL'];
+
+// Code 128 symbol widths (bar, space, bar, ...) indexed by symbol value
+const CODE128_WIDTHS = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+];
+const CODE128_START_B = 104;
+const CODE128_STOP = 106;
+
+/**
+ * GTIN check digit for the digits before it
+ */
+const gtinCheckDigit = (digits) => {
+  const sum = digits
+    .split('')
+    .reverse()
+    .reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10;
+};
+
+/**
+ * EAN-8 / UPC-A / EAN-13 with a correct check digit
+ */
+const isValidGtin = (code) => {
+  const value = String(code || '');
+  if (!/^[0-9]+$/.test(value) || !GTIN_LENGTHS.includes(value.length)) return false;
+  return gtinCheckDigit(value.slice(0, -1)) === Number(value.slice(-1));
+};
+
+/**
+ * Ways a scanned code may be stored - a UPC-A is also an EAN-13 with a leading 0
+ */
+const codeVariants = (code) => {
+  const value = String(code || '').trim().toUpperCase();
+  if (/^[0-9]{12}$/.test(value)) return [value, `0${value}`];
+  if (/^0[0-9]{12}$/.test(value)) return [value, value.slice(1)];
+  return [value];
+};
+
+/**
+ * EAN-13 bar pattern (95 modules) - UPC-A codes are encoded as EAN-13
+ */
+const encodeEan13 = (code) => {
+  const digits = code.length === 12 ? `0${code}` : code;
+  const parity = EAN_PARITY[Number(digits[0])];
+  const complement = pattern => pattern.replace(/[01]/g, bit => (bit === '1' ? '0' : '1'));
+
+  let bits = '101';
+  for (let i = 1; i <= 6; i++) {
+    const left = EAN_L[Number(digits[i])];
+    bits += parity[i - 1] === 'L' ? left : complement(left).split('').reverse().join('');
+  }
+  bits += '01010';
+  for (let i = 7; i <= 12; i++) {
+    bits += complement(EAN_L[Number(digits[i])]);
+  }
+  return bits + '101';
+};
+
+/**
+ * Code 128 (set B) bar pattern - printable ASCII only
+ */
+const encodeCode128 = (text) => {
+  const values = text.split('').map(char => char.charCodeAt(0) - 32);
+  if (values.some(value => value < 0 || value > 95)) {
+    throw new Error('Code 128 labels support printable ASCII characters only');
+  }
+
+  const checksum = values.reduce((sum, value, index) => sum + value * (index + 1), CODE128_START_B) % 103;
+  const symbols = [CODE128_START_B, ...values, checksum, CODE128_STOP];
+
+  return symbols
+    .map(symbol => CODE128_WIDTHS[symbol]
+      .split('')
+      .map((width, index) => (index % 2 === 0 ? '1' : '0').repeat(Number(width)))
+      .join(''))
+    .join('');
+};
+
+/**
+ * Bar pattern for a label - EAN-13 for retail barcodes, Code 128 for anything else (SKUs, EAN-8)
+ * @returns {Object} { symbology, bits }
+ */
+const barcodePattern = (code) => {
+  if (isValidGtin(code) && code.length !== 8) {
+    return { symbology: 'EAN13', bits: encodeEan13(code) };
+  }
+  return { symbology: 'CODE128', bits: encodeCode128(code) };
+};
+
+module.exports = {
+  isValidGtin,
+  codeVariants,
+  barcodePattern
+};
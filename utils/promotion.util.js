@@ -0,0 +1,126 @@
+/**
+ * Automatic promotion rules (models/Promotion.model.js) applied to cart / order lines
+ *
+ * Promotions don't stack: a line gets the best flash sale or buy-X-get-Y offer
+ * for it, and bundles are then made up from lines without a promotion.
+ * Discounts come off the line's price after product / tier / price list pricing.
+ */
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const productOf = (line) => (line.product && line.product._id) || line.product;
+
+const sameId = (a, b) => Boolean(a) && Boolean(b) && a.toString() === b.toString();
+
+const appliesToProduct = (promotion, line) => promotion.products.some(id => sameId(id, productOf(line)));
+
+const describe = (promotion, explanation) => ({
+  promotion: promotion._id,
+  name: promotion.name,
+  type: promotion.type,
+  explanation
+});
+
+/**
+ * FLASH_SALE - discount % off every unit
+ */
+const flashSaleOffer = (promotion, line) => {
+  const discount = round2(line.finalPrice * line.quantity * promotion.discount / 100);
+  if (discount <= 0) return null;
+
+  return {
+    discount,
+    promotion: describe(promotion, `${promotion.name}: ${promotion.discount}% off`)
+  };
+};
+
+/**
+ * BUY_X_GET_Y - freeQuantity of every buyQuantity + freeQuantity units are free
+ */
+const buyXGetYOffer = (promotion, line) => {
+  const sets = Math.floor(line.quantity / (promotion.buyQuantity + promotion.freeQuantity));
+  const freeUnits = sets * promotion.freeQuantity;
+  if (freeUnits === 0) return null;
+
+  return {
+    discount: round2(line.finalPrice * freeUnits),
+    promotion: describe(
+      promotion,
+      `${promotion.name}: buy ${promotion.buyQuantity} get ${promotion.freeQuantity} free - ${freeUnits} free`
+    )
+  };
+};
+
+const LINE_OFFERS = {
+  FLASH_SALE: flashSaleOffer,
+  BUY_X_GET_Y: buyXGetYOffer
+};
+
+/**
+ * BUNDLE - as many combos as the lines cover, each at bundlePrice
+ * The saving is spread over the bundle's lines in proportion to their value.
+ */
+const applyBundle = (promotion, lines) => {
+  const components = promotion.bundleItems.map(component => ({
+    component,
+    line: lines.find(line => !line.promotion &&
+      sameId(productOf(line), component.product) &&
+      (!component.variant || sameId(line.variant, component.variant)))
+  }));
+
+  if (components.some(({ line }) => !line) || new Set(components.map(({ line }) => line)).size !== components.length) {
+    return;
+  }
+
+  const combos = Math.min(...components.map(({ component, line }) => Math.floor(line.quantity / component.quantity)));
+  if (combos < 1) return;
+
+  const values = components.map(({ component, line }) => line.finalPrice * component.quantity);
+  const regular = values.reduce((sum, value) => sum + value, 0);
+  const saving = round2((regular - promotion.bundlePrice) * combos);
+  if (saving <= 0) return;
+
+  const explanation = `${promotion.name}: ${combos} x combo at Rs.${promotion.bundlePrice}`;
+  let remaining = saving;
+
+  components.forEach(({ line }, index) => {
+    const share = index === components.length - 1 ? remaining : round2(saving * values[index] / regular);
+    remaining = round2(remaining - share);
+    line.promotionDiscount = share;
+    line.promotion = describe(promotion, explanation);
+  });
+};
+
+/**
+ * Set promotion and promotionDiscount (line total) on each line
+ * @param {Array} lines - cart items (product, variant, quantity, finalPrice) - updated in place
+ * @param {Array} promotions - the shop's active promotions
+ */
+const applyPromotions = (lines, promotions) => {
+  for (const line of lines) {
+    line.promotion = undefined;
+    line.promotionDiscount = 0;
+
+    let best = null;
+    for (const promotion of promotions) {
+      const offerFor = LINE_OFFERS[promotion.type];
+      if (!offerFor || !appliesToProduct(promotion, line)) continue;
+
+      const offer = offerFor(promotion, line);
+      if (offer && (!best || offer.discount > best.discount)) best = offer;
+    }
+
+    if (best) {
+      line.promotion = best.promotion;
+      line.promotionDiscount = best.discount;
+    }
+  }
+
+  promotions
+    .filter(promotion => promotion.type === 'BUNDLE')
+    .forEach(promotion => applyBundle(promotion, lines));
+
+  return lines;
+};
+
+module.exports = { applyPromotions };
@@ -0,0 +1,27 @@
+const multer = require('multer');
+const path = require('path');
+
+// Configure multer for memory storage
+const storage = multer.memoryStorage();
+
+// File filter - browsers report CSV under several mimetypes, so check the extension too
+const fileFilter = (req, file, cb) => {
+  const allowedExtensions = ['.csv', '.xlsx'];
+
+  if (allowedExtensions.includes(path.extname(file.originalname).toLowerCase())) {
+    cb(null, true);
+  } else {
+    cb(new Error('Invalid file type. Only CSV and XLSX files are allowed.'), false);
+  }
+};
+
+// Upload configuration for bulk imports
+const spreadsheetUpload = multer({
+  storage,
+  fileFilter,
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB max file size
+  }
+});
+
+module.exports = spreadsheetUpload;
@@ -0,0 +1,24 @@
+/**
+ * Sellable units of measure
+ * conversionFactor = base quantity (pieces, or kg) in one sellable unit
+ */
+const UNITS = {
+  PIECE: { singular: 'piece', plural: 'pieces', defaultFactor: 1 },
+  DOZEN: { singular: 'dozen', plural: 'dozen', defaultFactor: 12 },
+  BOX: { singular: 'box', plural: 'boxes', defaultFactor: 1 },
+  KG: { singular: 'kg', plural: 'kg', defaultFactor: 1 }
+};
+
+/**
+ * Quantity with its unit, e.g. "2 dozen", "1 box", "5 pieces"
+ * Lines saved before units existed were sold by the dozen
+ */
+const formatQuantity = (quantity, unit = 'DOZEN') => {
+  const labels = UNITS[unit] || UNITS.DOZEN;
+  return `${quantity} ${quantity === 1 ? labels.singular : labels.plural}`;
+};
+
+module.exports = {
+  UNITS,
+  formatQuantity
+};
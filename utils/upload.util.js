@@ -6,7 +6,7 @@ const storage = multer.memoryStorage();
 
 // File filter
 const fileFilter = (req, file, cb) => {
-  // Accept images only
+  // Accept images only (the file contents are checked by services/image.service.js)
   const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'];
   
   if (allowedTypes.includes(file.mimetype)) {